@@ -1,16 +1,27 @@
 // BlogID/sync-blogid-from-csv.js
 const fs = require("fs");
 const path = require("path");
-const { parse } = require("csv-parse");
 const { Client } = require("@notionhq/client");
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
 const databaseId = process.env.NOTION_DATABASE_ID_BLOGID;
 
+// NOTION_FAKE_DB 가 설정되면 main() 에서 로컬 대역으로 교체 (../notion-fake.js)
+let notion = new Client({ auth: process.env.NOTION_API_KEY });
+
+async function useFakeNotionIfConfigured() {
+  const fakeDb = process.env.NOTION_FAKE_DB;
+  if (!fakeDb) return;
+
+  const { FakeNotionClient } = await import("../notion-fake.js");
+  console.log(`🧪 Fake Notion 백엔드 사용: ${fakeDb}`);
+  notion = new FakeNotionClient({ dbPath: fakeDb });
+}
+
 // 🔁 blogId 기준으로 페이지 생성/갱신
+//    row 는 ../neighbor-meta.js 가 검증/정규화한 행 (groupNames 는 이미 배열)
 async function upsertBlogIdRow(row) {
-  const blogId = (row.blogId || "").trim();
-  if (!blogId) return;
+  const { blogId, blogUrl, nickname, groupNames, isInfluencer, influencerId, influencerUrl } =
+    row;
 
   // 🚫 특정 blogId 제외
   if (blogId === "GoRepresentBlog") {
@@ -18,17 +29,6 @@ async function upsertBlogIdRow(row) {
     return;
   }
 
-  const blogUrl = (row.blogUrl || "").trim();
-  const nickname = (row.nickname || "").trim();
-  const groupNames = (row.groupNames || "")
-    .split("|")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  const isInfluencer =
-    (row.isInfluencer || "").trim().toUpperCase() === "Y";
-  const influencerId = (row.influencerId || "").trim();
-  const influencerUrl = (row.influencerUrl || "").trim();
-
   const titleText = nickname || blogId;
 
   // 1️⃣ 이미 존재하는 blogId인지 확인
@@ -81,6 +81,8 @@ async function upsertBlogIdRow(row) {
 }
 
 async function main() {
+  await useFakeNotionIfConfigured();
+
   const csvPathArg = process.argv[2];
   const csvPath = csvPathArg
     ? csvPathArg
@@ -93,22 +95,9 @@ async function main() {
     process.exit(1);
   }
 
-  const rows = [];
-
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(csvPath)
-      .pipe(
-        parse({
-          columns: true, // 첫 줄을 header로 사용
-          skip_empty_lines: true
-        })
-      )
-      .on("data", (row) => {
-        rows.push(row);
-      })
-      .on("end", resolve)
-      .on("error", reject);
-  });
+  // 스키마 판별 / 구분자 처리 / 행 검증은 공통 로더에서 (문제 행은 로더가 출력)
+  const { loadNeighborMeta } = await import("../neighbor-meta.js");
+  const { rows, problems } = loadNeighborMeta(csvPath);
 
   console.log(`📥 Total rows from CSV: ${rows.length}`);
 
@@ -128,7 +117,9 @@ async function main() {
     }
   }
 
-  console.log(`✅ Done. Success: ${success}, Failed: ${fail}`);
+  console.log(
+    `✅ Done. Success: ${success}, Failed: ${fail}, Invalid CSV rows: ${problems.length}`
+  );
 }
 
 main().catch((err) => {
@@ -10,33 +10,99 @@
  *  2. 각 그룹에 대해:
  *     - MAX_PAGE → 1 페이지까지 역순(최신 페이지부터 과거 페이지로) 순회
  *     - 각 페이지에서 BuddyPostList API 호출
- *     - 응답에서 title, blogId, postId, URL, 날짜, 닉네임, 요약을 파싱
- *     - 각 글에 groupName(이웃그룹 이름)을 붙여 notion.js 로 전달
+ *     - 응답에서 title, blogId, postId, URL, 날짜, 닉네임, 요약, 카테고리, 태그를 파싱
+ *       (목록에 없으면 ../post-category.js, ../post-tags.js 로 조회)
+ *     - 공감/댓글 수도 함께 넘김 (목록에 없으면 ../post-engagement.js 로 조회)
+ *       (추가 조회는 새 글이거나 저장된 값이 빈 글만, ../post-details.js)
+ *     - 투자 그룹 글은 제목/요약에서 종목을 추출해 함께 넘김 (../post-tickers.js)
+ *     - 설정 파일 rules 의 필터 규칙을 업서트 직전에 적용 (../post-rules.js)
+ *     - 각 글에 groupNames([이웃그룹 이름])를 붙여 notion.js 로 전달
  *  3. notion.js 의 upsertPost 가:
  *     - UniqueID = blogId_postId 기준으로 중복 체크
  *     - 이미 있으면 변경 여부 확인 후 update 또는 스킵
  *     - 없으면 새 페이지 생성
  *
+ * 🔒 세션 점검 (../naver-session.js)
+ *  - 시작 전 전체이웃 1페이지로 쿠키 만료 여부 확인, 실행 중에도 모든 응답 점검
+ *  - 만료 감지 시 체크포인트를 남기고 종료 코드 3 으로 중단
+ *
+ * 🚦 요청 제어 (../naver-request.js)
+ *  - 429/5xx 는 백오프 후 재시도, 에러가 늘면 요청 간격을 자동으로 늘림
+ *    (페이지 간 고정 딜레이 대신 적응형 간격 사용)
+ *  - 끝내 못 가져온 페이지는 실행 종료 시 목록 출력 + 종료 코드 4
+ *
+ * 📦 저장소 (POST_SINKS, ../post-sinks.js)
+ *  - notion(기본) / sqlite(로컬 아카이브, ../sqlite-archive.js) /
+ *    markdown(Obsidian 볼트, ../markdown-vault.js) 중 하나 이상
+ *
+ * ⏯ 중단/재개
+ *  - 페이지 처리가 끝날 때마다 체크포인트(현재 그룹, 페이지, 처리한 UniqueID)를
+ *    상태 파일(../scrape-state.js)에 저장하고, SIGTERM/SIGINT 수신 시에도 저장
+ *  - 다음 실행은 체크포인트 위치부터 재개 (--reset-checkpoint 로 폐기)
+ *
  * 🔐 전제 조건
  *  - NAVER_NEIGHBOR_API_URL 은 유효한 BuddyPostList 호출 URL이어야 한다.
  *    (예: https://section.blog.naver.com/ajax/BuddyPostList.naver?page=1&groupId=4 ...)
  *  - groups.js 에 정의된 groupId 들은 실제 네이버 이웃그룹의 ID와 일치해야 한다.
+ *  - NAVER_FIXTURE_MODE=replay 이면 쿠키/URL 없이 녹화된 응답으로 실행
+ *    (../naver-fixtures.js 참고)
  */
 
 import "dotenv/config";
-import fetch from "node-fetch";
-import { upsertPost } from "./notion.js";
-import { GROUPS } from "./groups.js";
+import { CONFIG_PATH } from "../config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { openPostSinks } from "../post-sinks.js";
+import { fetchBuddyPostListRaw, IS_REPLAY } from "../naver-fixtures.js";
+import {
+  recordFailedPage,
+  reportFailedPages,
+  EXIT_PAGES_FAILED,
+} from "../naver-request.js";
+import {
+  NaverSessionError,
+  EXIT_SESSION_EXPIRED,
+  assertNaverSession,
+  inspectResponse,
+  inspectPayload,
+  stripNaverPrefix,
+  extractPostList,
+} from "../naver-session.js";
+import { categoryFromListItem } from "../post-category.js";
+import { tagsFromListItem } from "../post-tags.js";
+import { thumbnailFromListItem } from "../post-thumbnail.js";
+import { tickersForPost } from "../post-tickers.js";
+import { engagementFromListItem } from "../post-engagement.js";
+import { resolvePostDetails } from "../post-details.js";
+import { applyPostRules, reportRuleStats, ROUTE_DATABASES } from "../post-rules.js";
+import { NotionSchemaError } from "../notion-schema.js";
+import { EXIT_SCHEMA_INVALID, EXIT_CONFIG_INVALID } from "../exit-codes.js";
+import { runConcurrent } from "../notion-scheduler.js";
+import { writeDryRunReport } from "../dry-run.js";
+import { GROUPS } from "../groups.js";
+import {
+  loadState,
+  saveState,
+  postUniqueId,
+  takeCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  flushStateOnSignal,
+} from "../scrape-state.js";
 
 // ───────────────────────────────────────────────
 // 🔧 환경변수 로드 & 검증
 // ───────────────────────────────────────────────
 
+// replay 모드에서는 쿠키 없이 녹화된 응답을 사용하므로 기본 URL 로 대체
+const DEFAULT_API_TEMPLATE =
+  "https://section.blog.naver.com/ajax/BuddyPostList.naver?page=1&groupId=0";
+
 const NAVER_COOKIE = process.env.NAVER_COOKIE;
-const API_TEMPLATE = process.env.NAVER_NEIGHBOR_API_URL;
+const API_TEMPLATE =
+  process.env.NAVER_NEIGHBOR_API_URL || (IS_REPLAY ? DEFAULT_API_TEMPLATE : "");
 const MAX_PAGE = Number(process.env.MAX_PAGE || 150);
+const CHECKPOINT_RUNNER = "PerGroup";
 
-if (!NAVER_COOKIE) {
+if (!NAVER_COOKIE && !IS_REPLAY) {
   console.error("❌ NAVER_COOKIE 가 설정되어 있지 않습니다.");
   process.exit(1);
 }
@@ -92,12 +158,14 @@ function buildPageUrl(page, groupId) {
 // ───────────────────────────────────────────────
 
 /**
- * 네이버 JSON 응답 앞의 보안 prefix 제거
- *  - 예: ")]}'," 같은 문자열 제거
+ * BuddyPostList 요청 헤더 (쿠키 인증 포함)
  */
-function stripNaverPrefix(raw) {
-  return raw.replace(/^\)\]\}',?\s*/, "");
-}
+const NAVER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+  Cookie: NAVER_COOKIE,
+  Accept: "application/json, text/plain, */*",
+  Referer: "https://section.blog.naver.com/BlogHome.naver",
+};
 
 /**
  * JSON 파싱 실패 시 앞부분만 잘라 보여주는 도우미
@@ -122,15 +190,16 @@ function cleanedPreview(raw) {
 async function fetchPagePosts(page, groupId, groupName) {
   const url = buildPageUrl(page, groupId);
 
-  // 쿠키 인증 포함 (로그인 기반 이웃 글 접근용)
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
-      Cookie: NAVER_COOKIE,
-      Accept: "application/json, text/plain, */*",
-      Referer: "https://section.blog.naver.com/BlogHome.naver",
-    },
-  });
+  // 쿠키 인증 포함 (로그인 기반 이웃 글 접근용, replay 모드면 녹화 파일 사용)
+  const res = await fetchBuddyPostListRaw(
+    url,
+    NAVER_HEADERS,
+    `[${groupName}] ${page}페이지`
+  );
+
+  // 세션 만료(로그인 리다이렉트, HTML 응답 등)는 빈 페이지로 넘기지 않고 중단
+  const sessionProblem = inspectResponse(res);
+  if (sessionProblem) throw new NaverSessionError(sessionProblem);
 
   // HTTP 에러 처리
   if (!res.ok) {
@@ -139,10 +208,14 @@ async function fetchPagePosts(page, groupId, groupName) {
       res.status,
       res.statusText
     );
+    recordFailedPage(
+      `[${groupName}] ${page}페이지`,
+      `HTTP ${res.status} ${res.statusText}`
+    );
     return { posts: [] };
   }
 
-  const raw = await res.text();
+  const raw = res.text;
 
   // JSON 파싱
   let data;
@@ -155,17 +228,18 @@ async function fetchPagePosts(page, groupId, groupName) {
       e.message
     );
     console.error(cleanedPreview(raw));
+    recordFailedPage(`[${groupName}] ${page}페이지`, `JSON 파싱 실패: ${e.message}`);
     return { posts: [] };
   }
 
+  // 인증 에러 코드가 담긴 JSON 도 세션 만료로 처리
+  const payloadProblem = inspectPayload(data);
+  if (payloadProblem) throw new NaverSessionError(payloadProblem);
+
   // 응답 구조에서 리스트 부분 추출 (버전에 따라 키가 다를 수 있어 안전하게 처리)
-  const result = data.result || data;
-  const list =
-    result.buddyPostList ||
-    result.postList ||
-    result.list ||
-    result.items ||
-    [];
+  const list = extractPostList(data);
+  // "3시간 전" 같은 상대 날짜의 기준 시각 (kst-date.js)
+  const fetchedAt = Date.now();
 
   // 필요한 필드만 추출 → upsertPost 에 넘김
   let posts = list
@@ -208,6 +282,19 @@ async function fetchPagePosts(page, groupId, groupName) {
 
       const postId = logNo || null;
 
+      // 블로거가 직접 분류한 카테고리 / #태그 (없으면 업서트 직전에 조회)
+      const { category, categoryNo } = categoryFromListItem(item);
+      const tags = tagsFromListItem(item);
+
+      // 목록 썸네일 → Notion Thumbnail 속성 + 페이지 cover
+      const thumbnail = thumbnailFromListItem(item);
+
+      // 공감/댓글 수 (목록에 없으면 업서트 직전에 조회)
+      const { sympathyCount, commentCount } = engagementFromListItem(item);
+
+      // 투자 그룹 글이면 제목/요약에서 종목 추출 (아니면 null → 기존 Tickers 유지)
+      const tickers = tickersForPost({ title, description, groupNames: [groupName] });
+
       // 필수 값이 없으면 스킵
       if (!title || !link || !postId) return null;
 
@@ -216,10 +303,18 @@ async function fetchPagePosts(page, groupId, groupName) {
         link,
         nickname,
         pubdate,
+        fetchedAt,
         description,
         blogId,
         postId,
-        groupName, // ✅ 이 글이 어떤 이웃그룹에서 온 것인지 함께 넘김
+        groupNames: [groupName], // ✅ 이 글이 어떤 이웃그룹에서 온 것인지 함께 넘김
+        category,
+        categoryNo,
+        tags,
+        thumbnail,
+        sympathyCount,
+        commentCount,
+        tickers,
       };
     })
     .filter(Boolean);
@@ -235,43 +330,163 @@ async function fetchPagePosts(page, groupId, groupName) {
 // 🚀 메인 실행 루프
 // ───────────────────────────────────────────────
 
+/**
+ * 체크포인트 기준 재개 위치 계산
+ *  - 체크포인트 그룹이 GROUPS 에 없으면(그룹 구성 변경) 처음부터
+ *
+ * @returns {{groupIndex: number, page: number, doneUniqueIds: string[]}}
+ */
+function resolveResumePoint(resume) {
+  const start = { groupIndex: 0, page: MAX_PAGE, doneUniqueIds: [] };
+  if (!resume) return start;
+
+  const groupIndex = GROUPS.findIndex((g) => g.id === resume.groupId);
+  if (groupIndex < 0) {
+    console.warn(
+      `⚠️ 체크포인트 그룹(ID=${resume.groupId})이 groups.js 에 없음 → 처음부터 시작`
+    );
+    return start;
+  }
+
+  return {
+    groupIndex,
+    page: Math.min(resume.page, MAX_PAGE),
+    doneUniqueIds: resume.doneUniqueIds,
+  };
+}
+
+// 새 글 생성을 모두 넣는 줄 (runConcurrent keyOf, UniqueID 와 겹치지 않도록 Symbol)
+const CREATE_LANE = Symbol("create");
+
 /**
  * 전체 실행:
  *  - groups.js의 GROUPS 순서대로
  *  - 각 그룹에 대해 MAX_PAGE → 1 페이지까지 스크랩
- *  - 각 글은 notion.js의 upsertPost로 전달
+ *  - 각 글은 저장소(../post-sinks.js, 기본 notion.js)의 upsertPost로 전달
  */
 async function main() {
   console.log("🚀 BuddyPostList API → Notion 스크랩 시작 (모든 그룹)");
 
-  for (const { id: groupId, name: groupName } of GROUPS) {
+  // 그룹이 없으면 아무것도 안 긁고 "성공" 으로 끝나므로 설정 오류로 중단
+  if (GROUPS.length === 0) {
+    console.error(`❌ 이웃그룹이 없습니다: 설정 파일(${CONFIG_PATH})의 "groups" 에 그룹을 추가하세요.`);
+    process.exit(EXIT_CONFIG_INVALID);
+  }
+
+  // 📦 저장소 열기 + 🧱 Notion DB 속성 점검 (이름/타입이 안 맞으면 글을 하나도 쓰기 전에 중단)
+  sinks = await openPostSinks("per-group");
+  await sinks.prepare(ROUTE_DATABASES);
+
+  // 🛫 세션 사전 점검: 전체이웃(groupId=0) 1페이지
+  if (!IS_REPLAY) {
+    const count = await assertNaverSession(buildPageUrl(1, 0), NAVER_HEADERS);
+    console.log(`🔓 네이버 세션 정상 (전체이웃 1페이지 글 ${count}건)`);
+  }
+
+  const resumePoint = resolveResumePoint(
+    takeCheckpoint(state, CHECKPOINT_RUNNER)
+  );
+
+  for (let gi = resumePoint.groupIndex; gi < GROUPS.length; gi++) {
+    const { id: groupId, name: groupName } = GROUPS[gi];
+    const isResumeGroup = gi === resumePoint.groupIndex;
+    const startPage = isResumeGroup ? resumePoint.page : MAX_PAGE;
+
     console.log(`📂 그룹 [${groupName}] (ID=${groupId}) 처리 시작`);
     let total = 0;
+    let sawPosts = false;
+
+    for (let page = startPage; page >= 1; page--) {
+      // 진행 중 체크포인트 (SIGTERM 시 그대로 저장됨)
+      const checkpoint = {
+        groupId,
+        page,
+        doneUniqueIds:
+          isResumeGroup && page === resumePoint.page
+            ? [...resumePoint.doneUniqueIds]
+            : [],
+      };
+      state.checkpoints[CHECKPOINT_RUNNER] = checkpoint;
+      const done = new Set(checkpoint.doneUniqueIds);
 
-    for (let page = MAX_PAGE; page >= 1; page--) {
       const { posts } = await fetchPagePosts(page, groupId, groupName);
       console.log(
         `📥 ${page}페이지 (${groupName}) 글 수: ${posts.length}`
       );
       total += posts.length;
 
-      // 오래된 글 → 최신 글 순서로 업서트
-      for (const post of posts) {
-        try {
-          await upsertPost(post);
-        } catch (err) {
-          console.error(
-            `❌ Notion 저장 오류 (${groupName}):`,
-            err.message
-          );
-        }
-
-        // 글 단위 딜레이 (Notion API 부하 완화)
-        await new Promise((r) => setTimeout(r, 300));
+      // 더 오래된 페이지에 글이 있었는데 최신 쪽 페이지가 비면 세션 재점검
+      if (posts.length > 0) {
+        sawPosts = true;
+      } else if (sawPosts && !IS_REPLAY) {
+        console.warn(`⚠️ [${groupName}] ${page}페이지가 비어 있음 → 세션 재점검`);
+        await assertNaverSession(buildPageUrl(1, 0), NAVER_HEADERS);
       }
 
-      // 페이지 단위 딜레이
-      await new Promise((r) => setTimeout(r, 500));
+      // 오래된 글 → 최신 글 순서로 업서트
+      //  - 저장 여부 조회 → 저장 두 단계, 각각 NOTION_CONCURRENCY 개씩 동시에
+      //  - 새 글(생성)은 한 줄에서 순서대로 하나씩, 업데이트만 동시에 (같은 UniqueID 는 순서대로)
+      //  - 요청 속도는 notion-scheduler.js 의 토큰 버킷이 조절
+      const pending = posts.filter((post) => {
+        const uniqueId = postUniqueId(post);
+        return !(uniqueId && done.has(uniqueId));
+      });
+
+      const markDone = (post) => {
+        const uniqueId = postUniqueId(post);
+        if (uniqueId) checkpoint.doneUniqueIds.push(uniqueId);
+      };
+      const onError = (err) => {
+        console.error(
+          `❌ 저장 오류 (${groupName}):`,
+          err.message
+        );
+      };
+
+      // 1) 필터 규칙 + 저장 여부 조회
+      const storedByPost = new Map(); // post → findStored 결과 (새 글이면 null)
+      await runConcurrent(
+        pending,
+        async (post) => {
+          try {
+            // 필터 규칙 (skip 이면 네트워크 조회 전에 건너뜀, 처리한 것으로 기록)
+            if (!applyPostRules(post)) {
+              markDone(post);
+              return;
+            }
+            storedByPost.set(post, await sinks.findStored(post));
+          } catch (err) {
+            onError(err);
+          }
+        },
+        { keyOf: postUniqueId }
+      );
+
+      // 2) 저장: 새 글은 모두 CREATE_LANE 한 줄에 → 생성 순서는 그대로
+      await runConcurrent(
+        pending.filter((post) => storedByPost.has(post)),
+        async (post) => {
+          try {
+            // 카테고리/태그/공감·댓글 수 추가 조회는 새 글(또는 저장된 값이 빈 글)만
+            await resolvePostDetails(post, storedByPost.get(post));
+            await sinks.upsertPost(post);
+            markDone(post);
+          } catch (err) {
+            onError(err);
+          }
+        },
+        { keyOf: (post) => (storedByPost.get(post) ? postUniqueId(post) : CREATE_LANE) }
+      );
+
+      // 페이지 완료 → 다음 재개 지점 저장 (그룹 마지막 페이지면 다음 그룹)
+      const nextGroup = page > 1 ? GROUPS[gi] : GROUPS[gi + 1];
+      if (nextGroup) {
+        saveCheckpoint(state, CHECKPOINT_RUNNER, {
+          groupId: nextGroup.id,
+          page: page > 1 ? page - 1 : MAX_PAGE,
+          doneUniqueIds: [],
+        });
+      }
     }
 
     console.log(
@@ -279,10 +494,39 @@ async function main() {
     );
   }
 
+  clearCheckpoint(state, CHECKPOINT_RUNNER);
   console.log("🎉 모든 그룹 스크랩 완료");
+  reportRuleStats();
+  sinks.close();
+  writeDryRunReport("PerGroup/index.js");
+
+  // 재시도 후에도 실패한 페이지는 조용히 넘기지 않고 보고 + 실패 종료 코드
+  if (reportFailedPages() > 0) process.exitCode = EXIT_PAGES_FAILED;
 }
 
+const state = loadState();
+flushStateOnSignal(state, { close: () => sinks?.close() });
+
+// 글 저장소 (../post-sinks.js, main 에서 열고 끝나거나 실패하거나 시그널을 받으면 닫음)
+let sinks = null;
+
 main().catch((err) => {
+  // 진행 중이던 페이지 체크포인트를 남겨 다음 실행에서 재개
+  saveState(state);
+  sinks?.close();
+
+  if (err instanceof NaverSessionError) {
+    console.error(`🔒 ${err.message}`);
+    console.error("   NAVER_COOKIE 를 갱신한 뒤 다시 실행하세요 (체크포인트부터 재개).");
+    process.exit(EXIT_SESSION_EXPIRED);
+  }
+
+  if (err instanceof NotionSchemaError) {
+    console.error(`🧱 ${err.message}`);
+    console.error('   "node cli.js schema --variant per-group --fix" 로 속성을 맞춘 뒤 다시 실행하세요.');
+    process.exit(EXIT_SCHEMA_INVALID);
+  }
+
   console.error("❌ 스크립트 전체 오류:", err);
   process.exit(1);
 });
@@ -6,16 +6,22 @@
  * ✅ 주요 기능:
  *  - UniqueID(blogId_postId)로 중복 등록 방지
  *  - pubdate 로부터 연도/연월/분기 추출 → 텍스트 컬럼에 저장
+ *    (KST 기준, "3시간 전" 등 상대 표현 포함 → ../kst-date.js)
  *  - blogId 를 BlogID(Text) 컬럼에 저장
  *  - Group(Text) 컬럼에 이웃그룹 이름 저장 (index.js에서 전달)
  *  - 기존 글이면 update, 없으면 create
  *  - 기존 내용이 동일하면 update 생략 (⏩ 변경 없음)
- *    - 비교 대상: Title, URL, Category, Group
+ *    - 비교 대상: Title, URL, Category, Group, Tags, Tickers, Thumbnail, Sympathy, Comments
  *    - Description 은 비교 제외 → 사소한 변동/요약 차이로 인한 불필요한 업데이트 방지
+ *  - 기존 페이지 조회 / 변경 비교는 UniqueID 인덱스로 메모리에서 처리 (../notion-index.js)
  *  - Notion 조회 타임아웃/일시 오류 시 최대 3회 재시도
  *    → 최종 실패 시에도 "누락 방지"를 위해 새 페이지 생성 시도 (중복 가능성 허용)
+ *  - DRY_RUN 이면 생성/수정 대신 예정 작업과 필드별 변경을 기록 (../dry-run.js)
  *
  * ⚠️ Notion 데이터베이스에 필요한 컬럼 (이름 정확히 일치해야 함):
+ *    아래는 기본 이름, 설정의 "properties" 로 이름/타입 변경·끄기 (../notion-properties.js)
+ *    정의는 ../notion-schema.js 의 "per-group" (스크랩 시작 전 검사, node cli.js schema --variant per-group)
+ *    루트 index.js("posts")와 달리 Group 이 Rich text 이므로 같은 DB 를 함께 쓸 수 없음
  *  - Title      : Title
  *  - URL        : URL (URL 타입)
  *  - Nickname   : Text 또는 Rich text
@@ -28,16 +34,39 @@
  *  - 원본 날짜  : Date
  *  - 생성 일시  : Date
  *  - Category   : Rich text (옵션)
+ *  - Tags       : Multi-select (옵션, 작성자가 붙인 #태그)
+ *  - Tickers    : Multi-select (옵션, 투자 그룹 글의 언급 종목 → ../post-tickers.js)
+ *  - Thumbnail  : URL (옵션, 목록 썸네일 → 새 페이지 cover 로도 사용)
+ *  - Sympathy   : Number (옵션, 공감 수)
+ *  - Comments   : Number (옵션, 댓글 수)
+ *
+ * 🎨 새 페이지 아이콘은 ../groups.js 의 그룹별 emoji (설정된 경우)
  *  - Description: Rich text (옵션)
  */
 
-import { Client } from "@notionhq/client";
+import { createNotionClient } from "../notion-client.js";
+import { findGroupEmoji } from "../groups.js";
+import { normalizeNaverDate, kstYearMonthQuarter } from "../kst-date.js";
+import { DRY_RUN, recordPlan } from "../dry-run.js";
+import { postUniqueId } from "../scrape-state.js";
+import { assertDatabaseSchema } from "../notion-schema.js";
+import { writeProperty, propertyFilter, isPropertyEnabled } from "../notion-properties.js";
+import {
+  getPageIndex,
+  lookupPage,
+  missingDetails,
+  rememberPage,
+  rememberPlannedPage,
+  forgetPage,
+  entryFromPage,
+} from "../notion-index.js";
 
 // ───────────────────────────────────────────────
 // 🔧 기본 설정
 // ───────────────────────────────────────────────
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (../notion-client.js 참고)
+const notion = createNotionClient();
 const databaseId = process.env.NOTION_DATABASE_ID;
 
 if (!databaseId) {
@@ -45,63 +74,6 @@ if (!databaseId) {
   process.exit(1);
 }
 
-// ───────────────────────────────────────────────
-// 🕒 pubdate → ISO 문자열 변환
-// ───────────────────────────────────────────────
-
-/**
- * 네이버 pubdate 필드를 Notion이 이해할 수 있는 ISO 8601 문자열로 변환
- *  - 숫자(타임스탬프), "YYYY.MM.DD", "YYYY-MM-DD HH:mm" 등 유연하게 처리
- */
-function normalizeNaverDate(raw) {
-  if (!raw) return null;
-
-  // JS number
-  if (typeof raw === "number") return new Date(raw).toISOString();
-
-  const s = String(raw).trim();
-
-  // 13자리: milliseconds timestamp
-  if (/^\d{13}$/.test(s)) return new Date(Number(s)).toISOString();
-
-  // 10자리: seconds timestamp
-  if (/^\d{10}$/.test(s))
-    return new Date(Number(s) * 1000).toISOString();
-
-  // 문자열 날짜 포맷 대충 정규화
-  const replaced = s
-    .replace(/\./g, "-")
-    .replace(/\//g, "-")
-    .replace("년", "-")
-    .replace("월", "-")
-    .replace("일", "")
-    .trim();
-
-  const d = new Date(replaced);
-  return isNaN(d.getTime()) ? null : d.toISOString();
-}
-
-// ───────────────────────────────────────────────
-// 📅 ISO 날짜 → 연도/연월/분기
-// ───────────────────────────────────────────────
-
-function extractYearMonthQuarter(isoString) {
-  if (!isoString) return { year: "", yearMonth: "", quarter: "" };
-
-  const d = new Date(isoString);
-  if (isNaN(d.getTime())) return { year: "", yearMonth: "", quarter: "" };
-
-  const year = String(d.getFullYear());
-  const month = d.getMonth() + 1;
-  const mm = String(month).padStart(2, "0");
-  const yearMonth = `${year}-${mm}`;
-
-  const q = month <= 3 ? "Q1" : month <= 6 ? "Q2" : month <= 9 ? "Q3" : "Q4";
-  const quarter = `${year}-${q}`;
-
-  return { year, yearMonth, quarter };
-}
-
 // ───────────────────────────────────────────────
 // 🔁 UniqueID 기반 Notion 페이지 조회 (재시도 포함)
 // ───────────────────────────────────────────────
@@ -110,21 +82,19 @@ function extractYearMonthQuarter(isoString) {
  * UniqueID 값으로 기존 페이지를 조회
  *
  * @param {string} uniqueId
+ * @param {string} targetDatabaseId 조회할 DB (기본 DB 또는 route 규칙의 DB)
  * @param {number} retries
  * @returns {Promise<object|null|undefined>}
  *   - Page 객체 : 이미 존재
  *   - null      : 정상 조회, 해당 UniqueID 없음
  *   - undefined : 재시도 끝까지 실패 (네트워크/타임아웃 등)
  */
-async function findExistingPageWithRetry(uniqueId, retries = 3) {
+async function findExistingPageWithRetry(uniqueId, targetDatabaseId, retries = 3) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       const query = await notion.databases.query({
-        database_id: databaseId,
-        filter: {
-          property: "UniqueID",
-          rich_text: { equals: uniqueId },
-        },
+        database_id: targetDatabaseId,
+        filter: propertyFilter("uniqueId", { equals: uniqueId }, "per-group"),
       });
 
       return query.results?.[0] || null;
@@ -149,10 +119,60 @@ async function findExistingPageWithRetry(uniqueId, retries = 3) {
   }
 }
 
+/**
+ * UniqueID → 기존 페이지 (../notion-index.js 항목 형식)
+ *  - 인덱스가 있으면 메모리에서 찾고, 없으면(비활성화/구성 실패) 위 함수로 글마다 조회
+ *
+ * @returns {Promise<{ index: object|null, existing: object|null|undefined }>}
+ */
+async function findExisting(uniqueId, targetDatabaseId) {
+  const index = await getPageIndex(targetDatabaseId, (args) =>
+    notion.databases.query(args)
+  );
+  if (index) return { index, existing: lookupPage(index, uniqueId) };
+
+  const page = await findExistingPageWithRetry(uniqueId, targetDatabaseId);
+  return { index: null, existing: page ? entryFromPage(page) : page };
+}
+
+/**
+ * 이미 저장된 글이면 { missing: 비어 있는 상세 필드 }, 새 글이면 null
+ *  - 인덱스에서만 찾음 (인덱스를 못 쓰면 null → 새 글처럼 상세 값 전부 조회)
+ *  - ../post-sinks.js 의 findStored 가 사용
+ */
+export async function findStoredPost(post) {
+  const uniqueId = postUniqueId(post);
+  if (!uniqueId) return null;
+
+  const index = await getPageIndex(post.databaseId || databaseId, (args) =>
+    notion.databases.query(args)
+  );
+  const existing = index && lookupPage(index, uniqueId);
+  return existing ? { missing: missingDetails(existing) } : null;
+}
+
+// ───────────────────────────────────────────────
+// 🖼 cover 유틸
+// ───────────────────────────────────────────────
+
+function externalFile(url) {
+  return { type: "external", external: { url } };
+}
+
 // ───────────────────────────────────────────────
 // 💾 upsertPost: Notion 페이지 생성/업데이트
 // ───────────────────────────────────────────────
 
+/**
+ * 스크랩 시작 전 대상 DB 속성 검사 (NOTION_DATABASE_ID + 필터 규칙의 route DB)
+ *  - 맞지 않으면 NotionSchemaError (../notion-schema.js)
+ */
+export async function assertPostsSchema(routeDatabaseIds = []) {
+  for (const id of new Set([databaseId, ...routeDatabaseIds])) {
+    await assertDatabaseSchema(notion, id, "per-group");
+  }
+}
+
 /**
  * index.js에서 넘어온 post 객체를 기반으로
  * Notion DB에 페이지를 생성하거나(없으면) 업데이트(있으면) 한다.
@@ -161,13 +181,19 @@ async function findExistingPageWithRetry(uniqueId, retries = 3) {
  *  {
  *    title, link, nickname, pubdate,
  *    description, blogId, postId,
- *    groupName   // index.js에서 전달 (이웃그룹 이름)
+ *    groupNames, // index.js에서 전달 ([이웃그룹 이름])
+ *    ruleTags,   // 필터 규칙이 붙인 태그 (옵션)
+ *    databaseId  // 필터 규칙의 라우팅 대상 DB (옵션, 없으면 NOTION_DATABASE_ID)
  *  }
+ *
+ * @param {{ recordPlans?: boolean }} [options]
+ *   recordPlans: 드라이런 보고서에 예정 작업을 기록 (다른 저장소 뒤에 오면 false, ../post-sinks.js)
  */
-export async function upsertPost(post) {
+export async function upsertPost(post, { recordPlans = true } = {}) {
+  const plan = (entry) => recordPlans && recordPlan(entry);
   const blogId = post.blogId ? String(post.blogId) : "";
   const postId = post.postId ? String(post.postId) : "";
-  const groupName = post.groupName || "";
+  const groupName = post.groupNames?.[0] || "";
 
   // UniqueID = blogId_postId (blogId가 없는 경우 postId만)
   const uniqueId = blogId && postId ? `${blogId}_${postId}` : postId || null;
@@ -176,175 +202,205 @@ export async function upsertPost(post) {
     return;
   }
 
-  // 1️⃣ 기존 페이지 조회 (재시도 포함)
-  const existing = await findExistingPageWithRetry(uniqueId);
+  // 1️⃣ 기존 페이지 조회 (재시도 포함, route 규칙이 있으면 그 DB 에서)
+  const targetDatabaseId = post.databaseId || databaseId;
+  const { index, existing } = await findExisting(uniqueId, targetDatabaseId);
   if (existing === undefined) {
     console.warn(
       `⚠️ [${uniqueId}] 조회 최종 실패 → 누락 방지를 위해 새 페이지 생성 시도 (중복 가능성 있음)`
     );
   }
 
+  // 필터 규칙(../post-rules.js)이 붙인 태그는 작성자 태그(없으면 기존 Tags)에 합침
+  let tags = post.tags;
+  if (post.ruleTags?.length > 0) {
+    const base = Array.isArray(tags) ? tags : existing?.tags || [];
+    tags = [...new Set([...base, ...post.ruleTags])];
+  }
+
   // 2️⃣ 날짜 처리
-  const originalDate = normalizeNaverDate(post.pubdate);
+  const originalDate = normalizeNaverDate(post.pubdate, {
+    now: post.fetchedAt ?? Date.now(),
+  });
   const createdAt = new Date().toISOString();
-  const { year, yearMonth, quarter } = extractYearMonthQuarter(originalDate);
+  const { year, yearMonth, quarter } = kstYearMonthQuarter(originalDate);
 
-  // 3️⃣ Notion 속성 매핑
+  // 3️⃣ Notion 속성 매핑 (이름/타입은 설정의 "properties", 꺼진 필드는 생략 → ../notion-properties.js)
+  const write = (field, value) => writeProperty(field, value, "per-group");
   const properties = {
-    // 제목
-    Title: {
-      title: [
-        {
-          text: { content: post.title || "(제목 없음)" },
-        },
-      ],
-    },
-
-    // 원문 URL
-    URL: {
-      url: post.link || null,
-    },
-
-    // 닉네임
-    Nickname: {
-      rich_text: [
-        {
-          text: { content: post.nickname || "" },
-        },
-      ],
-    },
-
-    // 원본 게시일
-    ...(originalDate && {
-      "원본 날짜": {
-        date: { start: originalDate },
-      },
-    }),
-
-    // 스크랩 시각
-    "생성 일시": {
-      date: { start: createdAt },
-    },
-
-    // 카테고리 (있으면)
-    Category: {
-      rich_text: [
-        {
-          text: { content: post.category || "" },
-        },
-      ],
-    },
+    // 제목 / 원문 URL / 닉네임
+    ...write("title", post.title || "(제목 없음)"),
+    ...write("url", post.link || null),
+    ...write("nickname", post.nickname || ""),
+
+    // 원본 게시일 / 스크랩 시각
+    ...(originalDate && write("publishedAt", originalDate)),
+    ...write("createdAt", createdAt),
+
+    // 카테고리 (판별 실패 시 생략 → 기존 값 유지)
+    ...(post.category != null && write("category", post.category)),
+
+    // 공감/댓글 수 (못 가져오면 생략 → 기존 값 유지)
+    ...(post.sympathyCount != null && write("sympathy", post.sympathyCount)),
+    ...(post.commentCount != null && write("comments", post.commentCount)),
+
+    // 썸네일 (없으면 생략 → 기존 값 유지)
+    ...(post.thumbnail && write("thumbnail", post.thumbnail)),
+
+    // 태그 (추출 실패 시 생략 → 기존 값 유지)
+    ...(Array.isArray(tags) && write("tags", tags)),
+
+    // 종목 (투자 그룹 글이 아니면 생략 → 기존 값 유지)
+    ...(Array.isArray(post.tickers) && write("tickers", post.tickers)),
 
     // 설명/요약 (Notion 길이 제한 고려)
-    Description: {
-      rich_text: [
-        {
-          text: {
-            content: (post.description || "").slice(0, 1800),
-          },
-        },
-      ],
-    },
-
-    // UniqueID (텍스트)
-    UniqueID: {
-      rich_text: [
-        {
-          text: { content: uniqueId },
-        },
-      ],
-    },
-
-    // blogId → ID 컬럼
-    ...(blogId && {
-      BlogID: {
-        rich_text: [
-          {
-            text: { content: blogId },
-          },
-        ],
-      },
-    }),
+    ...write("description", (post.description || "").slice(0, 1800)),
+
+    // UniqueID / blogId
+    ...write("uniqueId", uniqueId),
+    ...(blogId && write("blogId", blogId)),
 
     // 연도 / 연월 / 분기
-    ...(year && {
-      연도: {
-        rich_text: [
-          {
-            text: { content: year },
-          },
-        ],
-      },
-    }),
-    ...(yearMonth && {
-      연월: {
-        rich_text: [
-          {
-            text: { content: yearMonth },
-          },
-        ],
-      },
-    }),
-    ...(quarter && {
-      분기: {
-        rich_text: [
-          {
-            text: { content: quarter },
-          },
-        ],
-      },
-    }),
-
-    // 이웃 그룹명 → Group 컬럼 (Text 타입)
-    ...(groupName && {
-      Group: {
-        rich_text: [
-          {
-            text: { content: groupName },
-          },
-        ],
-      },
-    }),
+    ...(year && write("year", year)),
+    ...(yearMonth && write("yearMonth", yearMonth)),
+    ...(quarter && write("quarter", quarter)),
+
+    // 이웃 그룹명 → Group 컬럼 (기본 Text 타입)
+    ...(groupName && write("groups", [groupName])),
+  };
+
+  // 새 페이지 생성 (기존 페이지가 없거나, 인덱스의 페이지가 그 사이 없어진 경우)
+  const createPage = async () => {
+    if (DRY_RUN) {
+      plan({
+        uniqueId,
+        title: post.title,
+        action: "create",
+        after: {
+          Title: post.title || "(제목 없음)",
+          URL: post.link || "",
+          Category: post.category ?? "",
+          Group: groupName,
+          Nickname: post.nickname || "",
+          BlogID: blogId,
+          UniqueID: uniqueId,
+        },
+      });
+      rememberPlannedPage(index, uniqueId, properties, {
+        cover: post.thumbnail && externalFile(post.thumbnail),
+      });
+      return;
+    }
+
+    const icon = findGroupEmoji([groupName]);
+    const created = await notion.pages.create({
+      parent: { database_id: targetDatabaseId },
+      properties,
+      ...(post.thumbnail && { cover: externalFile(post.thumbnail) }),
+      ...(icon && { icon: { type: "emoji", emoji: icon } }),
+    });
+    rememberPage(index, uniqueId, created);
+    console.log(`🆕 새 글 추가: ${post.title}`);
   };
 
   // 4️⃣ 업서트 로직
   if (existing) {
-    const old = existing.properties;
-
-    // 기존 값 추출 (Description 제외)
-    const oldTitle = old.Title?.title?.[0]?.plain_text || "";
-    const oldUrl = old.URL?.url || "";
-    const oldCat = old.Category?.rich_text?.[0]?.plain_text || "";
-    const oldGroup =
-      old.Group?.rich_text?.[0]?.plain_text || "";
+    // 기존 값 (인덱스 항목, Description 제외)
+    const oldTitle = existing.title;
+    const oldUrl = existing.url;
+    const oldCat = existing.category;
+    const oldGroup = existing.groups.join(",");
+    const oldTags = existing.tags.join(",");
 
     const nextTitle = post.title || "(제목 없음)";
     const nextUrl = post.link || null;
-    const nextCat = post.category || "";
+    const nextCat = post.category ?? oldCat;
     const nextGroup = groupName || "";
-
+    const oldThumbnail = existing.thumbnail;
+    const nextThumbnail = post.thumbnail || oldThumbnail;
+    const oldSympathy = existing.sympathy;
+    const oldComments = existing.comments;
+    const nextSympathy = post.sympathyCount ?? oldSympathy;
+    const nextComments = post.commentCount ?? oldComments;
+    const nextTags = Array.isArray(tags) ? tags.slice().sort().join(",") : oldTags;
+    const oldTickers = existing.tickers.join(",");
+    const nextTickers = Array.isArray(post.tickers)
+      ? post.tickers.slice().sort().join(",")
+      : oldTickers;
+
+    // 설정에서 꺼진 속성은 읽은 값이 늘 비어 있으므로 비교하지 않음
+    const same = (field, before, after) => !isPropertyEnabled(field) || before === after;
     const isSame =
-      oldTitle === nextTitle &&
-      oldUrl === nextUrl &&
-      oldCat === nextCat &&
-      oldGroup === nextGroup;
+      same("title", oldTitle, nextTitle) &&
+      same("url", oldUrl, nextUrl) &&
+      same("category", oldCat, nextCat) &&
+      same("groups", oldGroup, nextGroup) &&
+      same("tags", oldTags, nextTags) &&
+      same("tickers", oldTickers, nextTickers) &&
+      same("thumbnail", oldThumbnail, nextThumbnail) &&
+      same("sympathy", oldSympathy, nextSympathy) &&
+      same("comments", oldComments, nextComments);
+
+    // 드라이런 보고서용 기존 값
+    const before = {
+      Title: oldTitle,
+      URL: oldUrl,
+      Category: oldCat,
+      Group: oldGroup,
+      Nickname: existing.nickname,
+      BlogID: existing.blogId,
+    };
 
     if (isSame) {
+      if (DRY_RUN) {
+        plan({ uniqueId, pageId: existing.pageId, title: post.title, action: "skip", before });
+        return;
+      }
       console.log(`⏩ 변경 없음 (스킵): ${post.title}`);
       return;
     }
 
-    await notion.pages.update({
-      page_id: existing.id,
-      properties,
-    });
+    if (DRY_RUN) {
+      plan({
+        uniqueId,
+        pageId: existing.pageId,
+        title: post.title,
+        action: "update",
+        before,
+        after: {
+          Title: nextTitle,
+          URL: nextUrl || "",
+          Category: nextCat,
+          Group: nextGroup,
+          Nickname: post.nickname || "",
+          BlogID: blogId || existing.blogId,
+        },
+      });
+      return;
+    }
+
+    let updated;
+    try {
+      updated = await notion.pages.update({
+        page_id: existing.pageId,
+        properties,
+        // cover 가 없던 기존 페이지는 썸네일로 보충
+        ...(post.thumbnail && !existing.hasCover && { cover: externalFile(post.thumbnail) }),
+      });
+    } catch (err) {
+      // 캐시된 인덱스가 가리키던 페이지가 보관/삭제됐으면 새로 생성
+      const gone =
+        err.code === "object_not_found" || /archived/i.test(err.message || "");
+      if (!index || !gone) throw err;
+      console.warn(`⚠️ [${uniqueId}] 인덱스의 페이지가 없어졌습니다 → 새로 생성`);
+      forgetPage(index, uniqueId);
+      await createPage();
+      return;
+    }
+    rememberPage(index, uniqueId, updated);
     console.log(`🔄 업데이트: ${post.title}`);
   } else {
     // existing === null (정상 미존재) or undefined(조회 실패) → 새 페이지 생성
-    await notion.pages.create({
-      parent: { database_id: databaseId },
-      properties,
-    });
-    console.log(`🆕 새 글 추가: ${post.title}`);
+    await createPage();
   }
 }
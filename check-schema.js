@@ -0,0 +1,129 @@
+/**
+ * check-schema.js
+ * ───────────────────────────────────────────────
+ * 🧱 스크랩 DB 속성(컬럼) 점검 / 보정 / 새 DB 생성
+ *
+ *  - 기본: 대상 DB 를 읽어 없는 속성 / 타입이 다른 속성 / title 이름을 보고
+ *          (문제가 있으면 종료 코드 6)
+ *  - SCHEMA_FIX=true            : 없는 속성 추가 + 타입 변경 + title 이름 변경
+ *  - SCHEMA_WITH_OPTIONAL=true  : 보정 시 Status / CheckedAt / ProcessedAt 도 추가
+ *                                 (새 DB 생성 시에는 항상 포함)
+ *  - SCHEMA_CREATE_PARENT=<ID>  : 그 페이지 아래에 올바른 타입의 DB 를 새로 만들고 ID 출력
+ *
+ * 속성 정의는 notion-schema.js (posts / per-group)
+ *  → 이름/타입은 설정의 "properties" 매핑을 따름 (notion-properties.js)
+ *
+ * 환경 변수:
+ *  - SCHEMA_DATABASE_ID : 점검할 DB (기본 NOTION_DATABASE_ID)
+ *  - SCHEMA_VARIANT     : posts (index.js, 기본) | per-group (PerGroup/index.js)
+ *  - SCHEMA_DB_TITLE    : 새 DB 제목 (기본 "Naver 이웃새글")
+ */
+
+import "dotenv/config";
+import "./config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { createNotionClient } from "./notion-client.js";
+import {
+  SCHEMA_VARIANTS,
+  inspectSchema,
+  fixSchema,
+  createDatabase,
+  formatProblem,
+} from "./notion-schema.js";
+import { EXIT_USAGE, EXIT_SCHEMA_INVALID } from "./exit-codes.js";
+
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
+
+const isTrue = (v) => /^(1|true|yes)$/i.test(v || "");
+
+const VARIANT = process.env.SCHEMA_VARIANT || "posts";
+const DATABASE_ID = process.env.SCHEMA_DATABASE_ID || process.env.NOTION_DATABASE_ID;
+const CREATE_PARENT = process.env.SCHEMA_CREATE_PARENT;
+const FIX = isTrue(process.env.SCHEMA_FIX);
+const WITH_OPTIONAL = isTrue(process.env.SCHEMA_WITH_OPTIONAL);
+
+if (!SCHEMA_VARIANTS[VARIANT]) {
+  console.error(
+    `❌ SCHEMA_VARIANT 는 ${Object.keys(SCHEMA_VARIANTS).join(" | ")} 중 하나여야 합니다: ${VARIANT}`
+  );
+  process.exit(EXIT_USAGE);
+}
+
+// ───────────────────────────────────────────────
+// 🆕 새 DB 생성
+// ───────────────────────────────────────────────
+
+async function create() {
+  const title = process.env.SCHEMA_DB_TITLE || undefined;
+  const db = await createDatabase(notion, CREATE_PARENT, VARIANT, title);
+  console.log(`🆕 DB 생성 완료 (${VARIANT}): ${db.id}`);
+  console.log(`   속성 ${Object.keys(db.properties).length}개`);
+  console.log("   → NOTION_DATABASE_ID 에 위 ID 를 설정하고 통합(integration)에 DB 를 공유하세요.");
+}
+
+// ───────────────────────────────────────────────
+// 🔎 점검 / 보정
+// ───────────────────────────────────────────────
+
+function report(database) {
+  const { problems, optionalMissing } = inspectSchema(database, VARIANT);
+
+  if (problems.length === 0) {
+    console.log(`✅ 필수 속성 모두 일치 (${VARIANT})`);
+  } else {
+    console.log(`❌ 맞지 않는 속성 ${problems.length}개 (${VARIANT})`);
+    for (const p of problems) console.log(`  - ${formatProblem(p)}`);
+  }
+
+  if (optionalMissing.length > 0) {
+    console.log(
+      `ℹ️ 선택 속성 없음: ${optionalMissing
+        .map((p) => `${p.name}(${p.expected})`)
+        .join(", ")} (verify-posts / migrate 에서만 사용)`
+    );
+  }
+
+  return problems;
+}
+
+async function check() {
+  if (!DATABASE_ID) {
+    console.error("❌ SCHEMA_DATABASE_ID 또는 NOTION_DATABASE_ID 가 필요합니다.");
+    process.exit(EXIT_USAGE);
+  }
+
+  console.log(`🧱 Notion DB 속성 점검: ${DATABASE_ID}`);
+  const database = await notion.databases.retrieve({ database_id: DATABASE_ID });
+  const problems = report(database);
+
+  if (!FIX) {
+    if (problems.length > 0) {
+      const variantArg = VARIANT === "posts" ? "" : ` --variant ${VARIANT}`;
+      console.log(`   → "node cli.js schema${variantArg} --fix" 로 보정할 수 있습니다.`);
+      process.exitCode = EXIT_SCHEMA_INVALID;
+    }
+    return;
+  }
+
+  if (problems.some((p) => p.kind === "type")) {
+    console.warn("⚠️ 타입을 바꾸는 속성은 Notion 이 기존 값을 변환합니다 (일부 값이 사라질 수 있음)");
+  }
+
+  const changed = await fixSchema(notion, DATABASE_ID, VARIANT, {
+    withOptional: WITH_OPTIONAL,
+  });
+  console.log(`🛠 속성 ${changed}개 보정`);
+
+  // 보정 결과 다시 확인
+  const after = report(await notion.databases.retrieve({ database_id: DATABASE_ID }));
+  if (after.length > 0) process.exitCode = EXIT_SCHEMA_INVALID;
+}
+
+// ───────────────────────────────────────────────
+// 실행
+// ───────────────────────────────────────────────
+
+(CREATE_PARENT ? create() : check()).catch((err) => {
+  console.error("❌ 스크립트 전체 오류:", err.message || err);
+  process.exit(1);
+});
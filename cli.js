@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * ───────────────────────────────────────────────
+ * 🧰 모든 스크립트를 하나로 묶은 CLI 진입점
+ *
+ * 사용법:
+ *   node cli.js <명령> [옵션]
+ *   node cli.js --help
+ *   node cli.js <명령> --help
+ *
+ * 명령:
+ *   scrape              이웃새글 → Notion / SQLite / Markdown (index.js)
+ *   scrape --per-group  이웃그룹별 스크랩 (PerGroup/index.js)
+ *   scrape --legacy     2025-11-08 스냅샷 버전 (20251108/index.js)
+ *   migrate             BlogID/Group/Nickname 마이그레이션 (migrate-blogid.js)
+ *   fix-ids             URL 기준 BlogID/UniqueID 정정 (fix-ids-from-url.js)
+ *   sync-blogids        CSV → BlogID DB 동기화 (BlogID/sync-blogid-from-csv.js)
+ *   scan-neighbors      이웃 목록 스캔 → CSV (neighbor-activity/index.js)
+ *   refresh-engagement  최근 글 공감/댓글 수 갱신 (refresh-engagement.js)
+ *   verify-posts        삭제/비공개 글 점검 (verify-posts.js)
+ *   schema              Notion DB 속성 점검/보정/생성 (check-schema.js)
+ *
+ * 동작:
+ *  - 옵션 파싱은 모든 명령이 util.parseArgs(strict) 하나로 공유 → 모르는 옵션은 종료 코드 2
+ *  - 옵션은 각 스크립트가 읽는 환경 변수로 바꿔서 전달 (환경 변수로 직접 줘도 동일)
+ *  - 실행 전에 설정 파일(config.js)을 검증하고, 그 값을 환경 변수로 자식에게 전달
+ *  - 스크립트는 자식 프로세스로 실행 → ESM / CommonJS 구분 없이 그대로 동작
+ *  - 종료 코드는 exit-codes.js 기준으로 그대로 전달
+ *    (SIGINT / SIGTERM 은 자식에게 넘겨 체크포인트 저장 기회를 줌)
+ */
+
+import "dotenv/config";
+import path from "path";
+import { spawn } from "child_process";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  EXIT_CODE_DESCRIPTIONS,
+} from "./exit-codes.js";
+import { MEMORY_DB } from "./notion-fake.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ───────────────────────────────────────────────
+// 📋 명령 / 옵션 정의
+// ───────────────────────────────────────────────
+
+/**
+ * 옵션 정의
+ *  - type    : "boolean" | "string" (util.parseArgs 형식)
+ *  - env     : 값을 넘길 환경 변수 이름 (boolean 은 "true")
+ *  - arg     : 환경 변수 대신 스크립트 인자로 넘김
+ *  - value   : 도움말에 표시할 값 이름
+ *  - path    : 경로 값 → 절대 경로로 바꿔 전달 (자식의 작업 디렉토리가 달라도 동일하게)
+ */
+const COMMON_OPTIONS = {
+  help: { type: "boolean", short: "h", description: "도움말 출력" },
+  config: {
+    type: "string",
+    env: "NAVER_NOTION_CONFIG",
+    value: "PATH",
+    path: true,
+    description: "설정 파일 경로 (기본 naver-notion.config.json)",
+  },
+  "fake-notion": {
+    type: "string",
+    env: "NOTION_FAKE_DB",
+    value: "PATH",
+    path: true,
+    description: "실제 Notion 대신 로컬 대역 사용 (JSON 경로 또는 :memory:)",
+  },
+};
+
+const NAVER_OPTIONS = {
+  fixtures: {
+    type: "string",
+    env: "NAVER_FIXTURE_MODE",
+    value: "off|record|replay",
+    description: "BuddyPostList 응답 녹화/재생 (naver-fixtures.js)",
+  },
+  "fixture-dir": {
+    type: "string",
+    env: "NAVER_FIXTURE_DIR",
+    value: "DIR",
+    path: true,
+    description: "녹화 파일 디렉토리 (기본 fixtures/naver)",
+  },
+};
+
+const DRY_RUN_OPTIONS = {
+  "dry-run": {
+    type: "boolean",
+    env: "DRY_RUN",
+    description: "조회만 하고 쓰지 않음 → 예정 작업 보고서 저장 (dry-run.js)",
+  },
+  report: {
+    type: "string",
+    env: "DRY_RUN_REPORT",
+    value: "PATH",
+    path: true,
+    description: "드라이런 보고서 경로 (.json / .csv, 기본 dry-run-report.json)",
+  },
+};
+
+const COMMANDS = {
+  scrape: {
+    description: "이웃새글 → Notion / SQLite / Markdown 스크랩",
+    script: (opts) =>
+      opts["per-group"]
+        ? "PerGroup/index.js"
+        : opts.legacy
+          ? "20251108/index.js"
+          : "index.js",
+    validate: (opts) =>
+      opts["per-group"] && opts.legacy
+        ? "--per-group 와 --legacy 는 함께 쓸 수 없습니다."
+        : opts["dry-run"] && opts.legacy
+          ? "--legacy 는 --dry-run 을 지원하지 않습니다."
+          : (opts.sink || opts.archive || opts.vault) && opts.legacy
+            ? "--legacy 는 --sink / --archive / --vault 를 지원하지 않습니다."
+            : null,
+    options: {
+      "per-group": {
+        type: "boolean",
+        description: "groups.js 의 이웃그룹별로 스크랩 (PerGroup/index.js)",
+      },
+      legacy: {
+        type: "boolean",
+        description: "2025-11-08 스냅샷 버전으로 실행 (20251108/index.js)",
+      },
+      mode: {
+        type: "string",
+        env: "SCRAPE_MODE",
+        value: "full|incremental",
+        description: "수집 모드 (index.js 전용)",
+      },
+      "max-page": {
+        type: "string",
+        env: "MAX_PAGE",
+        value: "N",
+        description: "스크랩할 마지막 페이지",
+      },
+      "reset-checkpoint": {
+        type: "boolean",
+        env: "RESET_CHECKPOINT",
+        description: "이전 실행의 체크포인트를 버리고 처음부터",
+      },
+      "fetch-body": {
+        type: "boolean",
+        env: "FETCH_POST_BODY",
+        description: "새 페이지에 네이버 본문 블록 추가",
+      },
+      sink: {
+        type: "string",
+        env: "POST_SINKS",
+        value: "notion|sqlite|markdown|notion,markdown",
+        description: "저장소 (기본 notion, post-sinks.js)",
+      },
+      archive: {
+        type: "string",
+        env: "ARCHIVE_DB_PATH",
+        value: "PATH",
+        path: true,
+        description: "SQLite 아카이브 경로 (기본 archive.sqlite)",
+      },
+      vault: {
+        type: "string",
+        env: "MARKDOWN_VAULT_DIR",
+        value: "DIR",
+        path: true,
+        description: "Markdown(Obsidian) 볼트 디렉토리 (기본 vault)",
+      },
+      ...DRY_RUN_OPTIONS,
+      ...NAVER_OPTIONS,
+    },
+  },
+
+  migrate: {
+    description: "URL/CSV 기준 BlogID · Group · Nickname 마이그레이션",
+    script: () => "migrate-blogid.js",
+    options: {
+      database: {
+        type: "string",
+        env: "MIGRATE_DATABASE_ID",
+        value: "ID",
+        description: "대상 Notion DB (기본 NOTION_DATABASE_ID)",
+      },
+      limit: {
+        type: "string",
+        env: "MIGRATE_LIMIT",
+        value: "N",
+        description: "실행당 최대 업데이트 건수 (0 = 제한 없음)",
+      },
+      ...DRY_RUN_OPTIONS,
+    },
+  },
+
+  "fix-ids": {
+    description: "URL 기준으로 BlogID / UniqueID 정정",
+    script: () => "fix-ids-from-url.js",
+    options: { ...DRY_RUN_OPTIONS },
+  },
+
+  "sync-blogids": {
+    description: "이웃 CSV → Notion BlogID DB 동기화",
+    script: () => "BlogID/sync-blogid-from-csv.js",
+    options: {
+      csv: {
+        type: "string",
+        arg: true,
+        value: "PATH",
+        path: true,
+        description: "CSV 경로 (기본 neighbor-followings-result.csv)",
+      },
+    },
+  },
+
+  "scan-neighbors": {
+    description: "네이버 이웃 목록/그룹 스캔 → neighbor-followings-result.csv",
+    script: () => "neighbor-activity/index.js",
+    // 결과 CSV 를 현재 디렉토리에 쓰므로 기존과 같은 위치에서 실행
+    cwd: "neighbor-activity",
+    options: {},
+  },
+
+  "refresh-engagement": {
+    description: "최근 글의 공감/댓글 수 다시 읽기",
+    script: () => "refresh-engagement.js",
+    options: {
+      days: {
+        type: "string",
+        env: "REFRESH_DAYS",
+        value: "N",
+        description: "최근 며칠 글을 갱신할지 (기본 7)",
+      },
+    },
+  },
+
+  "verify-posts": {
+    description: "삭제/비공개 전환된 글 점검 → Status / CheckedAt",
+    script: () => "verify-posts.js",
+    options: {
+      "batch-size": {
+        type: "string",
+        env: "VERIFY_BATCH_SIZE",
+        value: "N",
+        description: "한 번에 점검할 최대 페이지 수 (기본 200)",
+      },
+      "max-age-days": {
+        type: "string",
+        env: "VERIFY_MAX_AGE_DAYS",
+        value: "N",
+        description: "최근 N일 글만 점검 (기본 0 = 전체)",
+      },
+      "recheck-days": {
+        type: "string",
+        env: "VERIFY_RECHECK_DAYS",
+        value: "N",
+        description: "점검 후 N일 동안 다시 점검하지 않음 (기본 7)",
+      },
+    },
+  },
+
+  schema: {
+    description: "Notion DB 속성(컬럼) 점검 / 보정 / 새 DB 생성",
+    script: () => "check-schema.js",
+    validate: (opts) =>
+      opts.create && opts.fix ? "--create 와 --fix 는 함께 쓸 수 없습니다." : null,
+    options: {
+      database: {
+        type: "string",
+        env: "SCHEMA_DATABASE_ID",
+        value: "ID",
+        description: "점검할 Notion DB (기본 NOTION_DATABASE_ID)",
+      },
+      variant: {
+        type: "string",
+        env: "SCHEMA_VARIANT",
+        value: "posts|per-group",
+        description: "속성 정의 (posts = scrape, per-group = scrape --per-group)",
+      },
+      fix: {
+        type: "boolean",
+        env: "SCHEMA_FIX",
+        description: "없는 속성 추가 / 타입·title 이름 보정",
+      },
+      "with-optional": {
+        type: "boolean",
+        env: "SCHEMA_WITH_OPTIONAL",
+        description: "보정 시 Status / CheckedAt / ProcessedAt 도 추가 (--create 는 항상 포함)",
+      },
+      create: {
+        type: "string",
+        env: "SCHEMA_CREATE_PARENT",
+        value: "PAGE_ID",
+        description: "이 페이지 아래에 새 DB 생성",
+      },
+      title: {
+        type: "string",
+        env: "SCHEMA_DB_TITLE",
+        value: "TEXT",
+        description: "새 DB 제목 (기본 Naver 이웃새글)",
+      },
+    },
+  },
+};
+
+// ───────────────────────────────────────────────
+// 📖 도움말
+// ───────────────────────────────────────────────
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, opt]) => {
+    const flag = `${opt.short ? `-${opt.short}, ` : "    "}--${name}${
+      opt.value ? ` <${opt.value}>` : ""
+    }`;
+    const env = opt.env ? ` [${opt.env}]` : "";
+    return [flag, `${opt.description}${env}`];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, desc]) => `  ${flag.padEnd(width)}  ${desc}`).join("\n");
+}
+
+function formatExitCodes() {
+  return EXIT_CODE_DESCRIPTIONS.map(
+    ([code, desc]) => `  ${String(code).padStart(3)}  ${desc}`
+  ).join("\n");
+}
+
+function printMainHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((n) => n.length));
+  const commands = Object.entries(COMMANDS)
+    .map(([name, cmd]) => `  ${name.padEnd(width)}  ${cmd.description}`)
+    .join("\n");
+
+  console.log(`사용법: node cli.js <명령> [옵션]
+
+명령:
+${commands}
+
+공통 옵션:
+${formatOptions(COMMON_OPTIONS)}
+
+종료 코드:
+${formatExitCodes()}
+
+명령별 옵션은 "node cli.js <명령> --help" 로 확인하세요.`);
+}
+
+function printCommandHelp(name) {
+  const cmd = COMMANDS[name];
+  console.log(`사용법: node cli.js ${name} [옵션]
+
+${cmd.description}
+
+옵션:
+${formatOptions({ ...cmd.options, ...COMMON_OPTIONS })}
+
+종료 코드:
+${formatExitCodes()}`);
+}
+
+function usageError(message) {
+  console.error(`❌ ${message}`);
+  console.error('   "node cli.js --help" 로 사용법을 확인하세요.');
+  process.exit(EXIT_USAGE);
+}
+
+// ───────────────────────────────────────────────
+// 🔧 옵션 → 환경 변수 / 인자
+// ───────────────────────────────────────────────
+
+/**
+ * @returns {{ values: object }} util.parseArgs 결과 (잘못된 옵션이면 종료 코드 2)
+ */
+function parseCommandArgs(args, options) {
+  const parseOptions = Object.fromEntries(
+    Object.entries(options).map(([name, opt]) => [
+      name,
+      { type: opt.type, ...(opt.short && { short: opt.short }) },
+    ])
+  );
+
+  try {
+    return parseArgs({ args, options: parseOptions, strict: true });
+  } catch (err) {
+    return usageError(err.message);
+  }
+}
+
+function buildChildInvocation(values, options) {
+  const env = {};
+  const args = [];
+
+  for (const [name, opt] of Object.entries(options)) {
+    let value = values[name];
+    if (value === undefined || value === false) continue;
+
+    if (opt.path && value !== MEMORY_DB) value = path.resolve(value);
+
+    if (opt.arg) args.push(String(value));
+    else if (opt.env) env[opt.env] = value === true ? "true" : String(value);
+  }
+
+  return { env, args };
+}
+
+// ───────────────────────────────────────────────
+// 🚀 실행
+// ───────────────────────────────────────────────
+
+function runScript(script, { cwd, env, args }) {
+  const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
+    cwd: cwd ? path.join(__dirname, cwd) : process.cwd(),
+    env: { ...process.env, ...env },
+    stdio: "inherit",
+  });
+
+  // 워크플로우 취소(SIGTERM) / Ctrl+C 는 자식에게 넘겨 체크포인트를 저장하게 함
+  const forward = (signal) => child.kill(signal);
+  process.on("SIGINT", forward);
+  process.on("SIGTERM", forward);
+
+  child.on("error", (err) => {
+    console.error(`❌ ${script} 실행 실패:`, err.message);
+    process.exit(EXIT_FAILURE);
+  });
+
+  child.on("exit", (code, signal) => {
+    if (signal) {
+      const signo = { SIGINT: 2, SIGTERM: 15 }[signal];
+      process.exit(signo ? 128 + signo : EXIT_FAILURE);
+    }
+    process.exit(code ?? EXIT_FAILURE);
+  });
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    printMainHelp();
+    return;
+  }
+
+  const cmd = COMMANDS[name];
+  if (!cmd) usageError(`알 수 없는 명령: ${name}`);
+
+  const options = { ...cmd.options, ...COMMON_OPTIONS };
+  const { values } = parseCommandArgs(rest, options);
+
+  if (values.help) {
+    printCommandHelp(name);
+    return;
+  }
+
+  const problem = cmd.validate?.(values);
+  if (problem) usageError(problem);
+
+  const { env, args } = buildChildInvocation(values, options);
+  const script = cmd.script(values);
+
+  // 옵션을 반영한 뒤 설정 파일을 미리 검증 (잘못되면 종료 코드 5)
+  // → 검증된 값이 환경 변수로 채워져 CommonJS 스크립트에도 그대로 전달됨
+  Object.assign(process.env, env);
+  await import("./config.js");
+
+  console.log(`🧰 ${name} → ${script}`);
+  runScript(script, { cwd: cmd.cwd, env, args });
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error("❌ CLI 오류:", err);
+  process.exit(EXIT_FAILURE);
+});
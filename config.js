@@ -0,0 +1,531 @@
+/**
+ * config.js
+ * ───────────────────────────────────────────────
+ * ⚙️ 설정 파일(naver-notion.config.json) 로드 + 검증
+ *
+ *  - 계정 / 이웃그룹 / DB / 딜레이 / 제한값 / 경로를 JSON 파일 하나로 관리
+ *  - 각 항목은 기존 환경 변수와 1:1 로 대응 (아래 SCHEMA 의 env)
+ *      - 환경 변수가 있으면 환경 변수가 우선 (쿠키·API 키 같은 비밀값은 Secrets 로)
+ *      - 환경 변수가 없으면 설정 파일 값을 process.env 에 채워 넣음
+ *        → 기존 모듈은 지금처럼 process.env 만 읽으면 됨
+ *  - 이웃그룹(groups)은 환경 변수 대응 없이 설정 파일에서만 읽음 (groups.js)
+ *  - 필터 규칙(rules)도 설정 파일에서만 읽음 (post-rules.js)
+ *  - 스크랩 DB 속성 매핑(properties)도 설정 파일에서만 읽음 (notion-properties.js)
+ *  - 파일 값과 환경 변수 값을 같은 규칙으로 검증하고,
+ *    문제가 있으면 항목별 오류를 모두 출력한 뒤 종료 코드 5 로 중단
+ *
+ * 사용:
+ *  - 실행 스크립트 맨 위에서 import "./config.js" (dotenv 다음, 다른 모듈보다 먼저)
+ *  - 파일 위치: NAVER_NOTION_CONFIG (기본: 저장소 루트의 naver-notion.config.json)
+ *    → 파일이 없으면 환경 변수만으로 동작 (기존과 동일)
+ *  - 경로 항목(paths.*)의 상대 경로는 설정 파일 위치 기준
+ */
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { EXIT_CONFIG_INVALID } from "./exit-codes.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_PATH = path.resolve(
+  process.env.NAVER_NOTION_CONFIG ||
+    path.join(__dirname, "naver-notion.config.json")
+);
+
+// ───────────────────────────────────────────────
+// 📐 스키마
+// ───────────────────────────────────────────────
+
+/**
+ * 항목 정의
+ *  - type : string | url | int | bool | enum | list | path
+ *  - env  : 대응 환경 변수 (배열이면 모두 채움)
+ *  - min  : int 최소값
+ *  - values : enum / list 허용값 (list 는 쉼표로 구분한 문자열 또는 배열)
+ */
+const SCHEMA = {
+  account: {
+    naverCookie: { type: "string", env: "NAVER_COOKIE", secret: true },
+    naverBlogId: { type: "string", env: "NAVER_BLOG_ID" },
+    neighborApiUrl: { type: "url", env: "NAVER_NEIGHBOR_API_URL" },
+  },
+  notion: {
+    apiKey: { type: "string", env: "NOTION_API_KEY", secret: true },
+    fakeDb: { type: "string", env: "NOTION_FAKE_DB" },
+    concurrency: { type: "int", env: "NOTION_CONCURRENCY", min: 1 },
+    ratePerSec: { type: "int", env: "NOTION_RATE_PER_SEC", min: 1 },
+    burst: { type: "int", env: "NOTION_BURST", min: 1 },
+  },
+  databases: {
+    posts: { type: "string", env: "NOTION_DATABASE_ID" },
+    blogIds: { type: "string", env: "NOTION_DATABASE_ID_BLOGID" },
+    migrate: { type: "string", env: "MIGRATE_DATABASE_ID" },
+  },
+  scrape: {
+    mode: { type: "enum", env: "SCRAPE_MODE", values: ["full", "incremental"] },
+    fetchPostBody: { type: "bool", env: "FETCH_POST_BODY" },
+    postBodyMaxBlocks: { type: "int", env: "POST_BODY_MAX_BLOCKS", min: 1 },
+    resolveCategory: { type: "bool", env: "RESOLVE_CATEGORY" },
+    resolveTags: { type: "bool", env: "RESOLVE_TAGS" },
+    tagsMax: { type: "int", env: "TAGS_MAX", min: 1 },
+    resolveEngagement: { type: "bool", env: "RESOLVE_ENGAGEMENT" },
+    extractTickers: { type: "bool", env: "EXTRACT_TICKERS" },
+    pageIndex: { type: "bool", env: "NOTION_INDEX" },
+    sinks: { type: "list", env: "POST_SINKS", values: ["notion", "sqlite", "markdown"] },
+    fixtureMode: {
+      type: "enum",
+      env: "NAVER_FIXTURE_MODE",
+      values: ["off", "record", "replay"],
+    },
+  },
+  delays: {
+    naverMinMs: { type: "int", env: "NAVER_MIN_DELAY_MS", min: 0 },
+    naverMaxMs: { type: "int", env: "NAVER_MAX_DELAY_MS", min: 0 },
+    backoffBaseMs: { type: "int", env: "NAVER_BACKOFF_BASE_MS", min: 0 },
+    timeoutMs: { type: "int", env: "NAVER_TIMEOUT_MS", min: 1 },
+    followingsMs: { type: "int", env: "FOLLOWINGS_DELAY_MS", min: 0 },
+  },
+  limits: {
+    maxPage: { type: "int", env: "MAX_PAGE", min: 1 },
+    maxRetries: { type: "int", env: "NAVER_MAX_RETRIES", min: 0 },
+    migrateLimit: { type: "int", env: "MIGRATE_LIMIT", min: 0 },
+    followingsMaxPages: { type: "int", env: "FOLLOWINGS_MAX_PAGES", min: 1 },
+    refreshDays: { type: "int", env: "REFRESH_DAYS", min: 1 },
+    verifyBatchSize: { type: "int", env: "VERIFY_BATCH_SIZE", min: 1 },
+    verifyMaxAgeDays: { type: "int", env: "VERIFY_MAX_AGE_DAYS", min: 0 },
+    verifyRecheckDays: { type: "int", env: "VERIFY_RECHECK_DAYS", min: 0 },
+    notionIndexMaxAgeHours: { type: "int", env: "NOTION_INDEX_MAX_AGE_HOURS", min: 0 },
+  },
+  paths: {
+    neighborCsv: {
+      type: "path",
+      env: ["NEIGHBOR_CSV_PATH", "FOLLOWINGS_CSV_PATH"],
+    },
+    scrapeState: { type: "path", env: "SCRAPE_STATE_PATH" },
+    fixtureDir: { type: "path", env: "NAVER_FIXTURE_DIR" },
+    tickerDictionary: { type: "path", env: "TICKER_DICT_PATH" },
+    notionIndex: { type: "path", env: "NOTION_INDEX_PATH" },
+    archive: { type: "path", env: "ARCHIVE_DB_PATH" },
+    vault: { type: "path", env: "MARKDOWN_VAULT_DIR" },
+  },
+};
+
+const TOP_LEVEL_KEYS = ["$schema", "groups", "rules", "properties", ...Object.keys(SCHEMA)];
+
+/**
+ * 필터 규칙(rules) 정의 (post-rules.js)
+ *  - match 의 조건은 모두 만족해야 하고(AND), 각 배열 안에서는 하나만 맞으면 됨(OR)
+ *  - action 별 추가 항목: tag → tags, route → database
+ */
+const RULE_MATCH_KEYS = ["keywords", "regex", "blogIds", "nicknames", "groups"];
+const RULE_ACTIONS = {
+  skip: [],
+  keep: [],
+  tag: ["tags"],
+  route: ["database"],
+};
+
+/**
+ * 스크랩 DB 속성 매핑(properties) 정의 (notion-properties.js)
+ *  - 논리 필드 → 기본 Notion 속성 이름 / 쓸 수 있는 타입 (첫 번째가 기본 타입)
+ *  - 설정 값: "속성 이름" | { name?, type? } | false (끄기)
+ *  - locked   : 끌 수 없는 필드 (중복 판정·페이지 제목)
+ *  - optional : 스크래퍼는 쓰지 않고 verify-posts.js / migrate-blogid.js 만 쓰는 필드
+ */
+export const PROPERTY_FIELDS = {
+  title: { name: "Title", types: ["title"], locked: true },
+  url: { name: "URL", types: ["url", "rich_text"] },
+  nickname: { name: "Nickname", types: ["rich_text", "select"] },
+  uniqueId: { name: "UniqueID", types: ["rich_text"], locked: true },
+  blogId: { name: "BlogID", types: ["rich_text", "select"] },
+  year: { name: "연도", types: ["rich_text", "select"] },
+  yearMonth: { name: "연월", types: ["rich_text", "select"] },
+  quarter: { name: "분기", types: ["rich_text", "select"] },
+  groups: { name: "Group", types: ["multi_select", "rich_text"] },
+  publishedAt: { name: "원본 날짜", types: ["date"] },
+  createdAt: { name: "생성 일시", types: ["date"] },
+  category: { name: "Category", types: ["rich_text", "select"] },
+  description: { name: "Description", types: ["rich_text"] },
+  tags: { name: "Tags", types: ["multi_select", "rich_text"] },
+  tickers: { name: "Tickers", types: ["multi_select", "rich_text"] },
+  thumbnail: { name: "Thumbnail", types: ["url"] },
+  sympathy: { name: "Sympathy", types: ["number"] },
+  comments: { name: "Comments", types: ["number"] },
+  status: { name: "Status", types: ["select"], optional: true },
+  checkedAt: { name: "CheckedAt", types: ["date"], optional: true },
+  processedAt: { name: "ProcessedAt", types: ["date"], optional: true },
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`설정 오류 ${errors.length}건`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+// ───────────────────────────────────────────────
+// ✅ 값 검증
+// ───────────────────────────────────────────────
+
+const BOOL_TEXT = /^(1|0|true|false|yes|no)$/i;
+
+/**
+ * 값 하나 검증 → 오류 문구 (정상이면 null)
+ *  - 환경 변수는 문자열이므로 fromEnv 일 때는 숫자/불리언을 문자열 형식으로 검사
+ */
+function checkValue(rule, value, fromEnv) {
+  switch (rule.type) {
+    case "string":
+    case "path":
+      return typeof value === "string" && value.trim()
+        ? null
+        : "비어 있지 않은 문자열이어야 합니다";
+
+    case "url": {
+      if (typeof value !== "string") return "URL 문자열이어야 합니다";
+      try {
+        const u = new URL(value);
+        return /^https?:$/.test(u.protocol) ? null : "http(s) URL 이어야 합니다";
+      } catch {
+        return "올바른 URL 이 아닙니다";
+      }
+    }
+
+    case "int": {
+      const n = fromEnv ? Number(value) : value;
+      if (!Number.isInteger(n) || (fromEnv && !/^-?\d+$/.test(String(value).trim()))) {
+        return "정수여야 합니다";
+      }
+      return rule.min != null && n < rule.min ? `${rule.min} 이상이어야 합니다` : null;
+    }
+
+    case "bool":
+      if (fromEnv) return BOOL_TEXT.test(String(value).trim()) ? null : "true / false 여야 합니다";
+      return typeof value === "boolean" ? null : "true / false 여야 합니다";
+
+    case "enum": {
+      const v = String(value).trim().toLowerCase();
+      return rule.values.includes(v) ? null : `${rule.values.join(" | ")} 중 하나여야 합니다`;
+    }
+
+    case "list": {
+      const items = (Array.isArray(value) && !fromEnv ? value : String(value).split(","))
+        .map((v) => String(v).trim().toLowerCase())
+        .filter(Boolean);
+      if (items.length === 0 || items.some((v) => !rule.values.includes(v))) {
+        return `${rule.values.join(", ")} 중에서 쉼표로 구분해 골라야 합니다`;
+      }
+      return null;
+    }
+
+    default:
+      return `알 수 없는 스키마 타입: ${rule.type}`;
+  }
+}
+
+function show(value, rule) {
+  if (rule?.secret) return "(비공개)";
+  return JSON.stringify(value);
+}
+
+function validateGroups(groups, errors) {
+  if (groups === undefined) return;
+  if (!Array.isArray(groups)) {
+    errors.push("groups: 배열이어야 합니다");
+    return;
+  }
+
+  const seen = new Set();
+  groups.forEach((g, i) => {
+    const where = `groups[${i}]`;
+    if (!g || typeof g !== "object" || Array.isArray(g)) {
+      errors.push(`${where}: { id, name, emoji?, tickers? } 객체여야 합니다`);
+      return;
+    }
+    for (const key of Object.keys(g)) {
+      if (!["id", "name", "emoji", "tickers"].includes(key)) {
+        errors.push(`${where}.${key}: 알 수 없는 항목입니다 (id, name, emoji, tickers 만 허용)`);
+      }
+    }
+    if (!Number.isInteger(g.id) || g.id <= 0) {
+      errors.push(`${where}.id: 1 이상의 정수여야 합니다 (현재: ${JSON.stringify(g.id)})`);
+    } else if (seen.has(g.id)) {
+      errors.push(`${where}.id: 중복된 groupId 입니다 (${g.id})`);
+    } else {
+      seen.add(g.id);
+    }
+    if (typeof g.name !== "string" || !g.name.trim()) {
+      errors.push(`${where}.name: 비어 있지 않은 문자열이어야 합니다`);
+    }
+    if (g.emoji !== undefined && (typeof g.emoji !== "string" || !g.emoji.trim())) {
+      errors.push(`${where}.emoji: 이모지 문자열이어야 합니다`);
+    }
+    if (g.tickers !== undefined && typeof g.tickers !== "boolean") {
+      errors.push(`${where}.tickers: true / false 여야 합니다`);
+    }
+  });
+}
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((v) => typeof v === "string" && v.trim())
+  );
+}
+
+function validateRules(rules, errors) {
+  if (rules === undefined) return;
+  if (!Array.isArray(rules)) {
+    errors.push("rules: 배열이어야 합니다");
+    return;
+  }
+
+  const seen = new Set();
+  rules.forEach((r, i) => {
+    const where = `rules[${i}]`;
+    if (!r || typeof r !== "object" || Array.isArray(r)) {
+      errors.push(`${where}: { name?, match, action, ... } 객체여야 합니다`);
+      return;
+    }
+
+    const extra = RULE_ACTIONS[r.action];
+    if (!extra) {
+      errors.push(
+        `${where}.action: ${Object.keys(RULE_ACTIONS).join(" | ")} 중 하나여야 합니다 (현재: ${JSON.stringify(r.action)})`
+      );
+    }
+
+    const allowed = ["name", "match", "action", ...(extra || [])];
+    for (const key of Object.keys(r)) {
+      if (!allowed.includes(key)) {
+        errors.push(`${where}.${key}: 알 수 없는 항목입니다 (허용: ${allowed.join(", ")})`);
+      }
+    }
+
+    if (r.name !== undefined) {
+      if (typeof r.name !== "string" || !r.name.trim()) {
+        errors.push(`${where}.name: 비어 있지 않은 문자열이어야 합니다`);
+      } else if (seen.has(r.name)) {
+        errors.push(`${where}.name: 중복된 규칙 이름입니다 (${r.name})`);
+      } else {
+        seen.add(r.name);
+      }
+    }
+
+    const match = r.match;
+    if (!match || typeof match !== "object" || Array.isArray(match)) {
+      errors.push(`${where}.match: 객체여야 합니다 (${RULE_MATCH_KEYS.join(", ")})`);
+    } else {
+      const keys = Object.keys(match);
+      if (keys.length === 0) {
+        errors.push(`${where}.match: 조건이 하나 이상 있어야 합니다`);
+      }
+      for (const key of keys) {
+        if (!RULE_MATCH_KEYS.includes(key)) {
+          errors.push(
+            `${where}.match.${key}: 알 수 없는 조건입니다 (허용: ${RULE_MATCH_KEYS.join(", ")})`
+          );
+        } else if (key === "regex") {
+          if (typeof match.regex !== "string" || !match.regex) {
+            errors.push(`${where}.match.regex: 정규식 문자열이어야 합니다`);
+          } else {
+            try {
+              new RegExp(match.regex, "i");
+            } catch (err) {
+              errors.push(`${where}.match.regex: 올바른 정규식이 아닙니다 (${err.message})`);
+            }
+          }
+        } else if (!isStringList(match[key])) {
+          errors.push(`${where}.match.${key}: 비어 있지 않은 문자열 배열이어야 합니다`);
+        }
+      }
+    }
+
+    if (r.action === "tag" && !isStringList(r.tags)) {
+      errors.push(`${where}.tags: 비어 있지 않은 문자열 배열이어야 합니다`);
+    }
+    if (r.action === "route" && (typeof r.database !== "string" || !r.database.trim())) {
+      errors.push(`${where}.database: Notion 데이터베이스 ID 문자열이어야 합니다`);
+    }
+  });
+}
+
+function validateProperties(properties, errors) {
+  if (properties === undefined) return;
+  if (!properties || typeof properties !== "object" || Array.isArray(properties)) {
+    errors.push('properties: 객체여야 합니다 ({ "필드": "속성 이름" | { name, type } | false })');
+    return;
+  }
+
+  const fields = Object.keys(PROPERTY_FIELDS);
+  for (const [field, value] of Object.entries(properties)) {
+    const where = `properties.${field}`;
+    const def = PROPERTY_FIELDS[field];
+    if (!def) {
+      errors.push(`${where}: 알 수 없는 필드입니다 (허용: ${fields.join(", ")})`);
+      continue;
+    }
+
+    if (value === false) {
+      if (def.locked) errors.push(`${where}: 끌 수 없는 필드입니다`);
+    } else if (typeof value === "string") {
+      if (!value.trim()) errors.push(`${where}: 비어 있지 않은 속성 이름이어야 합니다`);
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const key of Object.keys(value)) {
+        if (!["name", "type"].includes(key)) {
+          errors.push(`${where}.${key}: 알 수 없는 항목입니다 (name, type 만 허용)`);
+        }
+      }
+      if (value.name !== undefined && (typeof value.name !== "string" || !value.name.trim())) {
+        errors.push(`${where}.name: 비어 있지 않은 속성 이름이어야 합니다`);
+      }
+      if (value.type !== undefined && !def.types.includes(value.type)) {
+        errors.push(
+          `${where}.type: ${def.types.join(" | ")} 중 하나여야 합니다 (현재: ${JSON.stringify(value.type)})`
+        );
+      }
+    } else {
+      errors.push(`${where}: 속성 이름 문자열, { name, type } 객체 또는 false 여야 합니다`);
+    }
+  }
+
+  // 켜진 필드끼리 같은 속성 이름을 쓰면 서로 덮어씀
+  const owners = new Map();
+  for (const [field, def] of Object.entries(PROPERTY_FIELDS)) {
+    const value = properties[field];
+    if (value === false) continue;
+    const name = typeof value === "string" ? value : value?.name ?? def.name;
+    if (typeof name !== "string") continue;
+    if (owners.has(name)) {
+      errors.push(`properties.${field}: 속성 이름 '${name}' 이 ${owners.get(name)} 와 겹칩니다`);
+    } else {
+      owners.set(name, field);
+    }
+  }
+}
+
+/**
+ * 설정 객체 + 환경 변수 검증
+ * @returns {Array<string>} 오류 목록 (없으면 빈 배열)
+ */
+export function validateConfig(raw, env = process.env) {
+  const errors = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return ["설정 파일 최상위는 객체({ ... })여야 합니다"];
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`${key}: 알 수 없는 항목입니다 (허용: ${TOP_LEVEL_KEYS.join(", ")})`);
+    }
+  }
+
+  validateGroups(raw.groups, errors);
+  validateRules(raw.rules, errors);
+  validateProperties(raw.properties, errors);
+
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    const values = raw[section];
+    if (values !== undefined && (typeof values !== "object" || Array.isArray(values))) {
+      errors.push(`${section}: 객체여야 합니다`);
+      continue;
+    }
+
+    for (const key of Object.keys(values || {})) {
+      if (!(key in fields)) {
+        errors.push(
+          `${section}.${key}: 알 수 없는 항목입니다 (허용: ${Object.keys(fields).join(", ")})`
+        );
+      }
+    }
+
+    for (const [key, rule] of Object.entries(fields)) {
+      const value = values?.[key];
+      if (value !== undefined && value !== null) {
+        const problem = checkValue(rule, value, false);
+        if (problem) errors.push(`${section}.${key}: ${problem} (현재: ${show(value, rule)})`);
+      }
+
+      for (const name of [].concat(rule.env)) {
+        const envValue = env[name];
+        if (envValue === undefined || envValue === "") continue;
+        const problem = checkValue(rule, envValue, true);
+        if (problem) {
+          errors.push(`환경 변수 ${name}: ${problem} (현재: ${show(envValue, rule)})`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ───────────────────────────────────────────────
+// 📥 로드 & 환경 변수 반영
+// ───────────────────────────────────────────────
+
+function readConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new ConfigError([`${path.basename(configPath)} JSON 파싱 실패: ${err.message}`]);
+  }
+}
+
+/**
+ * 파일 값 중 환경 변수가 비어 있는 항목만 process.env 에 채움
+ */
+function applyToEnv(raw, configDir) {
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    for (const [key, rule] of Object.entries(fields)) {
+      let value = raw[section]?.[key];
+      if (value === undefined || value === null) continue;
+      if (rule.type === "path") value = path.resolve(configDir, value);
+
+      for (const name of [].concat(rule.env)) {
+        if (process.env[name] === undefined || process.env[name] === "") {
+          process.env[name] = String(value);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 설정 파일 로드 → 검증 → 환경 변수 반영
+ * @returns {object} 검증된 설정 객체 (파일이 없으면 {})
+ */
+export function loadConfig(configPath = CONFIG_PATH) {
+  const raw = readConfigFile(configPath);
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  applyToEnv(raw, path.dirname(configPath));
+  return raw;
+}
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+
+  const shown = path.relative(process.cwd(), CONFIG_PATH);
+  console.error(`❌ 설정 오류 (${shown.startsWith("..") ? CONFIG_PATH : shown}):`);
+  for (const message of err.errors) console.error(`  - ${message}`);
+  process.exit(EXIT_CONFIG_INVALID);
+}
+
+/**
+ * 검증을 통과한 설정 (파일이 없으면 {})
+ */
+export const config = loaded;
@@ -0,0 +1,153 @@
+/**
+ * dry-run.js
+ * ───────────────────────────────────────────────
+ * 🧪 드라이런 (읽기만 하고 쓰지 않음) + 계획 보고서
+ *
+ *  - --dry-run 또는 DRY_RUN=true 이면
+ *      - Notion 조회 / 네이버 요청은 평소대로 하고
+ *      - Notion 생성/수정, 상태 파일(.scrape-state.json), 인덱스 캐시는 쓰지 않는다
+ *  - 대신 UniqueID 별로 "무엇을 할 예정이었는지" 를 모아 실행 끝에 보고서로 저장
+ *      - action  : create / update / skip
+ *      - changes : 필드별 { before, after } (Title, URL, Category, Group, Nickname, BlogID, UniqueID)
+ *        (필드 이름은 고정, 값은 설정의 속성 매핑대로 읽음 → notion-properties.js)
+ *  - 보고서 형식은 경로 확장자로 결정
+ *      - .json : { script, generatedAt, summary, items[] }
+ *      - .csv  : 바뀌는 필드 하나당 한 줄 (uniqueId, pageId, action, title, field, before, after)
+ *
+ * 사용처: notion.js / PerGroup/notion.js (스크래퍼), migrate-blogid.js, fix-ids-from-url.js
+ *
+ * 환경 변수:
+ *  - DRY_RUN        : true 면 드라이런 (--dry-run 인자와 동일)
+ *  - DRY_RUN_REPORT : 보고서 경로 (기본: 현재 디렉토리의 dry-run-report.json)
+ */
+
+import fs from "fs";
+import path from "path";
+import { readProperty, isPropertyEnabled } from "./notion-properties.js";
+
+export const DRY_RUN =
+  process.argv.includes("--dry-run") ||
+  /^(1|true|yes)$/i.test(process.env.DRY_RUN || "");
+
+const REPORT_PATH = path.resolve(process.env.DRY_RUN_REPORT || "dry-run-report.json");
+
+// 보고서에 before/after 를 남기는 필드 → 논리 필드 (순서 = CSV 순서)
+//  - 보고서 필드 이름은 고정, 실제 Notion 속성 이름은 notion-properties.js 매핑
+export const REPORT_FIELDS = {
+  Title: "title",
+  URL: "url",
+  Category: "category",
+  Group: "groups",
+  Nickname: "nickname",
+  BlogID: "blogId",
+  UniqueID: "uniqueId",
+};
+
+const plans = [];
+
+// ───────────────────────────────────────────────
+// 🧩 속성 → 비교용 문자열
+// ───────────────────────────────────────────────
+
+/**
+ * 속성 객체 → 보고서 필드 값 { Title, URL, ... }
+ *  - multi_select 는 이름 정렬 후 "," 로 연결
+ *  - migrate-blogid.js / fix-ids-from-url.js: before = page.properties,
+ *    after = { ...page.properties, ...updates }
+ */
+export function snapshotProperties(properties = {}) {
+  return Object.fromEntries(
+    Object.entries(REPORT_FIELDS).map(([label, field]) => {
+      const value = readProperty(properties, field);
+      return [label, Array.isArray(value) ? value.join(",") : value];
+    })
+  );
+}
+
+// ───────────────────────────────────────────────
+// 📝 기록
+// ───────────────────────────────────────────────
+
+/**
+ * 예정된 작업 하나 기록
+ *
+ * @param {{
+ *   uniqueId: string, pageId?: string|null, title?: string,
+ *   action: "create"|"update"|"skip",
+ *   before?: object|null,  // 보고서 필드 값 (create 는 null)
+ *   after?: object|null,   // skip 이면 생략 (아무것도 쓰지 않으므로)
+ * }} plan
+ */
+export function recordPlan({ uniqueId, pageId = null, title = "", action, before = null, after = null }) {
+  const changes = {};
+  if (after) {
+    for (const [field, logical] of Object.entries(REPORT_FIELDS)) {
+      // 설정에서 꺼진 속성은 쓰지 않으므로 보고하지 않음
+      if (!(field in after) || !isPropertyEnabled(logical)) continue;
+      const prev = before?.[field] ?? "";
+      const next = after[field] ?? "";
+      if (prev !== next) changes[field] = { before: prev, after: next };
+    }
+  }
+
+  plans.push({ uniqueId, pageId, action, title, changes });
+
+  const label = { create: "생성 예정", update: "업데이트 예정", skip: "변경 없음" }[action];
+  const fields = Object.keys(changes);
+  console.log(
+    `🧪 [dry-run] ${label}: ${title || uniqueId}` +
+      (action === "update" && fields.length > 0 ? ` (${fields.join(", ")})` : "")
+  );
+}
+
+// ───────────────────────────────────────────────
+// 📤 보고서
+// ───────────────────────────────────────────────
+
+function csvCell(value) {
+  return `"${String(value ?? "").replace(/"/g, '""')}"`;
+}
+
+function formatCsv() {
+  const header = ["uniqueId", "pageId", "action", "title", "field", "before", "after"];
+  const rows = [];
+
+  for (const plan of plans) {
+    const base = [plan.uniqueId, plan.pageId, plan.action, plan.title];
+    const fields = Object.entries(plan.changes);
+    if (fields.length === 0) {
+      rows.push([...base, "", "", ""]);
+      continue;
+    }
+    for (const [field, { before, after }] of fields) {
+      rows.push([...base, field, before, after]);
+    }
+  }
+
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * 기록한 계획을 보고서 파일로 저장 + 요약 출력 (드라이런이 아니면 아무것도 안 함)
+ *
+ * @param {string} script 보고서에 남길 실행 스크립트 이름
+ */
+export function writeDryRunReport(script) {
+  if (!DRY_RUN) return;
+
+  const summary = { create: 0, update: 0, skip: 0 };
+  for (const plan of plans) summary[plan.action]++;
+
+  const body = REPORT_PATH.toLowerCase().endsWith(".csv")
+    ? formatCsv()
+    : JSON.stringify(
+        { script, generatedAt: new Date().toISOString(), summary, items: plans },
+        null,
+        2
+      );
+
+  fs.writeFileSync(REPORT_PATH, body, "utf8");
+  console.log(
+    `🧪 드라이런 보고서: 생성 ${summary.create} / 업데이트 ${summary.update} / 변경 없음 ${summary.skip} → ${REPORT_PATH}`
+  );
+}
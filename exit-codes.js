@@ -0,0 +1,33 @@
+/**
+ * exit-codes.js
+ * ───────────────────────────────────────────────
+ * 🚪 모든 스크립트/CLI 공통 종료 코드
+ *
+ *  - 워크플로우는 cli.js 하나만 호출하고, 종료 코드로 실패 종류를 구분한다
+ *  - CommonJS 스크립트(BlogID/, neighbor-activity/)는 0 / 1 만 사용
+ */
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1; // 일반 오류
+export const EXIT_USAGE = 2; // 잘못된 명령/옵션
+export const EXIT_SESSION_EXPIRED = 3; // 네이버 쿠키 만료 (naver-session.js)
+export const EXIT_PAGES_FAILED = 4; // 재시도 후에도 못 가져온 페이지 있음 (naver-request.js)
+export const EXIT_CONFIG_INVALID = 5; // 설정 파일/환경 변수 검증 실패 (config.js)
+export const EXIT_SCHEMA_INVALID = 6; // Notion DB 속성이 스크래퍼와 맞지 않음 (notion-schema.js)
+export const EXIT_SIGINT = 130; // Ctrl+C 등으로 중단 (128 + 2)
+export const EXIT_SIGTERM = 143; // 워크플로우 취소 등으로 중단 (128 + 15)
+
+/**
+ * 도움말 출력용 설명
+ */
+export const EXIT_CODE_DESCRIPTIONS = [
+  [EXIT_OK, "성공"],
+  [EXIT_FAILURE, "실패 (일반 오류)"],
+  [EXIT_USAGE, "잘못된 명령 또는 옵션"],
+  [EXIT_SESSION_EXPIRED, "네이버 세션(쿠키) 만료"],
+  [EXIT_PAGES_FAILED, "일부 페이지를 끝내 가져오지 못함"],
+  [EXIT_CONFIG_INVALID, "설정 파일 / 환경 변수 값이 올바르지 않음"],
+  [EXIT_SCHEMA_INVALID, "Notion DB 속성(컬럼)이 스크래퍼와 맞지 않음"],
+  [EXIT_SIGINT, "SIGINT 로 중단"],
+  [EXIT_SIGTERM, "SIGTERM 으로 중단"],
+];
@@ -13,19 +13,36 @@
  *      - 현재 BlogID != {blogId}
  *      - 현재 UniqueID != {blogId}_{postId}
  *  4. URL이 없거나, 네이버 블로그 패턴이 아니면 건드리지 않음
+ *  5. --dry-run / DRY_RUN=true 면 수정하지 않고 예정 변경만 보고서로 저장 (dry-run.js)
  *
  * ⚠️ 전제
  *  - NOTION_API_KEY, NOTION_DATABASE_ID 환경 변수 설정 필수
- *  - Notion 속성 이름:
- *      - URL      : URL 타입 컬럼
- *      - BlogID   : Rich text
- *      - UniqueID : Rich text
+ *    (NOTION_FAKE_DB 설정 시 실제 Notion 대신 로컬 대역 사용)
+ *  - Notion 속성 (이름은 설정의 "properties" 매핑 → notion-properties.js):
+ *      - url      : URL 타입 컬럼 (기본 URL)
+ *      - blogId   : Rich text (기본 BlogID)
+ *      - uniqueId : Rich text (기본 UniqueID)
  */
 
 import "dotenv/config";
-import { Client } from "@notionhq/client";
-
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+import "./config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { createNotionClient } from "./notion-client.js";
+import { runConcurrent } from "./notion-scheduler.js";
+import {
+  readProperty,
+  writeProperty,
+  propertyFilter,
+  requireProperties,
+} from "./notion-properties.js";
+import {
+  DRY_RUN,
+  recordPlan,
+  snapshotProperties,
+  writeDryRunReport,
+} from "./dry-run.js";
+
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
 const databaseId = process.env.NOTION_DATABASE_ID;
 
 if (!databaseId) {
@@ -33,6 +50,8 @@ if (!databaseId) {
   process.exit(1);
 }
 
+requireProperties(["url", "blogId"], "fix-ids-from-url.js");
+
 // ───────────────────────────────────────────────
 // 🧩 URL → blogId, postId 추출
 // ───────────────────────────────────────────────
@@ -65,10 +84,7 @@ async function getAllPagesWithUniqueId() {
       database_id: databaseId,
       start_cursor: cursor,
       page_size: 100,
-      filter: {
-        property: "UniqueID",
-        rich_text: { is_not_empty: true },
-      },
+      filter: propertyFilter("uniqueId", { is_not_empty: true }),
     });
 
     pages.push(...res.results);
@@ -96,88 +112,84 @@ async function fixIdsFromUrl() {
   let skippedNoPattern = 0;
   let alreadyOk = 0;
 
-  for (const page of pages) {
-    checked++;
+  // NOTION_CONCURRENCY 개씩 동시에 수정 (요청 속도는 notion-scheduler.js 의 토큰 버킷)
+  await runConcurrent(
+    pages,
+    async (page) => {
+      checked++;
 
-    const props = page.properties || {};
+      const props = page.properties || {};
 
-    const url = props.URL?.url || null;
-    if (!url) {
-      skippedNoUrl++;
-      continue;
-    }
+      const url = readProperty(props, "url") || null;
+      if (!url) {
+        skippedNoUrl++;
+        return;
+      }
 
-    const parsed = extractFromUrl(url);
-    if (!parsed) {
-      // 네이버 블로그 URL 형식이 아니면 스킵
-      skippedNoPattern++;
-      continue;
-    }
+      const parsed = extractFromUrl(url);
+      if (!parsed) {
+        // 네이버 블로그 URL 형식이 아니면 스킵
+        skippedNoPattern++;
+        return;
+      }
 
-    const { blogId, postId, uniqueId } = parsed;
+      const { blogId, postId, uniqueId } = parsed;
 
-    const oldBlogId =
-      props.BlogID?.rich_text?.[0]?.plain_text || "";
-    const oldUniqueId =
-      props.UniqueID?.rich_text?.[0]?.plain_text || "";
+      const oldBlogId = readProperty(props, "blogId");
+      const oldUniqueId = readProperty(props, "uniqueId");
 
-    const needsBlogIdUpdate = oldBlogId !== blogId;
-    const needsUniqueIdUpdate = oldUniqueId !== uniqueId;
+      const needsBlogIdUpdate = oldBlogId !== blogId;
+      const needsUniqueIdUpdate = oldUniqueId !== uniqueId;
 
-    if (!needsBlogIdUpdate && !needsUniqueIdUpdate) {
-      alreadyOk++;
-      continue;
-    }
+      if (!needsBlogIdUpdate && !needsUniqueIdUpdate) {
+        alreadyOk++;
+        return;
+      }
 
-    const properties = {};
-
-    if (needsBlogIdUpdate) {
-      properties.BlogID = {
-        rich_text: [
-          {
-            text: { content: blogId },
-          },
-        ],
-      };
-    }
-
-    if (needsUniqueIdUpdate) {
-      properties.UniqueID = {
-        rich_text: [
-          {
-            text: { content: uniqueId },
-          },
-        ],
+      const properties = {
+        ...(needsBlogIdUpdate && writeProperty("blogId", blogId)),
+        ...(needsUniqueIdUpdate && writeProperty("uniqueId", uniqueId)),
       };
-    }
-
-    try {
-      await notion.pages.update({
-        page_id: page.id,
-        properties,
-      });
-
-      updated++;
-
-      console.log(
-        `🔄 수정: ${page.id} | URL=${url}` +
-          (needsBlogIdUpdate
-            ? ` | BlogID: '${oldBlogId}' → '${blogId}'`
-            : "") +
-          (needsUniqueIdUpdate
-            ? ` | UniqueID: '${oldUniqueId}' → '${uniqueId}'`
-            : "")
-      );
-    } catch (err) {
-      console.error(
-        `❌ 업데이트 실패 (page ${page.id}):`,
-        err.message || err
-      );
-    }
-
-    // Notion 레이트 리밋 방지용 살짝 딜레이
-    await new Promise((r) => setTimeout(r, 150));
-  }
+
+      if (DRY_RUN) {
+        const before = snapshotProperties(props);
+        recordPlan({
+          uniqueId: oldUniqueId || uniqueId,
+          pageId: page.id,
+          title: before.Title,
+          action: "update",
+          before,
+          after: snapshotProperties({ ...props, ...properties }),
+        });
+        return;
+      }
+
+      try {
+        await notion.pages.update({
+          page_id: page.id,
+          properties,
+        });
+
+        updated++;
+
+        console.log(
+          `🔄 수정: ${page.id} | URL=${url}` +
+            (needsBlogIdUpdate
+              ? ` | BlogID: '${oldBlogId}' → '${blogId}'`
+              : "") +
+            (needsUniqueIdUpdate
+              ? ` | UniqueID: '${oldUniqueId}' → '${uniqueId}'`
+              : "")
+        );
+      } catch (err) {
+        console.error(
+          `❌ 업데이트 실패 (page ${page.id}):`,
+          err.message || err
+        );
+      }
+    },
+    { keyOf: (page) => page.id }
+  );
 
   console.log("✅ 처리 완료 요약");
   console.log(`  - 확인한 페이지: ${checked}`);
@@ -185,6 +197,8 @@ async function fixIdsFromUrl() {
   console.log(`  - 이미 일치 (건드리지 않음): ${alreadyOk}`);
   console.log(`  - URL 없음 (스킵): ${skippedNoUrl}`);
   console.log(`  - 네이버 패턴 아님 (스킵): ${skippedNoPattern}`);
+
+  writeDryRunReport("fix-ids-from-url.js");
 }
 
 // ───────────────────────────────────────────────
@@ -1,36 +1,40 @@
 /**
  * groups.js
  * ───────────────────────────────────────────────
- * 이웃그룹 목록 정의 파일
+ * 이웃그룹 목록
  *
- * - id: Naver 이웃 그룹의 groupId
- * - name: Notion Group 열에 들어갈 이름
+ * - 목록 자체는 설정 파일(naver-notion.config.json)의 "groups" 에서 관리합니다.
+ *   (config.js 가 로드 + 검증, 형식이 잘못되면 실행 전에 오류로 중단)
+ * - 각 원소:
+ *     - id: Naver 이웃 그룹의 groupId
+ *     - name: Notion Group 열에 들어갈 이름
+ *     - emoji: (옵션) 이 그룹 글로 새 Notion 페이지를 만들 때 쓸 아이콘
+ *     - tickers: (옵션) true 면 이 그룹 글에서 종목을 추출해 Tickers 에 저장 (post-tickers.js)
  * - groupId=0 (전체이웃)는 넣지 않습니다.
  *
  * ⚠️ 순서는 스크랩 순서입니다.
- * ⚠️ 새 그룹 생기면 배열에 한 줄만 추가하면 index.js가 자동으로 인식합니다.
+ * ⚠️ 새 그룹 생기면 설정 파일 groups 배열에 한 줄만 추가하면 index.js가 자동으로 인식합니다.
+ *    예) { "id": 15, "name": "새그룹", "emoji": "📌" }
+ * ℹ️ 예전에 쓰다 뺀 그룹: { id: 5, "중국투자" }, { id: 9, "에코" }, { id: 8, "15.Youtuber" }
  */
 
-export const GROUPS = [
-  { id: 1, name: "01.Daily" },
-  { id: 7, name: "02.Insight" },
-  { id: 14, name: "03.정리" },  
-  { id: 13, name: "04.Diligent" },
-  { id: 17, name: "05.Influncer" },
-  { id: 19, name: "06.투자(V)" },
-  { id: 18, name: "07.투자(A)" },
-  { id: 22, name: "08.투자(CI)" },
-  { id: 23, name: "09.투자(종합)" },
-  { id: 21, name: "10.투자(세상)" },
-  { id: 2, name: "11.투자" },
-  { id: 15, name: "12.Feed" },
-  { id: 16, name: "13.Macro" },
-  { id: 24, name: "14.단순정보" },
-  { id: 4, name: "15.증권사" },
-  { id: 3, name: "16.해외투자" }
-  //{ id: 5, name: "중국투자" },  
-  //{ id: 9, name: "에코" },
-  //{ id: 8, name: "15.Youtuber" },
-  // ✅ 새 그룹을 추가하려면 아래처럼 한 줄만 추가하세요.
-  // { id: 15, name: "새그룹" },
-];
+import { config } from "./config.js";
+
+export const GROUPS = config.groups || [];
+
+/**
+ * 그룹 이름 배열(post.groupNames) → 아이콘 이모지
+ *  - 여러 그룹이면 GROUPS 순서상 먼저 나오는 그룹의 emoji
+ *  - emoji 가 설정된 그룹이 없으면 null
+ */
+export function findGroupEmoji(groupNames = []) {
+  const group = GROUPS.find((g) => g.emoji && groupNames.includes(g.name));
+  return group ? group.emoji : null;
+}
+
+/**
+ * 그룹 이름 배열(post.groupNames) 중 "tickers": true 인 그룹(투자 그룹)이 있는지
+ */
+export function hasTickerGroup(groupNames = []) {
+  return GROUPS.some((g) => g.tickers === true && groupNames.includes(g.name));
+}
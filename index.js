@@ -9,25 +9,116 @@
  *    blogId, postId 를 추출하여 사용한다.
  *  - UniqueID = {blogId}_{postId}
  *  - CSV(neighbor-followings-result.csv)의 blogId, groupNames, nickname을
- *    그대로 우선 사용한다.
+ *    그대로 우선 사용한다. (읽기/검증은 neighbor-meta.js)
+ *
+ * 실행 모드 (SCRAPE_MODE):
+ *  - full (기본)  : MAX_PAGE → 1 페이지 순으로 전부 업서트
+ *  - incremental : 1페이지부터 앞으로 스캔하다가 "이미 본 글"만 있는
+ *                  페이지에서 멈추고, 새 글만 과거 → 최신 순으로 업서트
+ *                  (high-water mark 는 scrape-state.js 의 상태 파일에 저장)
+ *
+ * 녹화/재생 (NAVER_FIXTURE_MODE, naver-fixtures.js):
+ *  - record : BuddyPostList 원본 응답을 fixtures/naver 에 저장
+ *  - replay : 저장된 응답으로 네트워크/쿠키 없이 실행
+ *
+ * 세션 점검 (naver-session.js):
+ *  - 시작 전 1페이지로 쿠키 만료 여부 확인, 실행 중에도 모든 응답 점검
+ *  - 만료 감지 시 체크포인트를 남기고 종료 코드 3 으로 중단
+ *
+ * 카테고리 / 태그 (post-category.js, post-tags.js):
+ *  - 목록 항목에 없으면 카테고리 목록 API / 글 페이지에서 조회해 Category 에 저장
+ *  - 작성자가 붙인 #태그는 정규화 후 Tags(multi-select) 에 저장
+ *  - 추가 조회는 새 글이거나 저장된 값이 빈 글만 (post-details.js)
+ *
+ * 공감/댓글 수 (post-engagement.js):
+ *  - 새 글의 업서트 시점 숫자를 Sympathy / Comments 에 저장
+ *  - 이미 저장된 글의 숫자는 refresh-engagement.js 로 다시 갱신
+ *
+ * 종목 (post-tickers.js):
+ *  - 투자 그룹 글의 제목/요약에서 종목코드 / 티커 / 회사 이름을 찾아 Tickers 에 저장
+ *
+ * 필터 규칙 (post-rules.js):
+ *  - 설정 파일 rules 에 따라 업서트 직전에 글을 건너뛰거나(skip/keep) 태그/DB 지정
+ *  - 실행 끝에 규칙별 적용 건수 출력
+ *
+ * 요청 제어 (naver-request.js):
+ *  - 429/5xx 는 백오프 후 재시도, 에러가 늘면 요청 간격을 자동으로 늘림
+ *  - 끝내 못 가져온 페이지는 실행 종료 시 목록 출력 + 종료 코드 4
+ *
+ * 중단/재개:
+ *  - 페이지마다 체크포인트(현재 페이지, 처리한 UniqueID)를 상태 파일에 저장
+ *  - 다음 실행은 체크포인트 페이지부터 재개 (--reset-checkpoint 로 폐기)
+ *  - incremental 은 페이지 위치 대신 처리한 UniqueID 로만 재개
+ *    (그 사이 새 글이 올라와 페이지 위치가 밀려도 남은 글을 빠뜨리지 않도록)
+ *
+ * 저장소 (POST_SINKS, post-sinks.js):
+ *  - notion(기본) / sqlite(로컬 아카이브, sqlite-archive.js) /
+ *    markdown(Obsidian 볼트, markdown-vault.js) 중 하나 이상
+ *  - notion 을 빼면 Notion 설정 없이 실행 가능
+ *
+ * 드라이런 (--dry-run / DRY_RUN, dry-run.js):
+ *  - 네이버/Notion 조회만 하고 Notion·상태 파일에는 쓰지 않음
+ *  - 글마다 create/update/skip 예정과 필드별 변경 전/후를 보고서(JSON/CSV)로 저장
  */
 
 import "dotenv/config";
-import fetch from "node-fetch";
-import { upsertPost } from "./notion.js";
+import "./config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { openPostSinks } from "./post-sinks.js";
+import { fetchBuddyPostListRaw, IS_REPLAY } from "./naver-fixtures.js";
+import {
+  recordFailedPage,
+  reportFailedPages,
+  EXIT_PAGES_FAILED,
+} from "./naver-request.js";
+import {
+  NaverSessionError,
+  EXIT_SESSION_EXPIRED,
+  assertNaverSession,
+  inspectResponse,
+  inspectPayload,
+  stripNaverPrefix,
+  extractPostList,
+} from "./naver-session.js";
+import { categoryFromListItem } from "./post-category.js";
+import { tagsFromListItem } from "./post-tags.js";
+import { thumbnailFromListItem } from "./post-thumbnail.js";
+import { tickersForPost } from "./post-tickers.js";
+import { engagementFromListItem } from "./post-engagement.js";
+import { resolvePostDetails } from "./post-details.js";
+import { applyPostRules, reportRuleStats, ROUTE_DATABASES } from "./post-rules.js";
+import { NotionSchemaError } from "./notion-schema.js";
+import { EXIT_SCHEMA_INVALID } from "./exit-codes.js";
+import { runConcurrent } from "./notion-scheduler.js";
+import { writeDryRunReport } from "./dry-run.js";
+import {
+  loadState,
+  saveState,
+  postUniqueId,
+  isKnownPost,
+  updateHighWater,
+  takeCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  flushStateOnSignal,
+} from "./scrape-state.js";
 
-import fs from "fs";
 import path from "path";
-import { parse } from "csv-parse/sync";
+import { loadNeighborMeta } from "./neighbor-meta.js";
 import { fileURLToPath } from "url";
 
 // ───────────────────────────────────────────────
 // 🔧 환경 변수 & 경로
 // ───────────────────────────────────────────────
 
+// replay 모드에서는 쿠키 없이 녹화된 응답을 사용하므로 기본 URL 로 대체
+const DEFAULT_API_TEMPLATE =
+  "https://section.blog.naver.com/ajax/BuddyPostList.naver?page=1&groupId=0";
+
 const NAVER_COOKIE = process.env.NAVER_COOKIE;
-const API_TEMPLATE = process.env.NAVER_NEIGHBOR_API_URL;
+const API_TEMPLATE =
+  process.env.NAVER_NEIGHBOR_API_URL || (IS_REPLAY ? DEFAULT_API_TEMPLATE : "");
 const MAX_PAGE = Number(process.env.MAX_PAGE || 150);
+const SCRAPE_MODE = (process.env.SCRAPE_MODE || "full").trim().toLowerCase();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,7 +126,7 @@ const CSV_PATH =
   process.env.NEIGHBOR_CSV_PATH ||
   path.resolve(__dirname, "neighbor-followings-result.csv");
 
-if (!NAVER_COOKIE) {
+if (!NAVER_COOKIE && !IS_REPLAY) {
   console.error("❌ NAVER_COOKIE 가 설정되어 있지 않습니다.");
   process.exit(1);
 }
@@ -45,6 +136,13 @@ if (!API_TEMPLATE) {
   process.exit(1);
 }
 
+if (!["full", "incremental"].includes(SCRAPE_MODE)) {
+  console.error(
+    `❌ SCRAPE_MODE 값이 올바르지 않습니다: ${SCRAPE_MODE} (full | incremental)`
+  );
+  process.exit(1);
+}
+
 // ───────────────────────────────────────────────
 // 🧩 URL → blogId, postId 추출
 // ───────────────────────────────────────────────
@@ -60,65 +158,22 @@ function extractBlogInfoFromUrl(url) {
 // 📂 CSV → blogId / groupNames / nickname 매핑
 // ───────────────────────────────────────────────
 
+/**
+ * neighbor-meta.js 로 CSV 를 읽어 blogId → { groupNames, nickname }
+ *  - groupNames 는 로더가 나눈 배열 그대로 post.groupNames 로 넘긴다
+ *    (CSV 스키마별 구분자 차이는 로더가 처리, 이후 다시 나누지 않음)
+ */
 function loadBlogMetaMap() {
-  if (!fs.existsSync(CSV_PATH)) {
-    console.warn(`⚠️ neighbor-followings-result.csv 를 찾을 수 없습니다: ${CSV_PATH}`);
-    return {};
-  }
-
-  try {
-    const csv = fs.readFileSync(CSV_PATH, "utf8");
-    const records = parse(csv, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-    });
-
-    const map = {};
-    for (const row of records) {
-      const rawBlogId =
-        row.blogId ||
-        row.blogID ||
-        row.BlogID ||
-        row["Blog ID"] ||
-        row.id ||
-        row.ID;
-      if (!rawBlogId) continue;
-      const blogId = String(rawBlogId).trim();
-      if (!blogId) continue;
-
-      const groupNamesRaw =
-        row.groupNames ||
-        row.groupName ||
-        row.GroupNames ||
-        row.GroupName ||
-        "";
-
-      const nicknameRaw =
-        row.nickname ||
-        row.nickName ||
-        row.Nickname ||
-        row.NickName ||
-        row.bloggerName ||
-        row.BloggerName ||
-        row.name ||
-        row.Name ||
-        row["별명"] ||
-        row["닉네임"] ||
-        "";
-
-      map[blogId] = {
-        groupNames: groupNamesRaw ? String(groupNamesRaw).trim() : "",
-        nickname: nicknameRaw ? String(nicknameRaw).trim() : "",
-      };
-    }
-
-    console.log(`✅ CSV 로드 완료: ${Object.keys(map).length}개 blogId 매핑`);
-    return map;
-  } catch (err) {
-    console.error("❌ CSV 파싱 실패:", err.message);
-    return {};
+  const { byBlogId } = loadNeighborMeta(CSV_PATH);
+
+  const map = {};
+  for (const [blogId, row] of byBlogId) {
+    map[blogId] = {
+      groupNames: row.groupNames,
+      nickname: row.nickname,
+    };
   }
+  return map;
 }
 
 const BLOG_META_MAP = loadBlogMetaMap();
@@ -148,13 +203,33 @@ function buildPageUrl(page) {
   }
 }
 
+/**
+ * high-water mark 를 구분하는 피드 키
+ *  - API URL 의 groupId 기준 (없으면 전체 이웃 = "all")
+ */
+function buildFeedKey() {
+  try {
+    const groupId = new URL(API_TEMPLATE).searchParams.get("groupId");
+    return `group:${groupId || "all"}`;
+  } catch {
+    const m = API_TEMPLATE.match(/groupId=(\d+)/);
+    return `group:${m ? m[1] : "all"}`;
+  }
+}
+
+const FEED_KEY = buildFeedKey();
+const CHECKPOINT_RUNNER = "index";
+
 // ───────────────────────────────────────────────
 // 🧹 네이버 응답 전처리
 // ───────────────────────────────────────────────
 
-function stripNaverPrefix(raw) {
-  return raw.replace(/^\)\]\}',?\s*/, "");
-}
+const NAVER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+  Cookie: NAVER_COOKIE,
+  Accept: "application/json, text/plain, */*",
+  Referer: "https://section.blog.naver.com/BlogHome.naver",
+};
 
 function cleanedPreview(raw) {
   const cleaned = stripNaverPrefix(raw || "");
@@ -167,21 +242,19 @@ function cleanedPreview(raw) {
 
 async function fetchPagePosts(page) {
   const url = buildPageUrl(page);
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
-      Cookie: NAVER_COOKIE,
-      Accept: "application/json, text/plain, */*",
-      Referer: "https://section.blog.naver.com/BlogHome.naver",
-    },
-  });
+  const res = await fetchBuddyPostListRaw(url, NAVER_HEADERS, `${page}페이지`);
+
+  // 세션 만료(로그인 리다이렉트, HTML 응답 등)는 빈 페이지로 넘기지 않고 중단
+  const sessionProblem = inspectResponse(res);
+  if (sessionProblem) throw new NaverSessionError(sessionProblem);
 
   if (!res.ok) {
     console.error(`❌ ${page}페이지 API 요청 실패:`, res.status, res.statusText);
-    return { posts: [] };
+    recordFailedPage(`${page}페이지`, `HTTP ${res.status} ${res.statusText}`);
+    return { posts: [], failed: true };
   }
 
-  const raw = await res.text();
+  const raw = res.text;
   let data;
   try {
     const cleaned = stripNaverPrefix(raw);
@@ -189,16 +262,16 @@ async function fetchPagePosts(page) {
   } catch (e) {
     console.error(`❌ ${page}페이지 JSON 파싱 실패:`, e.message);
     console.error(cleanedPreview(raw));
-    return { posts: [] };
+    recordFailedPage(`${page}페이지`, `JSON 파싱 실패: ${e.message}`);
+    return { posts: [], failed: true };
   }
 
-  const result = data.result || data;
-  const list =
-    result.buddyPostList ||
-    result.postList ||
-    result.list ||
-    result.items ||
-    [];
+  const payloadProblem = inspectPayload(data);
+  if (payloadProblem) throw new NaverSessionError(payloadProblem);
+
+  const list = extractPostList(data);
+  // "3시간 전" 같은 상대 날짜의 기준 시각 (kst-date.js)
+  const fetchedAt = Date.now();
 
   let missingMetaCount = 0;
 
@@ -226,10 +299,10 @@ async function fetchPagePosts(page) {
       if (!blogId || !postId || !link) return null;
 
       const meta = BLOG_META_MAP[blogId] || {};
-      const groupName = meta.groupNames || "";
+      const groupNames = meta.groupNames || [];
       const nicknameCSV = meta.nickname || "";
 
-      if (!meta.groupNames) missingMetaCount++;
+      if (groupNames.length === 0) missingMetaCount++;
 
       // 👉 닉네임은 CSV가 우선
       const nickname =
@@ -254,15 +327,36 @@ async function fetchPagePosts(page) {
         item.previewText ||
         "";
 
+      // 블로거가 직접 분류한 카테고리 / #태그 (없으면 업서트 직전에 조회)
+      const { category, categoryNo } = categoryFromListItem(item);
+      const tags = tagsFromListItem(item);
+
+      // 목록 썸네일 → Notion Thumbnail 속성 + 페이지 cover
+      const thumbnail = thumbnailFromListItem(item);
+
+      // 공감/댓글 수 (목록에 없으면 업서트 직전에 조회)
+      const { sympathyCount, commentCount } = engagementFromListItem(item);
+
+      // 투자 그룹 글이면 제목/요약에서 종목 추출 (아니면 null → 기존 Tickers 유지)
+      const tickers = tickersForPost({ title, description, groupNames });
+
       return {
         title,
         link,
         nickname,
         pubdate,
+        fetchedAt,
         description,
         blogId,
         postId,
-        groupName,
+        groupNames,
+        category,
+        categoryNo,
+        tags,
+        thumbnail,
+        sympathyCount,
+        commentCount,
+        tickers,
       };
     })
     .filter(Boolean);
@@ -275,37 +369,309 @@ async function fetchPagePosts(page) {
   return { posts: posts.reverse() };
 }
 
+/**
+ * 앞서 글이 있던 피드에서 빈 페이지가 나오면 세션 만료일 수 있으므로
+ * 1페이지로 세션을 다시 점검한다 (문제 있으면 NaverSessionError).
+ */
+async function recheckSessionOnEmptyPage(page) {
+  if (IS_REPLAY) return;
+  console.warn(`⚠️ ${page}페이지가 비어 있음 → 세션 재점검`);
+  await assertNaverSession(buildPageUrl(1), NAVER_HEADERS);
+}
+
 // ───────────────────────────────────────────────
-// 🚀 메인 실행
+// 💾 업서트 루프
 // ───────────────────────────────────────────────
 
-async function main() {
-  console.log(
-    "🚀 전체 이웃 새글 → Notion 스크랩 시작 (CSV nickname/groupNames 우선 적용)"
+// 새 글 생성을 모두 넣는 줄 (runConcurrent keyOf, UniqueID 와 겹치지 않도록 Symbol)
+const CREATE_LANE = Symbol("create");
+
+/**
+ * 한 페이지의 posts 를 주어진 순서대로 업서트하고 실패 건수를 반환
+ *
+ *  - checkpoint.doneUniqueIds 에 있는 글은 (이전 실행에서 처리됨) 건너뜀
+ *  - 저장 여부 조회 → 저장 두 단계, 각각 NOTION_CONCURRENCY 개씩 동시에 처리
+ *      - 새 글(생성)은 한 줄(lane)에서 주어진 순서대로 하나씩 → 과거 → 최신 생성 순서 유지
+ *      - 이미 저장된 글(업데이트)만 동시에 (같은 UniqueID 는 순서대로)
+ *  - 업서트에 성공한 글은 checkpoint.doneUniqueIds 에 추가
+ *    → SIGTERM 등으로 중간에 죽어도 flushStateOnSignal 이 그대로 저장
+ */
+async function upsertPagePosts(posts, checkpoint) {
+  const done = new Set(checkpoint.doneUniqueIds);
+  let failedCount = 0;
+
+  const markDone = (post) => {
+    const uniqueId = postUniqueId(post);
+    if (uniqueId) checkpoint.doneUniqueIds.push(uniqueId);
+  };
+  const onError = (err) => {
+    failedCount++;
+    console.error("❌ 저장 오류:", err.message);
+  };
+
+  const pending = posts.filter((post) => {
+    const uniqueId = postUniqueId(post);
+    return !(uniqueId && done.has(uniqueId));
+  });
+
+  // 1) 필터 규칙 + 저장 여부 조회 (요청 속도는 notion-scheduler.js)
+  const storedByPost = new Map(); // post → findStored 결과 (새 글이면 null)
+  await runConcurrent(
+    pending,
+    async (post) => {
+      try {
+        // 필터 규칙 (skip 이면 네트워크 조회 전에 건너뜀, 처리한 것으로 기록)
+        if (!applyPostRules(post)) {
+          markDone(post);
+          return;
+        }
+        storedByPost.set(post, await sinks.findStored(post));
+      } catch (err) {
+        onError(err);
+      }
+    },
+    { keyOf: postUniqueId }
   );
 
+  // 2) 저장: 새 글은 모두 CREATE_LANE 한 줄에 → 동시에 처리해도 생성 순서는 그대로
+  const toSave = pending.filter((post) => storedByPost.has(post));
+  await runConcurrent(
+    toSave,
+    async (post) => {
+      try {
+        // 카테고리/태그/공감·댓글 수 추가 조회는 새 글(또는 저장된 값이 빈 글)만
+        await resolvePostDetails(post, storedByPost.get(post));
+        await sinks.upsertPost(post);
+        markDone(post);
+      } catch (err) {
+        onError(err);
+      }
+    },
+    { keyOf: (post) => (storedByPost.get(post) ? postUniqueId(post) : CREATE_LANE) }
+  );
+
+  return failedCount;
+}
+
+/**
+ * (full 모드) 체크포인트 기준으로 page 를 처리할 차례인지 판단해
+ * 이번 페이지용 체크포인트(진행 중 상태)를 만든다.
+ *  - resume.page 보다 먼저 처리되는 페이지(= 이미 끝난 페이지) → null
+ *  - resume.page 와 같은 페이지 → 이미 처리한 UniqueID 이어받기
+ *  - pinned(앞서 실패한 페이지의 체크포인트)가 있으면 재개 지점은 그대로 둠
+ */
+function beginPage(state, resume, page, pinned) {
+  if (resume && page > resume.page) return null;
+
+  const checkpoint = {
+    mode: SCRAPE_MODE,
+    feedKey: FEED_KEY,
+    page,
+    doneUniqueIds:
+      resume && page === resume.page ? [...resume.doneUniqueIds] : [],
+  };
+  if (!pinned) state.checkpoints[CHECKPOINT_RUNNER] = checkpoint;
+  return checkpoint;
+}
+
+/**
+ * 페이지 처리가 끝나면 다음 페이지(page - 1)를 재개 지점으로 저장
+ */
+function finishPage(state, page) {
+  saveCheckpoint(state, CHECKPOINT_RUNNER, {
+    mode: SCRAPE_MODE,
+    feedKey: FEED_KEY,
+    page: page - 1,
+    doneUniqueIds: [],
+  });
+}
+
+// ───────────────────────────────────────────────
+// 🐢 full 모드: MAX_PAGE → 1 전체 순회
+// ───────────────────────────────────────────────
+
+async function runFull(state, resume) {
   let total = 0;
+  let hasFailure = false;
+  let newestPagePosts = [];
+  let sawPosts = false;
+  // 처음 실패한 페이지의 체크포인트 (이후 페이지는 계속 처리하되 재개 지점은 여기 고정)
+  let pinned = null;
+
   for (let page = MAX_PAGE; page >= 1; page--) {
-    const { posts } = await fetchPagePosts(page);
+    const checkpoint = beginPage(state, resume, page, pinned);
+    if (!checkpoint) continue;
+
+    const { posts, failed } = await fetchPagePosts(page);
     console.log(`📥 ${page}페이지 글 수: ${posts.length}`);
     total += posts.length;
+    if (failed) hasFailure = true;
+
+    // 더 오래된 페이지에 글이 있었는데 최신 쪽 페이지가 비면 비정상
+    if (posts.length > 0) sawPosts = true;
+    else if (sawPosts && !failed) await recheckSessionOnEmptyPage(page);
+
+    const failedCount = await upsertPagePosts(posts, checkpoint);
+    if (failedCount > 0) hasFailure = true;
+    if (page === 1) newestPagePosts = posts;
+
+    if (pinned) continue;
+    if (failed || failedCount > 0) {
+      // 조회/저장에 실패한 페이지는 넘어가지 않음 → 중단되면 다음 실행이 이 페이지부터
+      // (이미 저장한 글은 doneUniqueIds 로 건너뜀)
+      pinned = checkpoint;
+      saveCheckpoint(state, CHECKPOINT_RUNNER, checkpoint);
+    } else {
+      finishPage(state, page);
+    }
+  }
 
-    for (const post of posts) {
-      try {
-        await upsertPost(post);
-      } catch (err) {
-        console.error("❌ Notion 저장 오류:", err.message);
-      }
-      await new Promise((r) => setTimeout(r, 300));
+  // 다음 incremental 실행을 위해 1페이지 기준으로 high-water mark 기록
+  if (!hasFailure) updateHighWater(state, FEED_KEY, newestPagePosts);
+
+  return { total, hasFailure };
+}
+
+// ───────────────────────────────────────────────
+// ⚡ incremental 모드: 1페이지부터 새 글만 수집
+// ───────────────────────────────────────────────
+
+async function runIncremental(state, resume) {
+  const mark = state.highWater[FEED_KEY];
+  if (!mark) {
+    console.log(
+      `ℹ️ [${FEED_KEY}] high-water mark 없음 → 최대 ${MAX_PAGE}페이지까지 스캔`
+    );
+  }
+
+  const freshByPage = []; // [1페이지 새 글, 2페이지 새 글, ...]
+  let hasFailure = false;
+
+  for (let page = 1; page <= MAX_PAGE; page++) {
+    const { posts, failed } = await fetchPagePosts(page);
+
+    if (failed) {
+      // 실패한 페이지 뒤에 새 글이 남아 있을 수 있으므로 mark 갱신 금지
+      hasFailure = true;
+      console.warn(`⚠️ ${page}페이지 조회 실패 → 스캔 중단`);
+      break;
+    }
+
+    if (posts.length === 0) {
+      // 정말 피드 끝인지, 세션이 중간에 만료된 것인지 확인
+      await recheckSessionOnEmptyPage(page);
+      console.log(`⛔ ${page}페이지 글 없음 → 스캔 종료`);
+      break;
     }
 
-    await new Promise((r) => setTimeout(r, 500));
+    const fresh = posts.filter((post) => !isKnownPost(mark, post));
+    console.log(`📥 ${page}페이지 글 수: ${posts.length} (새 글 ${fresh.length})`);
+
+    if (fresh.length === 0) {
+      console.log(`⛔ ${page}페이지는 모두 이미 본 글 → 스캔 종료`);
+      break;
+    }
+
+    freshByPage.push(fresh);
   }
 
+  const total = freshByPage.reduce((sum, posts) => sum + posts.length, 0);
+  console.log(`🆕 새 글 ${total}건 업서트 (과거 → 최신)`);
+
+  // 재개 지점은 페이지 위치가 아니라 "이미 처리한 UniqueID" 목록
+  //  - freshByPage 는 실행마다 다시 만들어지므로, 중단 후 새 글이 올라오면
+  //    남은 글의 페이지 위치가 밀린다 → 위치로 건너뛰면 그 글이 누락됨
+  //  - 처리한 글만 걸러내고 나머지는 모두 다시 처리
+  const checkpoint = {
+    mode: SCRAPE_MODE,
+    feedKey: FEED_KEY,
+    page: null,
+    doneUniqueIds: resume ? [...resume.doneUniqueIds] : [],
+  };
+  state.checkpoints[CHECKPOINT_RUNNER] = checkpoint;
+
+  // 페이지 내부는 이미 과거 → 최신 순이므로, 페이지를 뒤에서부터 처리하면
+  // full 모드(MAX_PAGE → 1)와 같은 "과거 → 최신" 순서가 된다.
+  for (let page = freshByPage.length; page >= 1; page--) {
+    const failedCount = await upsertPagePosts(freshByPage[page - 1], checkpoint);
+    if (failedCount > 0) hasFailure = true;
+
+    saveCheckpoint(state, CHECKPOINT_RUNNER, checkpoint);
+  }
+
+  if (!hasFailure) updateHighWater(state, FEED_KEY, freshByPage.flat());
+
+  return { total, hasFailure };
+}
+
+// ───────────────────────────────────────────────
+// 🚀 메인 실행
+// ───────────────────────────────────────────────
+
+async function main() {
+  console.log(
+    `🚀 전체 이웃 새글 → Notion 스크랩 시작 (CSV nickname/groupNames 우선 적용, ${SCRAPE_MODE} 모드)`
+  );
+
+  // 📦 저장소 열기 + 🧱 Notion DB 속성 점검 (이름/타입이 안 맞으면 글을 하나도 쓰기 전에 중단)
+  sinks = await openPostSinks("posts");
+  await sinks.prepare(ROUTE_DATABASES);
+
+  // 🛫 세션 사전 점검 (만료 쿠키로 빈 페이지만 긁고 "성공" 처리되는 것 방지)
+  if (!IS_REPLAY) {
+    const count = await assertNaverSession(buildPageUrl(1), NAVER_HEADERS);
+    console.log(`🔓 네이버 세션 정상 (1페이지 글 ${count}건)`);
+  }
+
+  const resume = takeCheckpoint(state, CHECKPOINT_RUNNER, {
+    mode: SCRAPE_MODE,
+    feedKey: FEED_KEY,
+  });
+
+  const { total, hasFailure } =
+    SCRAPE_MODE === "incremental"
+      ? await runIncremental(state, resume)
+      : await runFull(state, resume);
+
+  if (hasFailure) {
+    console.warn("⚠️ 실패한 페이지/글이 있어 high-water mark 를 갱신하지 않습니다.");
+  }
+
+  // 끝까지 돌았으므로 체크포인트 제거 (+ high-water mark 저장)
+  clearCheckpoint(state, CHECKPOINT_RUNNER);
+
   console.log(`🎉 스크랩 완료 (총 ${total}건 처리 시도)`);
+  reportRuleStats();
+  sinks.close();
+  writeDryRunReport("index.js");
+
+  // 재시도 후에도 실패한 페이지는 조용히 넘기지 않고 보고 + 실패 종료 코드
+  if (reportFailedPages() > 0) process.exitCode = EXIT_PAGES_FAILED;
 }
 
+const state = loadState();
+flushStateOnSignal(state, { close: () => sinks?.close() });
+
+// 글 저장소 (post-sinks.js, main 에서 열고 끝나거나 실패하거나 시그널을 받으면 닫음)
+let sinks = null;
+
 main().catch((err) => {
+  // 진행 중이던 페이지 체크포인트를 남겨 다음 실행에서 재개
+  saveState(state);
+  sinks?.close();
+
+  if (err instanceof NaverSessionError) {
+    console.error(`🔒 ${err.message}`);
+    console.error("   NAVER_COOKIE 를 갱신한 뒤 다시 실행하세요 (체크포인트부터 재개).");
+    process.exit(EXIT_SESSION_EXPIRED);
+  }
+
+  if (err instanceof NotionSchemaError) {
+    console.error(`🧱 ${err.message}`);
+    console.error('   "node cli.js schema --fix" 로 속성을 맞춘 뒤 다시 실행하세요.');
+    process.exit(EXIT_SCHEMA_INVALID);
+  }
+
   console.error("❌ 스크립트 전체 오류:", err);
   process.exit(1);
 });
@@ -0,0 +1,200 @@
+/**
+ * kst-date.js
+ * ───────────────────────────────────────────────
+ * 🕒 네이버 날짜 문자열 → 한국 시간(Asia/Seoul) 기준 Date
+ *
+ *  - 네이버가 주는 "YYYY.MM.DD HH:mm" 류의 문자열은 모두 KST 벽시계 시각이다.
+ *    실행 환경(GitHub Actions = UTC)의 로컬 타임존으로 해석하면 9시간 어긋나므로
+ *    항상 KST 로 해석한다. (한국은 서머타임이 없으므로 +09:00 고정)
+ *  - "방금 전", "3시간 전", "어제 23:10" 같은 상대 표현은 조회 시각(now) 기준으로 계산
+ *  - 연도/연월/분기도 KST 달력으로 계산 (밤 11시 글이 다음 날/달로 넘어가지 않도록)
+ *
+ * 지원 형식:
+ *  - number / 13자리(ms) / 10자리(sec) timestamp
+ *  - 오프셋이 붙은 ISO 문자열 ("...Z", "...+09:00") → 그대로
+ *  - "YYYY.MM.DD", "YYYY. M. D. HH:mm", "YYYY-MM-DD HH:mm:ss", "YYYY/MM/DD",
+ *    "YYYY년 M월 D일 오후 3:10" 등
+ *  - "방금 전", "N초/분/시간/일/주 전", "오늘/어제/그제(그저께) [HH:mm]"
+ */
+
+export const KST_TIME_ZONE = "Asia/Seoul";
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const RELATIVE_UNIT_MS = {
+  초: 1000,
+  분: 60 * 1000,
+  시간: 60 * 60 * 1000,
+  일: 24 * 60 * 60 * 1000,
+  주: 7 * 24 * 60 * 60 * 1000,
+};
+
+const RELATIVE_DAY_OFFSET = {
+  오늘: 0,
+  어제: 1,
+  그제: 2,
+  그저께: 2,
+};
+
+// ───────────────────────────────────────────────
+// 🧮 KST ↔ UTC 변환
+// ───────────────────────────────────────────────
+
+/**
+ * KST 벽시계 시각 → Date (month 는 1~12)
+ */
+function fromKstParts(year, month, day, hour = 0, minute = 0, second = 0) {
+  const d = new Date(
+    Date.UTC(year, month - 1, day, hour, minute, second) - KST_OFFSET_MS
+  );
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Date → KST 벽시계 시각 { year, month(1~12), day, hour, minute, second }
+ */
+export function kstParts(date) {
+  const shifted = new Date(date.getTime() + KST_OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+  };
+}
+
+function to24Hour(hour, meridiem) {
+  if (meridiem === "오후" && hour < 12) return hour + 12;
+  if (meridiem === "오전" && hour === 12) return 0;
+  return hour;
+}
+
+// ───────────────────────────────────────────────
+// 🔎 파싱
+// ───────────────────────────────────────────────
+
+const ABSOLUTE_PATTERN =
+  /^(\d{4})\s*[.\-\/년]\s*(\d{1,2})\s*[.\-\/월]\s*(\d{1,2})\s*[.일]?(?:\s*T|\s+|$)\s*(?:(오전|오후)\s*)?(?:(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+
+const ZONED_ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+\-]\d{2}:?\d{2})$/i;
+
+/**
+ * 네이버 날짜 값 → Date (해석 불가면 null)
+ *
+ * @param {number|string|null} raw
+ * @param {{ now?: number|Date }} [options] 상대 표현의 기준 시각 (기본: 현재)
+ */
+export function parseNaverDate(raw, { now = Date.now() } = {}) {
+  if (raw == null || raw === "") return null;
+
+  if (typeof raw === "number") {
+    const d = new Date(raw);
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  const s = String(raw).trim();
+  const nowMs = now instanceof Date ? now.getTime() : Number(now);
+
+  // 13자리 timestamp (ms) / 10자리 timestamp (sec)
+  if (/^\d{13}$/.test(s)) return new Date(Number(s));
+  if (/^\d{10}$/.test(s)) return new Date(Number(s) * 1000);
+
+  // 오프셋이 명시된 ISO 문자열은 그대로 신뢰
+  if (ZONED_ISO_PATTERN.test(s)) {
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  // "방금 전"
+  if (/^방금\s*(전)?$/.test(s)) return new Date(nowMs);
+
+  // "3시간 전", "10분 전", "2일 전"
+  const rel = s.match(/^(\d+)\s*(초|분|시간|일|주)\s*전$/);
+  if (rel) {
+    return new Date(nowMs - Number(rel[1]) * RELATIVE_UNIT_MS[rel[2]]);
+  }
+
+  // "어제", "어제 23:10", "그저께 오후 3:10"
+  const day = s.match(
+    /^(오늘|어제|그제|그저께)\s*(?:(오전|오후)\s*)?(?:(\d{1,2}):(\d{2}))?$/
+  );
+  if (day) {
+    const today = kstParts(new Date(nowMs));
+    const hour = day[3] != null ? to24Hour(Number(day[3]), day[2]) : 0;
+    const minute = day[4] != null ? Number(day[4]) : 0;
+    // Date.UTC 가 일(day) 언더플로를 전월로 넘겨 주므로 그대로 빼도 됨
+    return fromKstParts(
+      today.year,
+      today.month,
+      today.day - RELATIVE_DAY_OFFSET[day[1]],
+      hour,
+      minute
+    );
+  }
+
+  // 절대 날짜 (KST 벽시계 시각으로 해석)
+  const abs = s.match(ABSOLUTE_PATTERN);
+  if (abs) {
+    const [, y, mo, d, meridiem, h, mi, sec] = abs;
+    const month = Number(mo);
+    const date = Number(d);
+    if (month < 1 || month > 12 || date < 1 || date > 31) return null;
+    return fromKstParts(
+      Number(y),
+      month,
+      date,
+      h != null ? to24Hour(Number(h), meridiem) : 0,
+      mi != null ? Number(mi) : 0,
+      sec != null ? Number(sec) : 0
+    );
+  }
+
+  return null;
+}
+
+// ───────────────────────────────────────────────
+// 📤 변환
+// ───────────────────────────────────────────────
+
+/**
+ * Date → "YYYY-MM-DDTHH:mm:ss+09:00" (Notion 에서도 KST 시각 그대로 보임)
+ */
+export function toKstIsoString(date) {
+  const p = kstParts(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}+09:00`
+  );
+}
+
+/**
+ * 네이버 날짜 값 → Notion date.start 용 KST ISO 문자열 (해석 불가면 null)
+ */
+export function normalizeNaverDate(raw, options) {
+  const d = parseNaverDate(raw, options);
+  return d ? toKstIsoString(d) : null;
+}
+
+/**
+ * 날짜(Date / ISO 문자열) → KST 기준 { year, yearMonth, quarter }
+ *  - 해석 불가면 모두 ""
+ */
+export function kstYearMonthQuarter(value) {
+  const d = value instanceof Date ? value : value ? new Date(value) : null;
+  if (!d || isNaN(d.getTime())) {
+    return { year: "", yearMonth: "", quarter: "" };
+  }
+
+  const { year, month } = kstParts(d);
+  const mm = String(month).padStart(2, "0");
+  const q = month <= 3 ? "Q1" : month <= 6 ? "Q2" : month <= 9 ? "Q3" : "Q4";
+
+  return {
+    year: String(year),
+    yearMonth: `${year}-${mm}`,
+    quarter: `${year}-${q}`,
+  };
+}
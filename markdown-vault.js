@@ -0,0 +1,414 @@
+/**
+ * markdown-vault.js
+ * ───────────────────────────────────────────────
+ * 📝 Markdown(Obsidian) 볼트 내보내기 (post-sinks.js 의 "markdown" 저장소)
+ *
+ *  - 글 하나 = Markdown 파일 하나 (YAML front matter + 요약 + 원문 링크)
+ *      <볼트>/<그룹>/<연월>/<제목> (<UniqueID>).md
+ *      - 그룹이 여러 개면 groups.js 순서상 먼저 나오는 그룹 폴더 (front matter 에는 전부)
+ *      - front matter: title, uniqueId, blogId, nickname, groups, 원본 날짜, url, category, tags, tickers
+ *  - 블로거별 색인 노트: <볼트>/bloggers/<blogId>.md
+ *      - 그 블로거의 글 전체를 최신순 링크로 (aliases 에 닉네임 → Obsidian 에서 닉네임으로 검색)
+ *      - 이번 실행에서 글이 바뀐 블로거만 실행 끝에 다시 씀
+ *  - 다시 실행해도 같은 결과 (멱등)
+ *      - 시작할 때 볼트의 front matter 를 읽어 UniqueID → 파일 색인 구성
+ *      - 내용이 같으면 쓰지 않음(스킵), 제목/그룹이 바뀌어 경로가 달라지면 옮김
+ *      - 못 가져온 값(null)은 기존 값 유지, CSV groupNames 가 없으면 기존 groups 유지 (notion.js 와 동일)
+ *      - 원본 날짜는 처음 저장한 값 유지 ("3시간 전" 같은 상대 표현이 실행마다 달라지지 않도록)
+ *  - 드라이런(dry-run.js)이면 쓰지 않음
+ *
+ * 환경 변수:
+ *  - MARKDOWN_VAULT_DIR : 볼트 디렉토리 (기본: 저장소 루트의 vault)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeNaverDate, kstYearMonthQuarter } from "./kst-date.js";
+import { postUniqueId } from "./scrape-state.js";
+import { GROUPS } from "./groups.js";
+import { DRY_RUN, recordPlan } from "./dry-run.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const VAULT_DIR = path.resolve(
+  process.env.MARKDOWN_VAULT_DIR || path.join(__dirname, "vault")
+);
+
+const BLOGGER_DIR = "bloggers";
+const NO_GROUP = "그룹 없음";
+const NO_DATE = "날짜 없음";
+const TITLE_MAX = 80;
+
+// ───────────────────────────────────────────────
+// 🧾 front matter (이 모듈이 쓰는 형식만 읽고 씀)
+// ───────────────────────────────────────────────
+
+/**
+ * { key: 문자열 | 숫자 | 배열 | null } → YAML front matter
+ *  - 문자열은 JSON 따옴표 형식 (YAML 의 큰따옴표 문자열과 호환)
+ *  - null 은 생략, 빈 배열은 [] (노트마다 같은 키가 있어야 Obsidian 속성 보기에서 정렬/필터 가능)
+ */
+export function formatFrontMatter(fields) {
+  const lines = ["---"];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value == null) continue;
+    if (Array.isArray(value) && value.length === 0) {
+      lines.push(`${key}: []`);
+    } else if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      for (const item of value) lines.push(`  - ${JSON.stringify(String(item))}`);
+    } else {
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+    }
+  }
+  lines.push("---");
+  return lines.join("\n");
+}
+
+function parseScalar(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Markdown 파일 내용 → front matter 객체 (없으면 null)
+ */
+export function parseFrontMatter(content) {
+  const m = content.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!m) return null;
+
+  const fields = {};
+  let listKey = null;
+  for (const line of m[1].split("\n")) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(String(parseScalar(item[1])));
+      continue;
+    }
+    const kv = line.match(/^([^:\s][^:]*):\s*(.*)$/);
+    if (!kv) continue;
+    if (kv[2] === "") {
+      listKey = kv[1];
+      fields[listKey] = [];
+    } else {
+      listKey = null;
+      fields[kv[1]] = parseScalar(kv[2]);
+    }
+  }
+  return fields;
+}
+
+// ───────────────────────────────────────────────
+// 📁 경로
+// ───────────────────────────────────────────────
+
+/**
+ * 파일/폴더 이름에 쓸 수 없는 문자 제거 (Obsidian 링크 문자 포함)
+ */
+function safeName(text, fallback) {
+  const name = String(text || "")
+    .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, TITLE_MAX)
+    .trim();
+  return name || fallback;
+}
+
+/**
+ * 폴더로 쓸 그룹: groups.js 순서상 먼저 나오는 그룹, 설정에 없으면 이름순 첫 번째
+ */
+function primaryGroup(groups) {
+  const configured = GROUPS.find((g) => groups.includes(g.name));
+  return configured ? configured.name : groups[0] || NO_GROUP;
+}
+
+function postRelPath({ title, uniqueId, groups, yearMonth }) {
+  return path.join(
+    safeName(primaryGroup(groups), NO_GROUP),
+    yearMonth || NO_DATE,
+    `${safeName(title, "제목 없음")} (${uniqueId}).md`
+  );
+}
+
+// Obsidian 링크는 확장자 없이 볼트 기준 경로 + "/" 구분자
+function linkTarget(relPath) {
+  return relPath.replace(/\.md$/, "").split(path.sep).join("/");
+}
+
+function writeFile(relPath, content) {
+  const file = path.join(VAULT_DIR, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, content, "utf8");
+  fs.renameSync(tmpPath, file);
+}
+
+// 파일 삭제 + 비게 된 상위 폴더(<그룹>/<연월>) 정리
+function removeFile(relPath) {
+  fs.rmSync(path.join(VAULT_DIR, relPath), { force: true });
+  for (let dir = path.dirname(relPath); dir !== "."; dir = path.dirname(dir)) {
+    try {
+      fs.rmdirSync(path.join(VAULT_DIR, dir)); // 비어 있지 않으면 실패 → 중단
+    } catch {
+      break;
+    }
+  }
+}
+
+function readFile(relPath) {
+  try {
+    return fs.readFileSync(path.join(VAULT_DIR, relPath), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🗂 볼트 색인 (UniqueID → 파일)
+// ───────────────────────────────────────────────
+
+function* walkMarkdown(dir, rel = "") {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue; // .obsidian 등
+    const child = path.join(rel, entry.name);
+    if (entry.isDirectory()) {
+      if (child !== BLOGGER_DIR) yield* walkMarkdown(dir, child);
+    } else if (entry.name.endsWith(".md")) {
+      yield child;
+    }
+  }
+}
+
+/**
+ * 볼트의 글 노트를 읽어 UniqueID → { relPath, meta } 색인 구성
+ */
+function loadVaultIndex() {
+  const index = new Map();
+  for (const relPath of walkMarkdown(VAULT_DIR)) {
+    const meta = parseFrontMatter(readFile(relPath) || "");
+    if (!meta?.uniqueId) continue;
+    if (index.has(meta.uniqueId)) {
+      console.warn(`⚠️ [markdown] UniqueID 가 같은 노트가 여러 개: ${meta.uniqueId} (${relPath})`);
+      continue;
+    }
+    index.set(meta.uniqueId, { relPath, meta });
+  }
+  return index;
+}
+
+// ───────────────────────────────────────────────
+// 📝 노트 내용
+// ───────────────────────────────────────────────
+
+function postNote(meta, { description, thumbnail }) {
+  const bloggerLink = `[[${BLOGGER_DIR}/${meta.blogId}|${meta.nickname || meta.blogId}]]`;
+  const body = [
+    `# ${meta.title}`,
+    "",
+    `작성자: ${bloggerLink}`,
+    ...(thumbnail ? ["", `![](${thumbnail})`] : []),
+    ...(description ? ["", ...description.split("\n").map((l) => `> ${l}`.trimEnd())] : []),
+    ...(meta.url ? ["", `[원문 보기](${meta.url})`] : []),
+  ];
+  return `${formatFrontMatter(meta)}\n\n${body.join("\n")}\n`;
+}
+
+function bloggerNote(blogId, posts) {
+  const nickname = posts.find((p) => p.meta.nickname)?.meta.nickname || "";
+  // 최신순, 같은 시각이면 UniqueID 순 (실행마다 같은 내용이 나오도록)
+  const sorted = posts
+    .slice()
+    .sort(
+      (a, b) =>
+        String(b.meta["원본 날짜"] || "").localeCompare(String(a.meta["원본 날짜"] || "")) ||
+        a.meta.uniqueId.localeCompare(b.meta.uniqueId)
+    );
+
+  const lines = sorted.map(({ relPath, meta }) => {
+    const date = String(meta["원본 날짜"] || "").slice(0, 10) || NO_DATE;
+    return `- ${date} [[${linkTarget(relPath)}|${meta.title}]]`;
+  });
+
+  const front = formatFrontMatter({
+    blogId,
+    nickname,
+    aliases: nickname ? [nickname] : [],
+    posts: posts.length,
+  });
+  return `${front}\n\n# ${nickname || blogId}\n\n${lines.join("\n")}\n`;
+}
+
+// ───────────────────────────────────────────────
+// 💾 저장소
+// ───────────────────────────────────────────────
+
+/**
+ * Markdown 볼트 저장소 (post-sinks.js 형식)
+ *
+ * @param {{ recordPlans?: boolean }} [options]
+ *   recordPlans: 드라이런 보고서에 이 저장소의 예정 작업을 기록 (다른 저장소와 함께 쓰면 첫 번째만)
+ */
+export function createMarkdownSink({ recordPlans = true } = {}) {
+  const index = loadVaultIndex();
+  const touchedBloggers = new Set();
+  const counts = { create: 0, update: 0, skip: 0 };
+
+  async function upsertPost(post) {
+    const uniqueId = postUniqueId(post);
+    if (!uniqueId) {
+      console.warn("⚠️ [markdown] UniqueID 없음 (blogId/postId 부족), 스킵:", post.title);
+      return;
+    }
+
+    const existing = index.get(uniqueId) || null;
+    const old = existing?.meta || {};
+    const oldGroups = old.groups || [];
+
+    // 필터 규칙(post-rules.js) 태그는 작성자 태그(없으면 기존 태그)에 합침
+    let tags = post.tags;
+    if (post.ruleTags?.length > 0) {
+      const base = Array.isArray(tags) ? tags : old.tags || [];
+      tags = [...new Set([...base, ...post.ruleTags])];
+    }
+
+    const csvGroups = (post.groupNames || []).slice().sort();
+    const publishedAt =
+      old["원본 날짜"] ||
+      normalizeNaverDate(post.pubdate, { now: post.fetchedAt ?? Date.now() });
+
+    const meta = {
+      title: post.title || "(제목 없음)",
+      uniqueId,
+      blogId: String(post.blogId),
+      nickname: post.nickname || old.nickname || "",
+      groups: csvGroups.length > 0 ? csvGroups : oldGroups.slice().sort(),
+      "원본 날짜": publishedAt || null,
+      url: post.link || null,
+      category: post.category ?? old.category ?? null,
+      tags: Array.isArray(tags) ? tags.slice().sort() : old.tags || [],
+      tickers: Array.isArray(post.tickers) ? post.tickers.slice().sort() : old.tickers || [],
+    };
+
+    const relPath = postRelPath({
+      title: meta.title,
+      uniqueId,
+      groups: meta.groups,
+      yearMonth: kstYearMonthQuarter(publishedAt).yearMonth,
+    });
+    const content = postNote(meta, {
+      description: (post.description || "").trim(),
+      thumbnail: post.thumbnail || "",
+    });
+
+    const moved = existing && existing.relPath !== relPath;
+    const action = !existing
+      ? "create"
+      : !moved && readFile(relPath) === content
+        ? "skip"
+        : "update";
+    counts[action]++;
+
+    if (DRY_RUN) {
+      if (!recordPlans) return;
+      recordPlan({
+        uniqueId,
+        title: meta.title,
+        action,
+        before: existing && {
+          Title: old.title || "",
+          URL: old.url || "",
+          Category: old.category || "",
+          Group: oldGroups.join(","),
+          Nickname: old.nickname || "",
+          BlogID: old.blogId || "",
+        },
+        after:
+          action === "skip"
+            ? null
+            : {
+                Title: meta.title,
+                URL: meta.url || "",
+                Category: meta.category || "",
+                Group: meta.groups.join(","),
+                Nickname: meta.nickname,
+                BlogID: meta.blogId,
+                ...(action === "create" && { UniqueID: uniqueId }),
+              },
+      });
+      return;
+    }
+
+    if (action === "skip") return;
+
+    writeFile(relPath, content);
+    if (moved) removeFile(existing.relPath);
+
+    index.set(uniqueId, { relPath, meta });
+    touchedBloggers.add(meta.blogId);
+    if (old.blogId && old.blogId !== meta.blogId) touchedBloggers.add(old.blogId);
+  }
+
+  /**
+   * 이번 실행에서 글이 바뀐 블로거의 색인 노트 다시 쓰기
+   */
+  function writeBloggerNotes() {
+    const byBlogger = new Map();
+    for (const entry of index.values()) {
+      const blogId = entry.meta.blogId;
+      if (!touchedBloggers.has(blogId)) continue;
+      if (!byBlogger.has(blogId)) byBlogger.set(blogId, []);
+      byBlogger.get(blogId).push(entry);
+    }
+
+    let written = 0;
+    for (const [blogId, posts] of byBlogger) {
+      const relPath = path.join(BLOGGER_DIR, `${safeName(blogId, "unknown")}.md`);
+      const content = bloggerNote(blogId, posts);
+      if (readFile(relPath) === content) continue;
+      writeFile(relPath, content);
+      written++;
+    }
+    return written;
+  }
+
+  /**
+   * 이미 저장된 글이면 { missing: 비어 있는 상세 필드 }, 새 글이면 null
+   *  - 노트에는 공감/댓글 수가 없으므로 category 만 확인
+   */
+  async function findStored(post) {
+    const existing = index.get(postUniqueId(post));
+    if (!existing) return null;
+    return { missing: existing.meta.category ? [] : ["category"] };
+  }
+
+  let closed = false;
+  return {
+    name: "markdown",
+    async prepare() {
+      console.log(`📝 Markdown 볼트: ${VAULT_DIR} (기존 노트 ${index.size}개)`);
+    },
+    findStored,
+    upsertPost,
+    close() {
+      if (closed) return;
+      closed = true;
+      const bloggers = DRY_RUN ? 0 : writeBloggerNotes();
+      console.log(
+        `📝 Markdown 볼트: 생성 ${counts.create} / 업데이트 ${counts.update} / 변경 없음 ${counts.skip}` +
+          (bloggers > 0 ? ` / 블로거 노트 ${bloggers}개 갱신` : "")
+      );
+    },
+  };
+}
@@ -7,16 +7,30 @@
  *  - 원본 날짜(Date)로 연/연월/분기 채움 (비어 있을 때만)
  *  - ✅ 방법 A: Notion DB의 ProcessedAt(Date)로 처리 완료 마킹(중복 스캔 방지)
  *  - ✅ 정렬 기준: DB의 "생성 일시"(date 속성) 기준으로 **가장 최신부터** 처리
+ *  - --dry-run / DRY_RUN=true : 업데이트·마킹 없이 예정 변경만 보고서로 저장 (dry-run.js)
  */
 
 import 'dotenv/config';
-import { Client } from '@notionhq/client';
+import './config.js'; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { createNotionClient } from './notion-client.js';
 import fs from 'fs';
 import path from 'path';
-import { parse } from 'csv-parse/sync';
+import { loadNeighborMeta } from './neighbor-meta.js';
+import { kstYearMonthQuarter } from './kst-date.js';
+import { runConcurrent } from './notion-scheduler.js';
+import {
+  postProperties,
+  propName,
+  readProperty,
+  writeProperty,
+  propertyFilter,
+  requireProperties,
+} from './notion-properties.js';
+import { DRY_RUN, recordPlan, snapshotProperties, writeDryRunReport } from './dry-run.js';
 import { fileURLToPath } from 'url';
 
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
 
 // ESM __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -37,18 +51,13 @@ if (!databaseId) {
 // ✅ 실행당 최대 업데이트 건수 (0 = 제한 없음)
 const MIGRATE_LIMIT = parseInt(process.env.MIGRATE_LIMIT || '0', 10) || 0;
 
-// ✅ Notion 속성 이름
-const FORMULA_PROP_NAME    = 'BlogID_f';     // (참조만)
-const TEXT_PROP_NAME       = 'BlogID';       // rich_text(Text)
-const YEAR_PROP_NAME       = '연도';          // rich_text(Text)
-const YEARMONTH_PROP_NAME  = '연월';          // rich_text(Text)
-const QUARTER_PROP_NAME    = '분기';          // rich_text(Text)
-const DATE_PROP_NAME       = '원본 날짜';      // date
-const GROUP_PROP_NAME      = 'Group';        // multi_select
-const NICKNAME_PROP_NAME   = 'Nickname';     // rich_text or title or select
-const PROCESSED_PROP_NAME  = 'ProcessedAt';  // date (방법 A 핵심)
-const CREATION_PROP_NAME   = '생성 일시';     // ✅ 정렬 기준으로 사용할 DB의 date 속성
-const URL_PROP_CANDIDATES  = ['URL', 'Url', '링크', '주소', 'Link'];
+// ✅ Notion 속성 이름 (설정의 "properties" 매핑 → notion-properties.js, 꺼진 필드는 null)
+requireProperties(['processedAt'], 'migrate-blogid.js');
+
+const FORMULA_PROP_NAME    = 'BlogID_f';                 // (참조만, 매핑 대상 아님)
+const NICKNAME_PROP_NAME   = propName('nickname');       // rich_text or title or select
+const CREATION_PROP_NAME   = propName('createdAt');      // ✅ 정렬 기준으로 사용할 DB의 date 속성
+const URL_PROP_CANDIDATES  = [propName('url'), 'URL', 'Url', '링크', '주소', 'Link'].filter(Boolean);
 
 // ───────────────────────────────────────────────
 // CSV 로드 (blogId → groups[], nickname)
@@ -65,43 +74,19 @@ if (explicitCsvPath && fs.existsSync(explicitCsvPath)) {
   if (fs.existsSync(sameDirPath)) csvPath = sameDirPath;
 }
 
-const BLOG_META_MAP = new Map(); // blogId → { groups: string[], nickname: string }
+// blogId → { groups: string[], nickname: string } (읽기/검증은 neighbor-meta.js)
+const BLOG_META_MAP = new Map();
 
 (function loadBlogMeta() {
   if (!csvPath) {
     console.warn('⚠️ CSV를 찾지 못했습니다. → Group/Nickname 동기화 없이 진행합니다.');
     return;
   }
-  try {
-    const records = parse(fs.readFileSync(csvPath), {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-    });
-    for (const row of records) {
-      const blogId = String(
-        row.blogID || row.blogId || row.blogid || row.BlogID || row.BLOGID || row.blog_id || ''
-      ).trim();
-      if (!blogId) continue;
-
-      const rawGroup =
-        row.groupNames || row.GroupNames || row.groupName || row.GroupName || row.group || row.Group || '';
-      const groups = String(rawGroup || '')
-        .split(',')
-        .map((v) => v.trim())
-        .filter(Boolean);
-
-      const nicknameRaw =
-        row.nickname || row.nickName || row.Nickname || row.NickName ||
-        row.bloggerName || row.BloggerName || row.name || row.Name ||
-        row['별명'] || row['닉네임'] || '';
-
-      BLOG_META_MAP.set(blogId, { groups, nickname: String(nicknameRaw || '').trim() });
-    }
-    console.log(`✅ CSV 로드: ${BLOG_META_MAP.size}개 blogId 매핑 (from ${csvPath})`);
-  } catch (err) {
-    console.error('❌ CSV 파싱 실패:', err);
+  const { byBlogId } = loadNeighborMeta(csvPath);
+  for (const [blogId, row] of byBlogId) {
+    BLOG_META_MAP.set(blogId, { groups: row.groupNames, nickname: row.nickname });
   }
+  console.log(`✅ CSV 로드: ${BLOG_META_MAP.size}개 blogId 매핑 (from ${csvPath})`);
 })();
 
 // ───────────────────────────────────────────────
@@ -133,9 +118,10 @@ function getSelectName(prop) {
   return prop.select?.name?.trim() || '';
 }
 
-function getMultiSelectNames(prop) {
-  if (!prop || prop.type !== 'multi_select' || !prop.multi_select) return [];
-  return prop.multi_select.map((o) => (o?.name ? o.name.trim() : '')).filter(Boolean);
+// 매핑된 속성이 이 DB 에 설정된 타입 그대로 있을 때만 씀 (formula 등은 건드리지 않음)
+function hasMappedProperty(props, field) {
+  const prop = postProperties()[field];
+  return Boolean(prop && props[prop.name]?.type === prop.type);
 }
 
 function arraysEqualIgnoreOrder(a, b) {
@@ -146,18 +132,13 @@ function arraysEqualIgnoreOrder(a, b) {
   return sa.every((v, i) => v === sb[i]);
 }
 
-function extractYyYmQ(dateProp) {
-  if (!dateProp || dateProp.type !== 'date' || !dateProp.date?.start) {
+// 연/연월/분기는 KST 달력 기준 (kst-date.js)
+function extractYyYmQ(dateStart) {
+  if (!dateStart) {
     return { year: null, yearMonth: null, quarter: null };
   }
-  const d = new Date(dateProp.date.start);
-  if (isNaN(d.getTime())) return { year: null, yearMonth: null, quarter: null };
-  const year = String(d.getFullYear());
-  const m = d.getMonth() + 1;
-  const mm = String(m).padStart(2, '0');
-  const yearMonth = `${year}-${mm}`;
-  const q = m <= 3 ? 'Q1' : m <= 6 ? 'Q2' : m <= 9 ? 'Q3' : 'Q4';
-  const quarter = `${year}-${q}`;
+  const { year, yearMonth, quarter } = kstYearMonthQuarter(dateStart);
+  if (!year) return { year: null, yearMonth: null, quarter: null };
   return { year, yearMonth, quarter };
 }
 
@@ -268,6 +249,7 @@ async function migrate() {
   let updatedGroup = 0;
   let updatedNickname = 0;
   let processedMarkedOnly = 0;
+  let reserved = 0; // MIGRATE_LIMIT 용 (시작한 업데이트 수)
 
   while (true) {
     const resp = await queryWithRetry({
@@ -275,12 +257,11 @@ async function migrate() {
       start_cursor: cursor,
       page_size: 50,
       // ✔ 처리 안 된 페이지만 스캔
-      filter: {
-        property: PROCESSED_PROP_NAME,
-        date: { is_empty: true },
-      },
-      // ✅ 정렬: DB의 "생성 일시"(date 속성) 기준 최신부터
-      sorts: [{ property: CREATION_PROP_NAME, direction: 'ascending' }],
+      filter: propertyFilter('processedAt', { is_empty: true }),
+      // ✅ 정렬: DB의 "생성 일시"(date 속성) 기준 최신부터 (꺼져 있으면 Notion 기본 순서)
+      ...(CREATION_PROP_NAME && {
+        sorts: [{ property: CREATION_PROP_NAME, direction: 'ascending' }],
+      }),
     });
 
     const pages = resp.results || [];
@@ -291,7 +272,11 @@ async function migrate() {
       continue;
     }
 
-    for (const page of pages) {
+    // NOTION_CONCURRENCY 개씩 동시에 업데이트 (요청 속도는 notion-scheduler.js 의 토큰 버킷)
+    await runConcurrent(pages, async (page) => {
+      // MIGRATE_LIMIT 은 시작한 작업 수 기준으로 예약 (동시 실행 중 초과 방지)
+      if (MIGRATE_LIMIT && reserved >= MIGRATE_LIMIT) return;
+      reserved++;
       scanned++;
       const props = page.properties;
       const updates = {};
@@ -300,11 +285,11 @@ async function migrate() {
       const url = getUrlFromProperties(props);
       const blogIdFromUrl = extractBlogIdFromUrl(url);
       const formulaValue = extractFormulaValue(props[FORMULA_PROP_NAME]);
-      const blogIdText = getPlainTextFromRichText(props[TEXT_PROP_NAME]);
+      const blogIdText = readProperty(props, 'blogId').trim();
 
-      if (blogIdFromUrl && props[TEXT_PROP_NAME]?.type === 'rich_text') {
+      if (blogIdFromUrl && hasMappedProperty(props, 'blogId')) {
         if (!blogIdText || blogIdText !== blogIdFromUrl) {
-          updates[TEXT_PROP_NAME] = { rich_text: [{ text: { content: blogIdFromUrl } }] };
+          Object.assign(updates, writeProperty('blogId', blogIdFromUrl));
           updatedBlogId++;
         }
       }
@@ -312,48 +297,37 @@ async function migrate() {
       const effectiveBlogId = (blogIdFromUrl || blogIdText || formulaValue || '').trim();
 
       // 2) 연/연월/분기 (비어 있을 때만)
-      const { year, yearMonth, quarter } = extractYyYmQ(props[DATE_PROP_NAME]);
+      const { year, yearMonth, quarter } = extractYyYmQ(readProperty(props, 'publishedAt'));
 
-      if (year && props[YEAR_PROP_NAME]) {
-        const cur = getPlainTextFromRichText(props[YEAR_PROP_NAME]);
-        if (!cur) {
-          updates[YEAR_PROP_NAME] = { rich_text: [{ text: { content: year } }] };
-          updatedYear++;
-        }
+      if (year && hasMappedProperty(props, 'year') && !readProperty(props, 'year')) {
+        Object.assign(updates, writeProperty('year', year));
+        updatedYear++;
       }
 
-      if (yearMonth && props[YEARMONTH_PROP_NAME]) {
-        const cur = getPlainTextFromRichText(props[YEARMONTH_PROP_NAME]);
-        if (!cur) {
-          updates[YEARMONTH_PROP_NAME] = { rich_text: [{ text: { content: yearMonth } }] };
-          updatedYearMonth++;
-        }
+      if (yearMonth && hasMappedProperty(props, 'yearMonth') && !readProperty(props, 'yearMonth')) {
+        Object.assign(updates, writeProperty('yearMonth', yearMonth));
+        updatedYearMonth++;
       }
 
-      if (quarter && props[QUARTER_PROP_NAME]) {
-        const cur = getPlainTextFromRichText(props[QUARTER_PROP_NAME]);
-        if (!cur) {
-          updates[QUARTER_PROP_NAME] = { rich_text: [{ text: { content: quarter } }] };
-          updatedQuarter++;
-        }
+      if (quarter && hasMappedProperty(props, 'quarter') && !readProperty(props, 'quarter')) {
+        Object.assign(updates, writeProperty('quarter', quarter));
+        updatedQuarter++;
       }
 
-      // 3) Group 동기화 (multi_select)
-      if (effectiveBlogId && BLOG_META_MAP.size > 0 && props[GROUP_PROP_NAME]?.type === 'multi_select') {
+      // 3) Group 동기화 (기본 multi_select)
+      if (effectiveBlogId && BLOG_META_MAP.size > 0 && hasMappedProperty(props, 'groups')) {
         const expectedGroups = BLOG_META_MAP.get(effectiveBlogId)?.groups || [];
         if (expectedGroups.length > 0) {
-          const currentGroups = getMultiSelectNames(props[GROUP_PROP_NAME]);
+          const currentGroups = readProperty(props, 'groups');
           if (!arraysEqualIgnoreOrder(currentGroups, expectedGroups)) {
-            updates[GROUP_PROP_NAME] = {
-              multi_select: expectedGroups.map((name) => ({ name })),
-            };
+            Object.assign(updates, writeProperty('groups', expectedGroups));
             updatedGroup++;
           }
         }
       }
 
       // 4) Nickname 동기화 (CSV 우선): rich_text/title/select 지원
-      if (effectiveBlogId && BLOG_META_MAP.size > 0 && props[NICKNAME_PROP_NAME]) {
+      if (effectiveBlogId && BLOG_META_MAP.size > 0 && NICKNAME_PROP_NAME && props[NICKNAME_PROP_NAME]) {
         const nicknameCsv = BLOG_META_MAP.get(effectiveBlogId)?.nickname || '';
         if (nicknameCsv) {
           const curNickname = getCurrentNickname(props);
@@ -368,7 +342,22 @@ async function migrate() {
       }
 
       // 5) 처리 마킹 (업데이트 여부와 무관하게 이번 배치에서 본 것은 마킹)
-      updates[PROCESSED_PROP_NAME] = { date: { start: new Date().toISOString() } };
+      Object.assign(updates, writeProperty('processedAt', new Date().toISOString()));
+
+      if (DRY_RUN) {
+        // ProcessedAt 마킹만 하는 경우는 skip 으로 기록
+        const changed = Object.keys(updates).length > 1;
+        const before = snapshotProperties(props);
+        recordPlan({
+          uniqueId: before.UniqueID,
+          pageId: page.id,
+          title: before.Title,
+          action: changed ? 'update' : 'skip',
+          before,
+          after: changed ? snapshotProperties({ ...props, ...updates }) : null,
+        });
+        return;
+      }
 
       try {
         await safeUpdatePage(page.id, updates);
@@ -378,22 +367,19 @@ async function migrate() {
         // 에러 로그는 safeUpdatePage 내부에서 처리
       }
 
-      // rate limit 완화
-      await new Promise((r) => setTimeout(r, 80));
-
-      if (MIGRATE_LIMIT && updatedPages >= MIGRATE_LIMIT) {
-        console.log('⏹ MIGRATE_LIMIT 도달 → 종료');
-        console.log(
-          `🎉 최종: 스캔 ${scanned} / 업데이트 ${updatedPages} / BlogID ${updatedBlogId} / 연도 ${updatedYear} / 연월 ${updatedYearMonth} / 분기 ${updatedQuarter} / Group ${updatedGroup} / Nickname ${updatedNickname} / 마킹만 ${processedMarkedOnly}`
-        );
-        return;
-      }
-
       if (scanned % 500 === 0) {
         console.log(
           `📊 스캔 ${scanned} / 업데이트 ${updatedPages} / BlogID ${updatedBlogId} / 연도 ${updatedYear} / 연월 ${updatedYearMonth} / 분기 ${updatedQuarter} / Group ${updatedGroup} / Nickname ${updatedNickname} / 마킹만 ${processedMarkedOnly}`
         );
       }
+    }, { keyOf: (page) => page.id });
+
+    if (MIGRATE_LIMIT && reserved >= MIGRATE_LIMIT) {
+      console.log('⏹ MIGRATE_LIMIT 도달 → 종료');
+      console.log(
+        `🎉 최종: 스캔 ${scanned} / 업데이트 ${updatedPages} / BlogID ${updatedBlogId} / 연도 ${updatedYear} / 연월 ${updatedYearMonth} / 분기 ${updatedQuarter} / Group ${updatedGroup} / Nickname ${updatedNickname} / 마킹만 ${processedMarkedOnly}`
+      );
+      return;
     }
 
     if (!resp.has_more) break;
@@ -405,7 +391,9 @@ async function migrate() {
   );
 }
 
-migrate().catch((err) => {
-  console.error('❌ 마이그레이션 오류:', err);
-  process.exit(1);
-});
+migrate()
+  .then(() => writeDryRunReport('migrate-blogid.js'))
+  .catch((err) => {
+    console.error('❌ 마이그레이션 오류:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,125 @@
+/**
+ * naver-fixtures.js
+ * ───────────────────────────────────────────────
+ * 🎞 네이버 BuddyPostList 응답 녹화(record) / 재생(replay) 모듈
+ *
+ * NAVER_FIXTURE_MODE:
+ *  - off (기본) : 실제 API 호출 (naver-request.js 경유)
+ *  - record     : 실제 API 호출 + 원본 응답(")]}'," prefix 포함)을 파일로 저장
+ *  - replay     : 네트워크/쿠키 없이 저장된 파일을 응답으로 사용
+ *                 (녹화되지 않은 페이지는 빈 목록 = 피드 끝으로 응답 → MAX_PAGE 가
+ *                  녹화한 페이지 수보다 커도 네이버 실패로 보고하지 않음)
+ *
+ * 파일 위치: {NAVER_FIXTURE_DIR}/group-{groupId}/page-{page}.txt
+ *  - groupId, page 는 요청 URL 의 쿼리 파라미터에서 가져온다
+ *    (groupId 없으면 "all", page 없으면 currentPage)
+ *  - 기본 디렉토리: fixtures/naver
+ */
+
+import fs from "fs";
+import path from "path";
+import { requestNaver } from "./naver-request.js";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURE_MODE = (process.env.NAVER_FIXTURE_MODE || "off")
+  .trim()
+  .toLowerCase();
+
+export const FIXTURE_DIR =
+  process.env.NAVER_FIXTURE_DIR ||
+  path.resolve(__dirname, "fixtures", "naver");
+
+export const IS_REPLAY = FIXTURE_MODE === "replay";
+
+if (!["off", "record", "replay"].includes(FIXTURE_MODE)) {
+  console.error(
+    `❌ NAVER_FIXTURE_MODE 값이 올바르지 않습니다: ${FIXTURE_MODE} (off | record | replay)`
+  );
+  process.exit(1);
+}
+
+// ───────────────────────────────────────────────
+// 🗂 URL → fixture 경로
+// ───────────────────────────────────────────────
+
+function fixturePathFor(url) {
+  let groupId = null;
+  let page = null;
+
+  try {
+    const u = new URL(url);
+    groupId = u.searchParams.get("groupId");
+    page = u.searchParams.get("page") || u.searchParams.get("currentPage");
+  } catch {
+    groupId = String(url).match(/groupId=(\d+)/)?.[1] || null;
+    page = String(url).match(/(?:page|currentPage)=(\d+)/)?.[1] || null;
+  }
+
+  return path.join(
+    FIXTURE_DIR,
+    `group-${groupId || "all"}`,
+    `page-${page || 1}.txt`
+  );
+}
+
+// 녹화되지 않은 페이지의 재생 응답 (실제 API 의 "글 없음" 응답과 같은 형식)
+const EMPTY_PAGE_TEXT = `)]}',\n${JSON.stringify({ result: { buddyPostList: [] } })}`;
+
+// ───────────────────────────────────────────────
+// 📡 BuddyPostList 원본 응답 가져오기
+// ───────────────────────────────────────────────
+
+/**
+ * BuddyPostList 를 호출(또는 재생)하고 원본 텍스트를 반환
+ *
+ * @param {string} url
+ * @param {object} headers - 실제 호출 시 사용할 헤더 (Cookie 등)
+ * @param {string} [label] - 로그용 이름 (예: "3페이지")
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, url?: string, redirected?: boolean, text: string}>}
+ */
+export async function fetchBuddyPostListRaw(url, headers, label) {
+  const fixturePath = fixturePathFor(url);
+
+  if (IS_REPLAY) {
+    if (!fs.existsSync(fixturePath)) {
+      console.log(
+        `🎞 fixture 없음 → 빈 페이지로 재생: ${path.relative(FIXTURE_DIR, fixturePath)}`
+      );
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK (replay, 빈 페이지)",
+        text: EMPTY_PAGE_TEXT,
+      };
+    }
+    return {
+      ok: true,
+      status: 200,
+      statusText: "OK (replay)",
+      text: fs.readFileSync(fixturePath, "utf8"),
+    };
+  }
+
+  // 실제 호출은 재시도/백오프/속도 조절이 포함된 공통 레이어로
+  const res = await requestNaver(url, { headers, label });
+  const text = res.text;
+
+  // 정상 JSON 응답만 녹화 (실패/로그인 페이지는 재생해도 의미가 없으므로 저장하지 않음)
+  if (FIXTURE_MODE === "record" && res.ok && !text.trimStart().startsWith("<")) {
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, text, "utf8");
+    console.log(`🎞 녹화: ${path.relative(FIXTURE_DIR, fixturePath)}`);
+  }
+
+  return {
+    ok: res.ok,
+    status: res.status,
+    statusText: res.statusText,
+    url: res.url,
+    redirected: res.redirected,
+    text,
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * naver-request.js
+ * ───────────────────────────────────────────────
+ * 🚦 네이버 요청 공통 레이어 (재시도 + 백오프 + 적응형 속도 조절)
+ *
+ *  - 모든 네이버 호출은 requestNaver() 를 거친다 (BuddyPostList, 글 본문 등)
+ *  - 429 / 5xx / 네트워크 오류 → 지수 백오프(+jitter) 후 재시도
+ *      - Retry-After 헤더가 있으면 그 시간을 우선 사용
+ *  - 요청 간 간격(delay)을 에러에 따라 조절 (AIMD)
+ *      - 에러 발생 시 2배로 늘리고, 성공할 때마다 10%씩 줄여 최소값으로 복귀
+ *  - 재시도 후에도 실패하면 예외 대신 ok=false 응답을 돌려준다
+ *    (호출 측에서 실패 페이지로 기록 → 실행 종료 시 보고)
+ *
+ * 환경 변수:
+ *  - NAVER_MIN_DELAY_MS    : 요청 간 최소 간격 (기본 500)
+ *  - NAVER_MAX_DELAY_MS    : 요청 간 최대 간격 (기본 15000)
+ *  - NAVER_MAX_RETRIES     : 요청당 최대 재시도 횟수 (기본 4)
+ *  - NAVER_BACKOFF_BASE_MS : 백오프 기본값 (기본 1000, 시도마다 2배)
+ *  - NAVER_TIMEOUT_MS      : 요청 1회 타임아웃 (기본 30000)
+ */
+
+import fetch from "node-fetch";
+
+const MIN_DELAY_MS = Number(process.env.NAVER_MIN_DELAY_MS || 500);
+const MAX_DELAY_MS = Number(process.env.NAVER_MAX_DELAY_MS || 15000);
+const MAX_RETRIES = Number(process.env.NAVER_MAX_RETRIES || 4);
+const BACKOFF_BASE_MS = Number(process.env.NAVER_BACKOFF_BASE_MS || 1000);
+const TIMEOUT_MS = Number(process.env.NAVER_TIMEOUT_MS || 30000);
+const BACKOFF_CAP_MS = 60000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ───────────────────────────────────────────────
+// 🐢 적응형 요청 간격
+// ───────────────────────────────────────────────
+
+const throttle = {
+  delayMs: MIN_DELAY_MS,
+  lastRequestAt: 0,
+};
+
+async function waitForTurn() {
+  // 동시에 불려도 간격이 지켜지도록 차례(시각)를 먼저 예약한 뒤 대기
+  const now = Date.now();
+  const turnAt = Math.max(now, throttle.lastRequestAt + throttle.delayMs);
+  throttle.lastRequestAt = turnAt;
+  if (turnAt > now) await sleep(turnAt - now);
+}
+
+function onRequestSuccess() {
+  throttle.delayMs = Math.max(MIN_DELAY_MS, Math.round(throttle.delayMs * 0.9));
+}
+
+function onRequestError() {
+  const prev = throttle.delayMs;
+  throttle.delayMs = Math.min(MAX_DELAY_MS, prev * 2);
+  if (throttle.delayMs !== prev) {
+    console.warn(`🐢 네이버 요청 간격 증가: ${prev}ms → ${throttle.delayMs}ms`);
+  }
+}
+
+export function currentNaverDelayMs() {
+  return throttle.delayMs;
+}
+
+// ───────────────────────────────────────────────
+// ⏳ 재시도 판단 & 대기 시간
+// ───────────────────────────────────────────────
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Retry-After 헤더 → ms (초 단위 숫자 또는 HTTP 날짜)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const t = new Date(value).getTime();
+  return isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+/**
+ * 지수 백오프 + full jitter: 0 ~ base * 2^(attempt-1) 사이 랜덤
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// ───────────────────────────────────────────────
+// 📡 요청
+// ───────────────────────────────────────────────
+
+/**
+ * 네이버 GET 요청 (재시도/백오프/속도 조절 포함)
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {string} [options.label] - 로그용 이름 (예: "3페이지")
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, url: string, redirected: boolean, text: string, attempts: number}>}
+ */
+export async function requestNaver(url, { headers, label = url } = {}) {
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    await waitForTurn();
+
+    let res = null;
+    let errorMessage = "";
+    try {
+      res = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    } catch (err) {
+      errorMessage = err.message || String(err);
+    }
+
+    if (res && !isRetryableStatus(res.status)) {
+      onRequestSuccess();
+      return {
+        ok: res.ok,
+        status: res.status,
+        statusText: res.statusText,
+        url: res.url,
+        redirected: res.redirected,
+        text: await res.text(),
+        attempts: attempt,
+      };
+    }
+
+    onRequestError();
+    const reason = res ? `HTTP ${res.status} ${res.statusText}` : errorMessage;
+
+    if (attempt > MAX_RETRIES) {
+      console.error(`❌ 네이버 요청 최종 실패 [${label}] (${attempt}회 시도): ${reason}`);
+      return {
+        ok: false,
+        status: res ? res.status : 0,
+        statusText: res ? res.statusText : errorMessage,
+        url,
+        redirected: false,
+        text: res ? await res.text() : "",
+        attempts: attempt,
+      };
+    }
+
+    const retryAfter = parseRetryAfter(res?.headers.get("retry-after"));
+    const delay = Math.min(BACKOFF_CAP_MS, retryAfter ?? backoffDelay(attempt));
+    if (res) await res.text().catch(() => ""); // 소켓 반환용으로 본문 소비
+    console.warn(
+      `⚠️ 네이버 요청 오류 [${label}] ${reason} → ${delay}ms 후 재시도 (${attempt}/${MAX_RETRIES})`
+    );
+    await sleep(delay);
+  }
+}
+
+// ───────────────────────────────────────────────
+// 📋 실패 페이지 기록 & 종료 시 보고
+// ───────────────────────────────────────────────
+
+// 종료 코드는 exit-codes.js 에서 공통 관리 (기존 import 경로 호환용 재노출)
+export { EXIT_PAGES_FAILED } from "./exit-codes.js";
+
+const failedPages = [];
+
+/**
+ * 재시도 후에도 못 가져온 페이지 기록 (실행 종료 시 reportFailedPages 로 출력)
+ */
+export function recordFailedPage(label, reason) {
+  failedPages.push({ label, reason });
+}
+
+/**
+ * 실패 페이지 목록 출력
+ * @returns {number} 실패 페이지 수
+ */
+export function reportFailedPages() {
+  if (failedPages.length === 0) return 0;
+
+  console.error(`📋 가져오지 못한 페이지 ${failedPages.length}건:`);
+  for (const { label, reason } of failedPages) {
+    console.error(`  - ${label}: ${reason}`);
+  }
+  return failedPages.length;
+}
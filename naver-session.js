@@ -0,0 +1,152 @@
+/**
+ * naver-session.js
+ * ───────────────────────────────────────────────
+ * 🔒 네이버 세션(NAVER_COOKIE) 상태 점검 모듈
+ *
+ * 쿠키가 만료되면 BuddyPostList 는 에러 대신
+ *  - 로그인 페이지(nid.naver.com)로 리다이렉트하거나
+ *  - HTML 본문을 200 으로 돌려주거나
+ *  - 인증 에러 코드가 담긴 JSON / 빈 목록을 돌려준다.
+ * 이 상태로 스크랩을 계속하면 "글 수: 0" 만 찍히고 성공으로 끝나므로,
+ *
+ *  1. 스크랩 시작 전 1페이지로 사전 점검 (assertNaverSession)
+ *  2. 실행 중 모든 응답 점검 (inspectResponse / inspectPayload)
+ *
+ * 문제가 보이면 NaverSessionError 를 던지고, 실행 스크립트는
+ * EXIT_SESSION_EXPIRED 코드로 종료한다.
+ */
+
+import { fetchBuddyPostListRaw } from "./naver-fixtures.js";
+
+// 종료 코드는 exit-codes.js 에서 공통 관리 (기존 import 경로 호환용 재노출)
+export { EXIT_SESSION_EXPIRED } from "./exit-codes.js";
+
+export class NaverSessionError extends Error {
+  constructor(reason) {
+    super(`네이버 세션 만료 또는 무효: ${reason}`);
+    this.name = "NaverSessionError";
+    this.reason = reason;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🧹 응답 파싱 도우미 (index.js / PerGroup/index.js 공용)
+// ───────────────────────────────────────────────
+
+/**
+ * 네이버 JSON 응답 앞의 보안 prefix 제거
+ *  - 예: ")]}'," 같은 문자열 제거
+ */
+export function stripNaverPrefix(raw) {
+  return raw.replace(/^\)\]\}',?\s*/, "");
+}
+
+/**
+ * 응답 구조에서 글 목록 추출 (버전에 따라 키가 다를 수 있어 안전하게 처리)
+ */
+export function extractPostList(data) {
+  const result = data?.result || data || {};
+  return (
+    result.buddyPostList ||
+    result.postList ||
+    result.list ||
+    result.items ||
+    []
+  );
+}
+
+// ───────────────────────────────────────────────
+// 🔍 응답 점검
+// ───────────────────────────────────────────────
+
+const LOGIN_URL_PATTERN = /nid\.naver\.com|nidlogin|\/login/i;
+const AUTH_CODE_PATTERN = /login|auth|unauthori[sz]ed|session|permission|forbidden/i;
+
+/**
+ * HTTP 레벨 점검: 로그인 리다이렉트, 401/403, HTML 본문
+ *
+ * @param {{status: number, url?: string, redirected?: boolean, text: string}} res
+ * @returns {string|null} 문제 사유 (정상이면 null)
+ */
+export function inspectResponse(res) {
+  if (res.redirected && LOGIN_URL_PATTERN.test(res.url || "")) {
+    return `로그인 페이지로 리다이렉트됨 (${res.url})`;
+  }
+
+  if (res.status === 401 || res.status === 403) {
+    return `인증 거부 HTTP ${res.status}`;
+  }
+
+  const body = stripNaverPrefix(res.text || "").trimStart();
+  if (/^<(!doctype|html|head|body|script)/i.test(body)) {
+    return body.includes("nidlogin") || body.includes("로그인")
+      ? "로그인 페이지(HTML) 응답"
+      : "JSON 대신 HTML 응답";
+  }
+
+  return null;
+}
+
+/**
+ * JSON 레벨 점검: 인증 관련 에러 코드/메시지
+ *
+ * @returns {string|null} 문제 사유 (정상이면 null)
+ */
+export function inspectPayload(data) {
+  if (!data || typeof data !== "object") return null;
+
+  const code = String(
+    data.errorCode || data.error?.code || data.resultCode || data.code || ""
+  );
+  const message = String(
+    data.errorMessage || data.error?.message || data.message || ""
+  );
+
+  if (AUTH_CODE_PATTERN.test(code) || message.includes("로그인")) {
+    return `인증 에러 응답 (code=${code || "-"}, message=${message || "-"})`;
+  }
+
+  if (data.isSuccess === false && extractPostList(data).length === 0) {
+    return `isSuccess=false 응답 (code=${code || "-"})`;
+  }
+
+  return null;
+}
+
+// ───────────────────────────────────────────────
+// 🛫 사전 점검
+// ───────────────────────────────────────────────
+
+/**
+ * 1페이지 URL 로 세션 상태 확인. 문제가 있으면 NaverSessionError.
+ *  - 1페이지가 비어 있는 것도 만료로 본다 (이웃 새글 피드 1페이지는 항상 차 있음)
+ *
+ * @returns {Promise<number>} 1페이지 글 수
+ */
+export async function assertNaverSession(url, headers) {
+  const res = await fetchBuddyPostListRaw(url, headers);
+
+  const problem = inspectResponse(res);
+  if (problem) throw new NaverSessionError(problem);
+
+  if (!res.ok) {
+    throw new NaverSessionError(`사전 점검 요청 실패 HTTP ${res.status} ${res.statusText}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(stripNaverPrefix(res.text));
+  } catch (e) {
+    throw new NaverSessionError(`JSON 파싱 실패 (${e.message})`);
+  }
+
+  const payloadProblem = inspectPayload(data);
+  if (payloadProblem) throw new NaverSessionError(payloadProblem);
+
+  const count = extractPostList(data).length;
+  if (count === 0) {
+    throw new NaverSessionError("1페이지 글 목록이 비어 있음");
+  }
+
+  return count;
+}
@@ -1,12 +1,25 @@
 // neighbor-activity/config.js
+//
+// 값은 저장소 루트의 설정 파일(naver-notion.config.json)에서 관리한다.
+//  - ../config.js 가 설정 파일을 검증한 뒤 환경 변수로 채워 주므로
+//    여기서는 환경 변수만 읽는다 (index.js main() 에서 먼저 로드)
+//  - 환경 변수로 직접 덮어쓸 수도 있음
+//
+// 값을 읽는 시점에 환경 변수를 보도록 getter 로 둔다.
 
 module.exports = {
-  // 네 블로그 ID
-  baseId: "proheuros",
+  // 내 블로그 ID (account.naverBlogId / NAVER_BLOG_ID)
+  get baseId() {
+    return process.env.NAVER_BLOG_ID || "";
+  },
 
-  // ViewMoreFollowings 페이지 최대 시도 페이지 수
-  maxPages: 30,
+  // ViewMoreFollowings 페이지 최대 시도 페이지 수 (limits.followingsMaxPages)
+  get maxPages() {
+    return Number(process.env.FOLLOWINGS_MAX_PAGES || 30);
+  },
 
-  // 요청 사이 대기(ms)
-  delayMs: 800
+  // 요청 사이 대기(ms) (delays.followingsMs)
+  get delayMs() {
+    return Number(process.env.FOLLOWINGS_DELAY_MS || 800);
+  }
 };
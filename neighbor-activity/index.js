@@ -3,7 +3,7 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
 const fs = require("fs").promises;
-const { baseId, maxPages, delayMs } = require("./config");
+const config = require("./config");
 
 const UA =
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
@@ -86,7 +86,7 @@ function collectFromFollowingsHtml(html, neighborsMap, groupIdOrNull) {
 async function fetchFollowingsPage({ page, groupId }) {
   const cookie = process.env.NAVER_COOKIE || "";
   const params = new URLSearchParams();
-  params.set("blogId", baseId);
+  params.set("blogId", config.baseId);
   params.set("currentPage", String(page));
   if (groupId != null) params.set("groupId", String(groupId));
 
@@ -108,7 +108,7 @@ async function fetchFollowingsPage({ page, groupId }) {
 async function collectAllNeighbors() {
   const neighbors = new Map();
 
-  for (let page = 1; page <= maxPages; page++) {
+  for (let page = 1; page <= config.maxPages; page++) {
     console.log(`📥 [ALL] Fetch neighbors page ${page}`);
     let html;
     try {
@@ -131,7 +131,7 @@ async function collectAllNeighbors() {
       break;
     }
 
-    await sleep(delayMs);
+    await sleep(config.delayMs);
   }
 
   return neighbors;
@@ -154,7 +154,7 @@ async function enrichWithGroups(neighbors, groupList) {
 
   for (const g of groupList) {
     const gid = g.id;
-    for (let page = 1; page <= maxPages; page++) {
+    for (let page = 1; page <= config.maxPages; page++) {
       console.log(`📥 [GROUP ${gid}] ${g.name} - page ${page}`);
 
       let html;
@@ -181,7 +181,7 @@ async function enrichWithGroups(neighbors, groupList) {
         break;
       }
 
-      await sleep(delayMs);
+      await sleep(config.delayMs);
     }
   }
 }
@@ -341,8 +341,15 @@ async function detectInfluencerForBlog(blogId, nickname) {
  */
 async function main() {
   try {
+    // ../groups.js 로드 시 ../config.js 가 설정 파일을 환경 변수로 채움
     const { groupList, groupMap } = await loadGroups();
 
+    if (!config.baseId) {
+      throw new Error(
+        "블로그 ID가 없습니다. 설정 파일 account.naverBlogId 또는 NAVER_BLOG_ID 를 설정하세요."
+      );
+    }
+
     // 1) 전체 이웃
     const neighborsMap = await collectAllNeighbors();
 
@@ -363,35 +370,21 @@ async function main() {
       await sleep(300);
     }
 
-    // 4) CSV 생성
-    const header =
-      "blogId,blogUrl,nickname,groupIds,groupNames,isInfluencer,influencerId,influencerUrl\n";
-
-    const lines = neighbors.map((n) => {
-      const gids = Array.from(n.groupIds || []);
-      const gnames = gids
-        .map((id) => groupMap[id] || "")
-        .filter(Boolean)
-        .join("|");
-
-      return [
-        n.blogId,
-        n.blogUrl,
-        n.nickname || "",
-        gids.join("|"),
-        gnames,
-        n.isInfluencer || "N",
-        n.influencerId || "",
-        n.influencerUrl || ""
-      ]
-        .map((v) =>
-          v != null ? String(v).replace(/"/g, '""') : ""
-        )
-        .map((v) => `"${v}"`)
-        .join(",");
-    });
+    // 4) CSV 생성 (스키마/구분자/버전 주석은 ../neighbor-meta.js 가 담당)
+    //    이름을 모르는 그룹 id 는 빼서 groupIds / groupNames 개수를 맞춘다
+    const { formatNeighborCsv } = await import("../neighbor-meta.js");
+    const csv = formatNeighborCsv(
+      neighbors.map((n) => {
+        const gids = Array.from(n.groupIds || []).filter((id) => groupMap[id]);
+        return {
+          ...n,
+          groupIds: gids,
+          groupNames: gids.map((id) => groupMap[id]),
+          isInfluencer: n.isInfluencer || "N",
+        };
+      })
+    );
 
-    const csv = header + lines.join("\n");
     await fs.writeFile(
       "neighbor-followings-result.csv",
       csv,
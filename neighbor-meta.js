@@ -0,0 +1,266 @@
+/**
+ * neighbor-meta.js
+ * ───────────────────────────────────────────────
+ * 📇 이웃 메타데이터 CSV (neighbor-followings-result.csv) 공통 로더 / 작성기
+ *
+ *  - 이 CSV 를 읽는 모든 스크립트(index.js, migrate-blogid.js,
+ *    BlogID/sync-blogid-from-csv.js)와 쓰는 스크립트(neighbor-activity)가
+ *    같은 스키마 정의를 사용한다.
+ *
+ * 스키마 버전:
+ *  - v1 : 손으로 만든 초기 CSV (blogId, nickname, groupNames)
+ *         여러 그룹은 "," 로 구분, 컬럼 이름 변형(blogID, 닉네임 등) 허용
+ *  - v2 : neighbor-activity 출력 (blogId, blogUrl, nickname, groupIds, groupNames,
+ *         isInfluencer, influencerId, influencerUrl)
+ *         여러 그룹은 "|" 로 구분
+ *
+ * 버전 판별:
+ *  1) 첫 줄의 "# neighbor-followings schema v2" 주석 (작성기가 기록)
+ *  2) 주석이 없으면 헤더로 추정 (groupIds 컬럼이 있으면 v2, 없으면 v1)
+ *
+ * 행 검증:
+ *  - blogId 없음 / 형식 오류 → 그 행은 버림
+ *  - blogId 중복, groupIds·groupNames 개수 불일치, isInfluencer 값 오류 → 경고만
+ *  - 문제 행은 줄 번호와 함께 모아서 보고 (loadNeighborMeta 의 problems)
+ */
+
+import fs from "fs";
+import { parse } from "csv-parse/sync";
+
+export const NEIGHBOR_CSV_SCHEMA_VERSION = 2;
+
+const VERSION_COMMENT = /^#\s*neighbor-followings schema v(\d+)\s*$/i;
+
+export const NEIGHBOR_CSV_SCHEMAS = {
+  1: {
+    separator: ",",
+    columns: {
+      blogId: ["blogId", "blogID", "BlogID", "BLOGID", "blogid", "blog_id", "Blog ID", "id", "ID"],
+      nickname: [
+        "nickname", "nickName", "Nickname", "NickName",
+        "bloggerName", "BloggerName", "name", "Name", "별명", "닉네임",
+      ],
+      groupNames: ["groupNames", "groupName", "GroupNames", "GroupName", "group", "Group"],
+    },
+    required: ["blogId"],
+  },
+  2: {
+    separator: "|",
+    columns: {
+      blogId: ["blogId"],
+      blogUrl: ["blogUrl"],
+      nickname: ["nickname"],
+      groupIds: ["groupIds"],
+      groupNames: ["groupNames"],
+      isInfluencer: ["isInfluencer"],
+      influencerId: ["influencerId"],
+      influencerUrl: ["influencerUrl"],
+    },
+    required: ["blogId", "nickname", "groupIds", "groupNames"],
+  },
+};
+
+const BLOG_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PROBLEM_PRINT_LIMIT = 20;
+
+// ───────────────────────────────────────────────
+// 🔎 버전 판별
+// ───────────────────────────────────────────────
+
+function detectVersion(text, header) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/^﻿/, "");
+  const m = firstLine.match(VERSION_COMMENT);
+  if (m) return Number(m[1]);
+  return header.includes("groupIds") ? 2 : 1;
+}
+
+function pick(row, aliases) {
+  for (const name of aliases) {
+    if (row[name] != null && String(row[name]).trim() !== "") {
+      return String(row[name]).trim();
+    }
+  }
+  return "";
+}
+
+function splitList(value, separator) {
+  return String(value || "")
+    .split(separator)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// ───────────────────────────────────────────────
+// 📥 로드
+// ───────────────────────────────────────────────
+
+/**
+ * CSV 텍스트 파싱 + 검증
+ *
+ * @returns {{
+ *   version: number,
+ *   rows: Array<{ line: number, blogId: string, blogUrl: string, nickname: string,
+ *                 groupIds: string[], groupNames: string[], isInfluencer: boolean,
+ *                 influencerId: string, influencerUrl: string }>,
+ *   byBlogId: Map<string, object>,
+ *   problems: Array<{ line: number, message: string }>
+ * }}
+ */
+export function parseNeighborCsv(text) {
+  const records = parse(text, {
+    columns: true,
+    comment: "#",
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    info: true,
+  });
+
+  const header = records.length > 0 ? records[0].info.columns.map((c) => c.name) : [];
+  const version = detectVersion(text, header);
+  const schema = NEIGHBOR_CSV_SCHEMAS[version];
+  const problems = [];
+
+  if (!schema) {
+    problems.push({ line: 1, message: `지원하지 않는 스키마 버전: v${version}` });
+    return { version, rows: [], byBlogId: new Map(), problems };
+  }
+
+  if (records.length > 0) {
+    for (const field of schema.required) {
+      if (!schema.columns[field].some((name) => header.includes(name))) {
+        problems.push({ line: 1, message: `필수 컬럼 없음: ${field} (schema v${version})` });
+      }
+    }
+  }
+
+  const rows = [];
+  const byBlogId = new Map();
+
+  for (const { record, info } of records) {
+    const line = info.lines;
+    const get = (field) => pick(record, schema.columns[field] || []);
+
+    const blogId = get("blogId");
+    if (!blogId) {
+      problems.push({ line, message: "blogId 없음 → 행 무시" });
+      continue;
+    }
+    if (!BLOG_ID_PATTERN.test(blogId)) {
+      problems.push({ line, message: `blogId 형식 오류 (${blogId}) → 행 무시` });
+      continue;
+    }
+
+    const groupIds = splitList(get("groupIds"), schema.separator);
+    const groupNames = splitList(get("groupNames"), schema.separator);
+    if (schema.columns.groupIds && groupIds.length !== groupNames.length) {
+      problems.push({
+        line,
+        message: `${blogId}: groupIds ${groupIds.length}개 / groupNames ${groupNames.length}개 불일치`,
+      });
+    }
+
+    const influencer = get("isInfluencer").toUpperCase();
+    if (influencer && !["Y", "N"].includes(influencer)) {
+      problems.push({ line, message: `${blogId}: isInfluencer 는 Y/N 이어야 합니다 (${influencer})` });
+    }
+
+    if (byBlogId.has(blogId)) {
+      problems.push({
+        line,
+        message: `${blogId}: 중복 blogId (${byBlogId.get(blogId).line}번째 줄 값을 덮어씀)`,
+      });
+    }
+
+    const row = {
+      line,
+      blogId,
+      blogUrl: get("blogUrl"),
+      nickname: get("nickname"),
+      groupIds,
+      groupNames,
+      isInfluencer: influencer === "Y",
+      influencerId: get("influencerId"),
+      influencerUrl: get("influencerUrl"),
+    };
+    rows.push(row);
+    byBlogId.set(blogId, row);
+  }
+
+  return { version, rows, byBlogId, problems };
+}
+
+/**
+ * CSV 파일 로드 (파일이 없거나 파싱에 실패하면 빈 결과 + 경고)
+ *  - 결과 요약과 문제 행을 콘솔에 출력
+ *
+ * @param {string} csvPath
+ * @returns {ReturnType<typeof parseNeighborCsv> & { missing: boolean }}
+ */
+export function loadNeighborMeta(csvPath) {
+  const empty = { version: null, rows: [], byBlogId: new Map(), problems: [] };
+
+  if (!csvPath || !fs.existsSync(csvPath)) {
+    console.warn(`⚠️ 이웃 CSV 를 찾을 수 없습니다: ${csvPath}`);
+    return { ...empty, missing: true };
+  }
+
+  let result;
+  try {
+    result = parseNeighborCsv(fs.readFileSync(csvPath, "utf8"));
+  } catch (err) {
+    console.error(`❌ 이웃 CSV 파싱 실패 (${csvPath}):`, err.message);
+    return { ...empty, missing: false };
+  }
+
+  console.log(
+    `✅ 이웃 CSV 로드 (schema v${result.version}): ${result.byBlogId.size}개 blogId` +
+      (result.problems.length ? `, 문제 행 ${result.problems.length}건` : "")
+  );
+  for (const { line, message } of result.problems.slice(0, PROBLEM_PRINT_LIMIT)) {
+    console.warn(`  ⚠️ ${line}번째 줄: ${message}`);
+  }
+  if (result.problems.length > PROBLEM_PRINT_LIMIT) {
+    console.warn(`  ... 외 ${result.problems.length - PROBLEM_PRINT_LIMIT}건`);
+  }
+
+  return { ...result, missing: false };
+}
+
+// ───────────────────────────────────────────────
+// 📤 작성 (neighbor-activity)
+// ───────────────────────────────────────────────
+
+function csvCell(value) {
+  return `"${String(value ?? "").replace(/"/g, '""')}"`;
+}
+
+/**
+ * 이웃 목록 → 현재 스키마 버전 CSV 텍스트 (버전 주석 포함)
+ *
+ * @param {Array<{ blogId, blogUrl, nickname, groupIds: string[], groupNames: string[],
+ *                 isInfluencer: boolean|string, influencerId, influencerUrl }>} neighbors
+ */
+export function formatNeighborCsv(neighbors) {
+  const schema = NEIGHBOR_CSV_SCHEMAS[NEIGHBOR_CSV_SCHEMA_VERSION];
+  const columns = Object.keys(schema.columns);
+
+  const lines = neighbors.map((n) =>
+    columns
+      .map((col) => {
+        const value = n[col];
+        if (Array.isArray(value)) return csvCell(value.join(schema.separator));
+        if (col === "isInfluencer") {
+          return csvCell(value === true || value === "Y" ? "Y" : "N");
+        }
+        return csvCell(value);
+      })
+      .join(",")
+  );
+
+  return [
+    `# neighbor-followings schema v${NEIGHBOR_CSV_SCHEMA_VERSION}`,
+    columns.join(","),
+    ...lines,
+  ].join("\n");
+}
@@ -0,0 +1,29 @@
+/**
+ * notion-client.js
+ * ───────────────────────────────────────────────
+ * 🔌 Notion 클라이언트 생성 (실제 API / 로컬 대역 선택)
+ *
+ *  - NOTION_FAKE_DB 가 없으면 → @notionhq/client 의 Client (실제 API)
+ *  - NOTION_FAKE_DB=":memory:"  → 메모리 대역 (프로세스 종료 시 사라짐)
+ *  - NOTION_FAKE_DB="경로.json" → 파일 대역 (실행 간 유지, 여러 스크립트가 공유)
+ *
+ * 실험/테스트 실행이 운영 DB 를 건드리지 않도록 모든 스크립트가 이 함수로
+ * 클라이언트를 만든다. (CommonJS 인 BlogID/ 는 notion-fake.js 를 직접 import)
+ *
+ * 두 경우 모두 API 호출은 notion-scheduler.js 의 토큰 버킷을 거친다.
+ */
+
+import { Client } from "@notionhq/client";
+import { FakeNotionClient } from "./notion-fake.js";
+import { scheduleNotionClient } from "./notion-scheduler.js";
+
+export function createNotionClient({ auth = process.env.NOTION_API_KEY } = {}) {
+  const fakeDb = process.env.NOTION_FAKE_DB;
+
+  if (fakeDb) {
+    console.log(`🧪 Fake Notion 백엔드 사용: ${fakeDb}`);
+    return scheduleNotionClient(new FakeNotionClient({ dbPath: fakeDb }));
+  }
+
+  return scheduleNotionClient(new Client({ auth }));
+}
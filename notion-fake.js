@@ -0,0 +1,597 @@
+/**
+ * notion-fake.js
+ * ───────────────────────────────────────────────
+ * 🧪 로컬 Notion API 대역 (in-memory 또는 JSON 파일 저장)
+ *
+ * @notionhq/client 의 Client 중 이 레포가 쓰는 부분만 흉내 낸다:
+ *  - databases.query : filter(rich_text/title/url/date/number/checkbox/
+ *                      select/multi_select, and/or, timestamp) + sorts + 페이지네이션
+ *  - databases.retrieve / create / update : DB 스키마 조회 / 생성 / 속성 추가·이름 변경·타입 변경
+ *  - pages.create    : parent.database_id 아래에 페이지 생성
+ *  - pages.update    : 속성 갱신 / archived 처리
+ *  - blocks.children.append / list : 페이지(또는 이미 추가한 블록) 아래 블록
+ *                      (최대 100개씩 추가, 중첩 children 도 블록마다 100개까지)
+ *
+ * 규칙:
+ *  - 속성 타입은 처음 쓰이는 값의 키(rich_text, date …)로 DB 스키마에 자동 등록
+ *  - 조회 결과에는 실제 Notion 처럼 스키마의 모든 속성이 (빈 값 포함) 들어간다
+ *  - 응답 객체는 매번 복사본 → 호출 측에서 수정해도 저장소는 안전
+ *
+ * 사용: NOTION_FAKE_DB=":memory:" 또는 NOTION_FAKE_DB="./tmp/notion-fake.json"
+ *       (notion-client.js 의 createNotionClient 가 자동 선택)
+ *
+ * ⚠️ 외부 의존성이 없어야 한다 (BlogID/ 처럼 루트 node_modules 가 없는 곳에서도 import)
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+export const MEMORY_DB = ":memory:";
+
+// ───────────────────────────────────────────────
+// ❗ 에러 (APIResponseError 와 같은 code/status 필드)
+// ───────────────────────────────────────────────
+
+export class FakeNotionError extends Error {
+  constructor(code, status, message) {
+    super(message);
+    this.name = "FakeNotionError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function validationError(message) {
+  return new FakeNotionError("validation_error", 400, message);
+}
+
+function normalizeId(id) {
+  return String(id || "").replace(/-/g, "");
+}
+
+// ───────────────────────────────────────────────
+// 🧱 속성 값 변환 (요청 포맷 → 응답 포맷)
+// ───────────────────────────────────────────────
+
+const PROPERTY_TYPES = [
+  "title",
+  "rich_text",
+  "url",
+  "date",
+  "number",
+  "checkbox",
+  "select",
+  "multi_select",
+  "email",
+  "phone_number",
+  "files",
+];
+
+function detectPropertyType(value) {
+  return PROPERTY_TYPES.find((type) => type in (value || {})) || null;
+}
+
+function toRichTextItems(items) {
+  return (items || []).map((item) => {
+    const content = item.text?.content ?? item.plain_text ?? "";
+    const link = item.text?.link || null;
+    return {
+      type: "text",
+      text: { content, link },
+      annotations: {
+        bold: false,
+        italic: false,
+        strikethrough: false,
+        underline: false,
+        code: false,
+        color: "default",
+        ...item.annotations,
+      },
+      plain_text: content,
+      href: link?.url || null,
+    };
+  });
+}
+
+function toOption(option) {
+  return { id: option.id || randomUUID(), name: option.name, color: option.color || "default" };
+}
+
+function toStoredValue(type, value) {
+  switch (type) {
+    case "title":
+    case "rich_text":
+      return toRichTextItems(value);
+    case "date":
+      return value ? { start: value.start, end: value.end || null, time_zone: null } : null;
+    case "select":
+      return value ? toOption(value) : null;
+    case "multi_select":
+      return (value || []).map(toOption);
+    case "checkbox":
+      return Boolean(value);
+    case "files":
+      return value || [];
+    default:
+      return value ?? null;
+  }
+}
+
+function emptyValue(type) {
+  switch (type) {
+    case "title":
+    case "rich_text":
+    case "multi_select":
+    case "files":
+      return [];
+    case "checkbox":
+      return false;
+    default:
+      return null;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🔎 필터 / 정렬
+// ───────────────────────────────────────────────
+
+function plainText(prop) {
+  if (!prop) return "";
+  const v = prop[prop.type];
+  if (Array.isArray(v) && (prop.type === "title" || prop.type === "rich_text")) {
+    return v.map((r) => r.plain_text || "").join("");
+  }
+  return v == null ? "" : String(v);
+}
+
+function matchText(text, cond) {
+  if ("equals" in cond) return text === cond.equals;
+  if ("does_not_equal" in cond) return text !== cond.does_not_equal;
+  if ("contains" in cond) return text.includes(cond.contains);
+  if ("does_not_contain" in cond) return !text.includes(cond.does_not_contain);
+  if ("starts_with" in cond) return text.startsWith(cond.starts_with);
+  if ("ends_with" in cond) return text.endsWith(cond.ends_with);
+  if (cond.is_empty) return text === "";
+  if (cond.is_not_empty) return text !== "";
+  throw validationError(`지원하지 않는 텍스트 조건: ${JSON.stringify(cond)}`);
+}
+
+function matchDate(start, cond) {
+  if (cond.is_empty) return !start;
+  if (cond.is_not_empty) return Boolean(start);
+  if (!start) return false;
+
+  const t = new Date(start).getTime();
+  const [op, raw] = Object.entries(cond)[0] || [];
+  const target = new Date(raw).getTime();
+
+  switch (op) {
+    case "equals":
+      return String(start).slice(0, 10) === String(raw).slice(0, 10);
+    case "before":
+      return t < target;
+    case "after":
+      return t > target;
+    case "on_or_before":
+      return t <= target;
+    case "on_or_after":
+      return t >= target;
+    default:
+      throw validationError(`지원하지 않는 날짜 조건: ${JSON.stringify(cond)}`);
+  }
+}
+
+function matchNumber(n, cond) {
+  if (cond.is_empty) return n == null;
+  if (cond.is_not_empty) return n != null;
+  if (n == null) return false;
+  if ("equals" in cond) return n === cond.equals;
+  if ("does_not_equal" in cond) return n !== cond.does_not_equal;
+  if ("greater_than" in cond) return n > cond.greater_than;
+  if ("less_than" in cond) return n < cond.less_than;
+  if ("greater_than_or_equal_to" in cond) return n >= cond.greater_than_or_equal_to;
+  if ("less_than_or_equal_to" in cond) return n <= cond.less_than_or_equal_to;
+  throw validationError(`지원하지 않는 숫자 조건: ${JSON.stringify(cond)}`);
+}
+
+function matchFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every((f) => matchFilter(page, f));
+  if (filter.or) return filter.or.some((f) => matchFilter(page, f));
+
+  if (filter.timestamp) {
+    return matchDate(page[filter.timestamp], filter[filter.timestamp] || {});
+  }
+
+  const prop = page.properties[filter.property];
+  const condType = Object.keys(filter).find((k) => k !== "property" && k !== "type");
+  const cond = filter[condType] || {};
+  const value = prop ? prop[prop.type] : null;
+
+  switch (condType) {
+    case "rich_text":
+    case "title":
+    case "url":
+    case "email":
+    case "phone_number":
+      return matchText(plainText(prop), cond);
+    case "date":
+      return matchDate(value?.start, cond);
+    case "number":
+      return matchNumber(value, cond);
+    case "checkbox":
+      return "equals" in cond ? Boolean(value) === cond.equals : Boolean(value) !== cond.does_not_equal;
+    case "select":
+      if (cond.is_empty) return !value;
+      if (cond.is_not_empty) return Boolean(value);
+      if ("equals" in cond) return value?.name === cond.equals;
+      return value?.name !== cond.does_not_equal;
+    case "multi_select": {
+      const names = (value || []).map((o) => o.name);
+      if (cond.is_empty) return names.length === 0;
+      if (cond.is_not_empty) return names.length > 0;
+      if ("contains" in cond) return names.includes(cond.contains);
+      return !names.includes(cond.does_not_contain);
+    }
+    default:
+      throw validationError(`지원하지 않는 필터: ${JSON.stringify(filter)}`);
+  }
+}
+
+function sortKey(page, sort) {
+  if (sort.timestamp) return new Date(page[sort.timestamp]).getTime();
+
+  const prop = page.properties[sort.property];
+  if (!prop) return null;
+  const v = prop[prop.type];
+  if (prop.type === "date") return v?.start ? new Date(v.start).getTime() : null;
+  if (prop.type === "number") return v;
+  const text = plainText(prop);
+  return text === "" ? null : text;
+}
+
+function compareBySorts(sorts) {
+  return (a, b) => {
+    for (const sort of sorts) {
+      const ka = sortKey(a, sort);
+      const kb = sortKey(b, sort);
+      if (ka === kb) continue;
+      // 빈 값은 항상 뒤로 (Notion 과 동일)
+      if (ka == null) return 1;
+      if (kb == null) return -1;
+      const diff = typeof ka === "string" ? ka.localeCompare(kb) : ka - kb;
+      if (diff !== 0) return sort.direction === "descending" ? -diff : diff;
+    }
+    return 0;
+  };
+}
+
+// ───────────────────────────────────────────────
+// 🧪 FakeNotionClient
+// ───────────────────────────────────────────────
+
+export class FakeNotionClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dbPath] - JSON 저장 파일 경로 (없거나 ":memory:" 이면 메모리)
+   */
+  constructor({ dbPath = MEMORY_DB } = {}) {
+    this.dbPath = dbPath === MEMORY_DB ? null : path.resolve(dbPath);
+    this.store = { databases: {}, pages: {}, blocks: {} };
+
+    if (this.dbPath && fs.existsSync(this.dbPath)) {
+      this.store = JSON.parse(fs.readFileSync(this.dbPath, "utf8"));
+      this.store.blocks ||= {};
+    }
+
+    this.databases = {
+      query: async (params) => this.#queryDatabase(params),
+      retrieve: async (params) => this.#retrieveDatabase(params),
+      create: async (params) => this.#createDatabase(params),
+      update: async (params) => this.#updateDatabase(params),
+    };
+    this.pages = {
+      create: async (params) => this.#createPage(params),
+      update: async (params) => this.#updatePage(params),
+    };
+    this.blocks = {
+      children: {
+        append: async (params) => this.#appendBlocks(params),
+        list: async (params) => this.#listBlocks(params),
+      },
+    };
+  }
+
+  // ── 저장소 ──────────────────────────────────
+
+  #persist() {
+    if (!this.dbPath) return;
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    const tmpPath = `${this.dbPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.store, null, 2), "utf8");
+    fs.renameSync(tmpPath, this.dbPath);
+  }
+
+  /**
+   * database_id 에 해당하는 DB 스키마 (없으면 빈 스키마로 생성)
+   */
+  #database(databaseId) {
+    const key = normalizeId(databaseId);
+    if (!key) throw validationError("database_id 가 비어 있습니다.");
+    if (!this.store.databases[key]) {
+      this.store.databases[key] = { id: key, properties: {} };
+    }
+    return this.store.databases[key];
+  }
+
+  #registerProperties(database, properties) {
+    for (const [name, value] of Object.entries(properties || {})) {
+      const type = detectPropertyType(value);
+      if (!type) throw validationError(`속성 타입을 알 수 없습니다: ${name}`);
+
+      const known = database.properties[name];
+      if (known && known.type !== type) {
+        throw validationError(`${name} is expected to be ${known.type}.`);
+      }
+      if (!known) database.properties[name] = { id: randomUUID(), name, type };
+    }
+  }
+
+  /**
+   * 저장된 페이지 → 응답 객체 (스키마의 모든 속성 채움, 복사본)
+   */
+  #present(page) {
+    const database = this.#database(page.parent.database_id);
+    const properties = {};
+
+    for (const [name, { id, type }] of Object.entries(database.properties)) {
+      const stored = page.properties[name];
+      properties[name] = {
+        id,
+        type,
+        [type]: stored ? stored[type] : emptyValue(type),
+      };
+    }
+
+    return structuredClone({ ...page, properties });
+  }
+
+  #applyProperties(page, properties) {
+    for (const [name, value] of Object.entries(properties || {})) {
+      const type = detectPropertyType(value);
+      page.properties[name] = { type, [type]: toStoredValue(type, value[type]) };
+    }
+  }
+
+  /**
+   * DB 스키마 → databases.retrieve 응답 (복사본)
+   */
+  #presentDatabase(database) {
+    const properties = {};
+    for (const [name, { id, type }] of Object.entries(database.properties)) {
+      properties[name] = { id, name, type, [type]: {} };
+    }
+    return structuredClone({
+      object: "database",
+      id: database.id,
+      title: toRichTextItems(database.title || []),
+      parent: database.parent || null,
+      properties,
+    });
+  }
+
+  // ── API ─────────────────────────────────────
+
+  async #retrieveDatabase({ database_id }) {
+    return this.#presentDatabase(this.#database(database_id));
+  }
+
+  async #createDatabase({ parent, title = [], properties = {} }) {
+    if (!parent?.page_id) throw validationError("parent.page_id 가 필요합니다.");
+
+    const titleProps = Object.values(properties).filter((v) => "title" in (v || {}));
+    if (titleProps.length !== 1) {
+      throw validationError("title 속성이 정확히 하나 있어야 합니다.");
+    }
+
+    const id = randomUUID();
+    const database = { id: normalizeId(id), parent, title, properties: {} };
+    this.#registerProperties(database, properties);
+    this.store.databases[database.id] = database;
+    this.#persist();
+
+    return this.#presentDatabase(database);
+  }
+
+  /**
+   * 속성 추가 / 이름 변경({ name }) / 타입 변경 / 삭제(null)
+   *  - 타입이 바뀐 속성의 기존 값은 버림 (실제 Notion 은 가능한 만큼 변환)
+   */
+  async #updateDatabase({ database_id, title, properties = {} }) {
+    const database = this.#database(database_id);
+    if (title) database.title = title;
+
+    const pages = Object.values(this.store.pages).filter(
+      (p) => normalizeId(p.parent.database_id) === database.id
+    );
+
+    for (const [name, change] of Object.entries(properties)) {
+      const known = database.properties[name];
+
+      if (change === null) {
+        delete database.properties[name];
+        for (const page of pages) delete page.properties[name];
+        continue;
+      }
+
+      const type = detectPropertyType(change);
+      if (known && type && known.type !== type) {
+        if (known.type === "title" || type === "title") {
+          throw validationError(`${name}: title 속성의 타입은 바꿀 수 없습니다.`);
+        }
+        known.type = type;
+        for (const page of pages) delete page.properties[name];
+      } else if (!known) {
+        if (!type) throw validationError(`속성 타입을 알 수 없습니다: ${name}`);
+        database.properties[name] = { id: randomUUID(), name, type };
+      }
+
+      const newName = change.name;
+      if (newName && newName !== name) {
+        if (database.properties[newName]) {
+          throw validationError(`${newName} 속성이 이미 있습니다.`);
+        }
+        database.properties[newName] = { ...database.properties[name], name: newName };
+        delete database.properties[name];
+        for (const page of pages) {
+          if (name in page.properties) {
+            page.properties[newName] = page.properties[name];
+            delete page.properties[name];
+          }
+        }
+      }
+    }
+
+    this.#persist();
+    return this.#presentDatabase(database);
+  }
+
+  async #queryDatabase({ database_id, filter, sorts = [], start_cursor, page_size = 100 }) {
+    const key = normalizeId(database_id);
+    this.#database(key);
+
+    const matched = Object.values(this.store.pages)
+      .filter((page) => !page.archived && normalizeId(page.parent.database_id) === key)
+      .map((page) => this.#present(page))
+      .filter((page) => matchFilter(page, filter))
+      .sort(compareBySorts(sorts));
+
+    const start = start_cursor ? Number(start_cursor) : 0;
+    const size = Math.min(Number(page_size) || 100, 100);
+    const results = matched.slice(start, start + size);
+    const hasMore = start + size < matched.length;
+
+    return {
+      object: "list",
+      results,
+      has_more: hasMore,
+      next_cursor: hasMore ? String(start + size) : null,
+    };
+  }
+
+  async #createPage({ parent, properties, ...rest }) {
+    if (!parent?.database_id) {
+      throw validationError("parent.database_id 가 필요합니다.");
+    }
+
+    const database = this.#database(parent.database_id);
+    this.#registerProperties(database, properties);
+
+    const now = new Date().toISOString();
+    const id = randomUUID();
+    const page = {
+      object: "page",
+      id,
+      created_time: now,
+      last_edited_time: now,
+      archived: false,
+      parent: { type: "database_id", database_id: database.id },
+      url: `https://www.notion.so/${normalizeId(id)}`,
+      cover: rest.cover || null,
+      icon: rest.icon || null,
+      properties: {},
+    };
+    this.#applyProperties(page, properties);
+
+    this.store.pages[id] = page;
+    this.#persist();
+    return this.#present(page);
+  }
+
+  async #updatePage({ page_id, properties, archived, ...rest }) {
+    const page = Object.values(this.store.pages).find(
+      (p) => normalizeId(p.id) === normalizeId(page_id)
+    );
+    if (!page) {
+      throw new FakeNotionError(
+        "object_not_found",
+        404,
+        `Could not find page with ID: ${page_id}.`
+      );
+    }
+
+    this.#registerProperties(this.#database(page.parent.database_id), properties);
+    this.#applyProperties(page, properties);
+    if (archived != null) page.archived = Boolean(archived);
+    if ("cover" in rest) page.cover = rest.cover;
+    if ("icon" in rest) page.icon = rest.icon;
+    page.last_edited_time = new Date().toISOString();
+
+    this.#persist();
+    return this.#present(page);
+  }
+
+  async #appendBlocks({ block_id, children = [] }) {
+    const key = normalizeId(block_id);
+    const isPage = Object.values(this.store.pages).some((p) => normalizeId(p.id) === key);
+    const isBlock = Object.values(this.store.blocks).some((list) =>
+      list.some((b) => normalizeId(b.id) === key)
+    );
+    if (!isPage && !isBlock) {
+      throw new FakeNotionError("object_not_found", 404, `Could not find block with ID: ${block_id}.`);
+    }
+    if (children.length > 100) {
+      throw validationError("body.children.length should be ≤ 100");
+    }
+    children.forEach((block, i) => {
+      if ((block[block.type]?.children?.length || 0) > 100) {
+        throw validationError(`body.children[${i}].${block.type}.children.length should be ≤ 100`);
+      }
+    });
+
+    // 중첩 children 은 실제 Notion 처럼 그 블록 아래 블록으로 따로 저장 (응답에는 has_children 만)
+    const appended = children.map((block) => {
+      const { children: nested = [], ...content } = block[block.type] || {};
+      const id = randomUUID();
+      if (nested.length > 0) {
+        this.store.blocks[normalizeId(id)] = nested.map((child) => ({
+          object: "block",
+          id: randomUUID(),
+          has_children: false,
+          ...structuredClone(child),
+        }));
+      }
+      return {
+        object: "block",
+        id,
+        has_children: nested.length > 0,
+        ...structuredClone({ ...block, [block.type]: content }),
+      };
+    });
+
+    if (isBlock) {
+      for (const list of Object.values(this.store.blocks)) {
+        const parent = list.find((b) => normalizeId(b.id) === key);
+        if (parent) parent.has_children = true;
+      }
+    }
+    this.store.blocks[key] = [...(this.store.blocks[key] || []), ...appended];
+    this.#persist();
+    return { object: "list", results: structuredClone(appended), has_more: false, next_cursor: null };
+  }
+
+  async #listBlocks({ block_id, start_cursor, page_size = 100 }) {
+    const all = this.store.blocks[normalizeId(block_id)] || [];
+    const start = start_cursor ? Number(start_cursor) : 0;
+    const size = Math.min(Number(page_size) || 100, 100);
+    const hasMore = start + size < all.length;
+
+    return {
+      object: "list",
+      results: structuredClone(all.slice(start, start + size)),
+      has_more: hasMore,
+      next_cursor: hasMore ? String(start + size) : null,
+    };
+  }
+}
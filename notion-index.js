@@ -0,0 +1,316 @@
+/**
+ * notion-index.js
+ * ───────────────────────────────────────────────
+ * 🗂 UniqueID → Notion 페이지 인덱스 (글마다 databases.query 하지 않기)
+ *
+ *  - DB 별로 실행당 한 번만 페이지네이션으로 읽어 메모리에 보관
+ *      UniqueID → { pageId, title, url, category, groups, nickname, blogId, tags,
+ *                   tickers, thumbnail, sympathy, comments, hasCover }
+ *    → notion.js 는 기존 페이지 조회와 "변경 없음" 판정을 메모리에서 처리
+ *  - 페이지를 만들거나 고치면 API 응답으로 인덱스 항목을 바로 갱신
+ *  - 실행이 끝나면 캐시 파일(.notion-index.json)에 저장
+ *      - 다음 실행은 캐시를 읽고, 그 뒤에 수정된 페이지(last_edited_time)만 다시 조회
+ *        (다른 스크립트나 사람이 Notion 에서 고친 내용도 반영됨)
+ *      - 캐시가 NOTION_INDEX_MAX_AGE_HOURS 보다 오래됐으면 전체 재구성
+ *        (보관/삭제된 페이지는 조회에 안 나오므로 주기적으로 정리)
+ *  - 인덱스 구성에 실패하면 null → notion.js 가 예전처럼 글마다 조회
+ *  - 드라이런(dry-run.js)에서는 캐시 파일을 쓰지 않음
+ *  - 속성 이름은 notion-properties.js 매핑대로 읽고, 매핑이 바뀌면 캐시를 버리고 전체 재구성
+ *
+ * 환경 변수:
+ *  - NOTION_INDEX                : false 면 인덱스를 쓰지 않음 (기본 true)
+ *  - NOTION_INDEX_PATH           : 캐시 파일 경로 (기본: 저장소 루트의 .notion-index.json)
+ *  - NOTION_INDEX_MAX_AGE_HOURS  : 캐시를 믿는 최대 시간 (기본 24, 0 이면 매번 전체 재구성)
+ *
+ * ⚠️ GitHub Actions 에서는 .scrape-state.json 과 함께 actions/cache 로 유지한다.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DRY_RUN } from "./dry-run.js";
+import {
+  postProperties,
+  propertyFilter,
+  readProperty,
+  isPropertyEnabled,
+} from "./notion-properties.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const USE_PAGE_INDEX = !/^(0|false|no)$/i.test(
+  (process.env.NOTION_INDEX || "true").trim()
+);
+
+const INDEX_PATH =
+  process.env.NOTION_INDEX_PATH || path.resolve(__dirname, ".notion-index.json");
+
+const MAX_AGE_HOURS = Number(process.env.NOTION_INDEX_MAX_AGE_HOURS ?? 24);
+
+const CACHE_VERSION = 3;
+
+// 속성 매핑이 바뀌면 캐시 항목의 값이 다른 속성에서 읽은 것이므로 전체 재구성
+const MAPPING_KEY = JSON.stringify(
+  Object.entries(postProperties()).map(([field, prop]) => [field, prop?.name ?? null])
+);
+
+// last_edited_time 은 분 단위로 잘리므로 여유를 두고 다시 조회
+const DELTA_MARGIN_MS = 2 * 60 * 1000;
+
+// databaseId → { databaseId, entries: Map, syncedAt, dirty }
+const indexes = new Map();
+// 구성 중인 인덱스 (같은 DB 를 동시에 두 번 읽지 않도록)
+const loading = new Map();
+
+// ───────────────────────────────────────────────
+// 🧩 페이지 → 인덱스 항목
+// ───────────────────────────────────────────────
+
+/**
+ * Notion 페이지 객체 → 인덱스 항목
+ *  - 속성 이름은 설정의 매핑대로 (notion-properties.js)
+ *  - Group 은 multi_select(루트) / rich_text(PerGroup) 둘 다 지원
+ */
+export function entryFromPage(page) {
+  const props = page.properties || {};
+
+  return {
+    pageId: page.id,
+    title: readProperty(props, "title"),
+    url: readProperty(props, "url"),
+    category: readProperty(props, "category"),
+    groups: readProperty(props, "groups"),
+    nickname: readProperty(props, "nickname"),
+    blogId: readProperty(props, "blogId"),
+    tags: readProperty(props, "tags"),
+    tickers: readProperty(props, "tickers"),
+    thumbnail: readProperty(props, "thumbnail"),
+    sympathy: readProperty(props, "sympathy"),
+    comments: readProperty(props, "comments"),
+    hasCover: Boolean(page.cover),
+  };
+}
+
+function uniqueIdOf(page) {
+  return readProperty(page.properties, "uniqueId").trim();
+}
+
+// ───────────────────────────────────────────────
+// 📂 캐시 파일
+// ───────────────────────────────────────────────
+
+function emptyCache() {
+  return { version: CACHE_VERSION, mapping: MAPPING_KEY, databases: {} };
+}
+
+function readCache() {
+  if (!fs.existsSync(INDEX_PATH)) return emptyCache();
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(INDEX_PATH, "utf8"));
+    if (cache.version !== CACHE_VERSION) {
+      console.warn(`⚠️ 인덱스 캐시 버전이 다릅니다 → 전체 재구성 (${INDEX_PATH})`);
+      return emptyCache();
+    }
+    if (cache.mapping !== MAPPING_KEY) {
+      console.warn(`⚠️ 속성 매핑(properties)이 바뀌었습니다 → 전체 재구성 (${INDEX_PATH})`);
+      return emptyCache();
+    }
+    return { ...emptyCache(), databases: cache.databases || {} };
+  } catch (err) {
+    console.warn(`⚠️ 인덱스 캐시 파싱 실패 → 전체 재구성 (${INDEX_PATH}):`, err.message);
+    return emptyCache();
+  }
+}
+
+/**
+ * 이번 실행에서 읽었거나 바뀐 인덱스를 캐시 파일에 저장
+ *  - 임시 파일에 쓴 뒤 rename (scrape-state.js 와 같은 방식)
+ */
+export function savePageIndexes() {
+  if (DRY_RUN) return;
+  const dirty = [...indexes.values()].filter((index) => index.dirty);
+  if (dirty.length === 0) return;
+
+  const cache = readCache();
+  for (const index of dirty) {
+    cache.databases[index.databaseId] = {
+      syncedAt: index.syncedAt,
+      entries: Object.fromEntries(index.entries),
+    };
+    index.dirty = false;
+  }
+
+  try {
+    const tmpPath = `${INDEX_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(cache), "utf8");
+    fs.renameSync(tmpPath, INDEX_PATH);
+  } catch (err) {
+    console.warn(`⚠️ 인덱스 캐시 저장 실패 (${INDEX_PATH}):`, err.message);
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🔄 구성 (전체 / 변경분)
+// ───────────────────────────────────────────────
+
+async function queryAll(query, databaseId, filter) {
+  const pages = [];
+  let cursor = undefined;
+
+  do {
+    const res = await query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100,
+      filter,
+    });
+    pages.push(...res.results);
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+
+  return pages;
+}
+
+async function buildIndex(query, databaseId) {
+  const cached = readCache().databases[databaseId];
+  const cachedAt = cached?.syncedAt ? Date.parse(cached.syncedAt) : NaN;
+  const fresh =
+    MAX_AGE_HOURS > 0 &&
+    !isNaN(cachedAt) &&
+    Date.now() - cachedAt < MAX_AGE_HOURS * 60 * 60 * 1000;
+
+  // 조회를 시작한 시각을 기준으로 기록 (조회 중에 바뀐 페이지는 다음 실행에서 다시 읽음)
+  const syncedAt = new Date().toISOString();
+  const hasUniqueId = propertyFilter("uniqueId", { is_not_empty: true });
+
+  let entries;
+  let pages;
+  if (fresh) {
+    entries = new Map(Object.entries(cached.entries || {}));
+    pages = await queryAll(query, databaseId, {
+      and: [
+        hasUniqueId,
+        {
+          timestamp: "last_edited_time",
+          last_edited_time: {
+            on_or_after: new Date(cachedAt - DELTA_MARGIN_MS).toISOString(),
+          },
+        },
+      ],
+    });
+  } else {
+    entries = new Map();
+    pages = await queryAll(query, databaseId, hasUniqueId);
+  }
+
+  const seen = new Set();
+  let duplicates = 0;
+  for (const page of pages) {
+    const uniqueId = uniqueIdOf(page);
+    if (!uniqueId) continue;
+    // 같은 UniqueID 가 여러 페이지면 먼저 나온 페이지 사용 (예전 results[0] 과 동일)
+    if (seen.has(uniqueId)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(uniqueId);
+    entries.set(uniqueId, entryFromPage(page));
+  }
+
+  console.log(
+    fresh
+      ? `🗂 Notion 인덱스: 캐시 ${entries.size}건 (변경분 ${pages.length}건 반영)`
+      : `🗂 Notion 인덱스: 전체 ${entries.size}건 구성`
+  );
+  if (duplicates > 0) {
+    console.warn(`⚠️ UniqueID 가 중복된 페이지 ${duplicates}건 (먼저 나온 페이지만 사용)`);
+  }
+
+  return { databaseId, entries, syncedAt, dirty: true };
+}
+
+/**
+ * DB 인덱스 가져오기 (실행당 한 번 구성)
+ *
+ * @param {string} databaseId
+ * @param {(args: object) => Promise<object>} query databases.query (재시도 포함)
+ * @returns {Promise<object|null>} 인덱스 (비활성화 / 구성 실패 시 null)
+ */
+export async function getPageIndex(databaseId, query) {
+  if (!USE_PAGE_INDEX) return null;
+  if (indexes.has(databaseId)) return indexes.get(databaseId);
+
+  if (!loading.has(databaseId)) {
+    loading.set(
+      databaseId,
+      buildIndex(query, databaseId)
+        .catch((err) => {
+          console.warn(
+            "⚠️ Notion 인덱스 구성 실패 → 글마다 조회합니다:",
+            err.message || err
+          );
+          return null;
+        })
+        .then((index) => {
+          indexes.set(databaseId, index);
+          loading.delete(databaseId);
+          return index;
+        })
+    );
+  }
+  return loading.get(databaseId);
+}
+
+// ───────────────────────────────────────────────
+// 🔎 조회 / 갱신
+// ───────────────────────────────────────────────
+
+export function lookupPage(index, uniqueId) {
+  return index.entries.get(uniqueId) || null;
+}
+
+/**
+ * 생성/수정 API 응답으로 인덱스 항목 갱신
+ */
+export function rememberPage(index, uniqueId, page) {
+  if (!index || !page?.id) return;
+  index.entries.set(uniqueId, entryFromPage(page));
+  index.dirty = true;
+}
+
+/**
+ * 드라이런의 생성 예정 페이지를 자리표시 항목으로 기록 (API 응답 대신 속성 payload 로)
+ *  → 같은 실행에서 같은 UniqueID 가 다시 나오면 실제 실행처럼 생성이 아니라 업데이트/스킵으로 보고
+ *  - 드라이런은 캐시 파일을 쓰지 않으므로 다음 실행에는 남지 않음
+ */
+export function rememberPlannedPage(index, uniqueId, properties, { cover } = {}) {
+  if (!index) return;
+  index.entries.set(
+    uniqueId,
+    entryFromPage({ id: `dry-run:${uniqueId}`, properties, cover: cover || null })
+  );
+}
+
+// 스크래퍼가 네이버에 추가로 조회하는 상세 값 (post-details.js)
+const DETAIL_FIELDS = ["category", "sympathy", "comments"];
+
+/**
+ * 인덱스 항목 → 비어 있는 상세 필드 목록 (꺼진 필드는 제외)
+ *  → 이미 저장된 글은 이 필드만 다시 조회
+ */
+export function missingDetails(entry) {
+  return DETAIL_FIELDS.filter(
+    (field) => isPropertyEnabled(field) && (entry[field] == null || entry[field] === "")
+  );
+}
+
+/**
+ * 보관/삭제되어 더 이상 쓸 수 없는 페이지를 인덱스에서 제거
+ */
+export function forgetPage(index, uniqueId) {
+  if (!index) return;
+  index.entries.delete(uniqueId);
+  index.dirty = true;
+}
@@ -0,0 +1,208 @@
+/**
+ * notion-properties.js
+ * ───────────────────────────────────────────────
+ * 🗺 스크랩 DB 속성 매핑 (논리 필드 → Notion 속성 이름 / 타입)
+ *
+ *  - 스크래퍼와 보조 스크립트는 속성 이름 대신 논리 필드(title, url, uniqueId, groups,
+ *    publishedAt ...)로 읽고 쓴다 → 이름·타입이 다른 DB(예: 영어 이름의 팀 DB)에도 그대로 기록
+ *  - 기본 이름/타입과 필드 목록은 config.js 의 PROPERTY_FIELDS
+ *  - 설정 파일(naver-notion.config.json)의 "properties" 로 필드별 변경
+ *      "properties": {
+ *        "title": "Name",                                   // 이름만 변경
+ *        "groups": { "name": "Teams", "type": "rich_text" }, // 이름 + 타입
+ *        "tickers": false                                   // 끄기 (읽지도 쓰지도 않음)
+ *      }
+ *  - 변형(variant)별 기본 타입
+ *      - posts     : index.js (groups = multi_select)
+ *      - per-group : PerGroup/index.js (groups = rich_text, 스크랩 중인 그룹 이름 하나)
+ *  - 꺼진 필드는 writeProperty() 가 {} 를 돌려주고 readProperty() 는 빈 값
+ *    → 호출 측은 꺼졌는지 따로 확인하지 않아도 됨 (변경 비교에서만 isPropertyEnabled)
+ *
+ * 사용처: notion.js / PerGroup/notion.js, notion-index.js, notion-schema.js, dry-run.js,
+ *         migrate-blogid.js, fix-ids-from-url.js, refresh-engagement.js, verify-posts.js
+ */
+
+import { config, PROPERTY_FIELDS } from "./config.js";
+import { EXIT_CONFIG_INVALID } from "./exit-codes.js";
+
+// 변형별 기본 타입 (설정에서 type 을 지정하지 않은 필드)
+const VARIANT_TYPES = {
+  posts: {},
+  "per-group": { groups: "rich_text" },
+};
+
+export const PROPERTY_VARIANTS = Object.keys(VARIANT_TYPES);
+
+// 값이 이름 목록인 필드 (multi_select 또는 "," 로 이은 텍스트)
+const LIST_FIELDS = new Set(["groups", "tags", "tickers"]);
+
+// ───────────────────────────────────────────────
+// 📋 매핑 구성
+// ───────────────────────────────────────────────
+
+function resolveVariant(variant) {
+  const defaults = VARIANT_TYPES[variant];
+  const overrides = config.properties || {};
+
+  return Object.fromEntries(
+    Object.entries(PROPERTY_FIELDS).map(([field, def]) => {
+      const value = overrides[field];
+      if (value === false) return [field, null];
+
+      const custom = typeof value === "string" ? { name: value } : value || {};
+      return [
+        field,
+        {
+          name: custom.name ?? def.name,
+          type: custom.type ?? defaults[field] ?? def.types[0],
+        },
+      ];
+    })
+  );
+}
+
+const MAPPINGS = Object.fromEntries(
+  PROPERTY_VARIANTS.map((variant) => [variant, resolveVariant(variant)])
+);
+
+/**
+ * 변형의 전체 매핑 { 필드: { name, type } | null(꺼짐) }
+ */
+export function postProperties(variant = "posts") {
+  const mapping = MAPPINGS[variant];
+  if (!mapping) throw new Error(`알 수 없는 스키마 종류: ${variant}`);
+  return mapping;
+}
+
+function fieldOf(field, variant) {
+  if (!(field in PROPERTY_FIELDS)) throw new Error(`알 수 없는 속성 필드: ${field}`);
+  return postProperties(variant)[field];
+}
+
+/**
+ * 필드 → Notion 속성 이름 (꺼져 있으면 null)
+ */
+export function propName(field, variant = "posts") {
+  return fieldOf(field, variant)?.name ?? null;
+}
+
+export function isPropertyEnabled(field) {
+  return propName(field) !== null;
+}
+
+/**
+ * 필요한 필드가 꺼져 있으면 설정 오류로 종료 (보조 스크립트 시작 시)
+ */
+export function requireProperties(fields, script) {
+  const off = fields.filter((field) => !isPropertyEnabled(field));
+  if (off.length === 0) return;
+
+  console.error(
+    `❌ ${script} 에 필요한 속성이 설정(properties)에서 꺼져 있습니다: ${off.join(", ")}`
+  );
+  process.exit(EXIT_CONFIG_INVALID);
+}
+
+// ───────────────────────────────────────────────
+// ✏️ 쓰기
+// ───────────────────────────────────────────────
+
+/**
+ * 타입 + 값 → pages.create / update 용 속성 값
+ *  - 목록을 텍스트 타입에 쓰면 "," 로 이어 붙임
+ */
+export function propertyValue(type, value) {
+  switch (type) {
+    case "title":
+    case "rich_text": {
+      const text = Array.isArray(value) ? value.join(",") : String(value ?? "");
+      return { [type]: [{ text: { content: text } }] };
+    }
+    case "select": {
+      const name = Array.isArray(value) ? value[0] : value;
+      return { select: name ? { name: String(name) } : null };
+    }
+    case "multi_select": {
+      const names = Array.isArray(value) ? value : [value].filter(Boolean);
+      return { multi_select: names.map((name) => ({ name: String(name) })) };
+    }
+    case "url":
+      return { url: value || null };
+    case "date":
+      return { date: value ? { start: value } : null };
+    case "number":
+      return { number: value ?? null };
+    default:
+      throw new Error(`지원하지 않는 속성 타입: ${type}`);
+  }
+}
+
+/**
+ * 필드 값 → { [속성 이름]: 속성 값 } (꺼진 필드는 {} → 펼쳐 넣으면 생략됨)
+ */
+export function writeProperty(field, value, variant = "posts") {
+  const prop = fieldOf(field, variant);
+  if (!prop) return {};
+  return { [prop.name]: propertyValue(prop.type, value) };
+}
+
+// ───────────────────────────────────────────────
+// 📖 읽기
+// ───────────────────────────────────────────────
+
+// 텍스트 속성에 "," 로 이어 저장한 목록 → 배열 (propertyValue 의 반대)
+function splitTextList(text) {
+  return String(text || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Notion 속성 값(조회 결과) 또는 속성 payload → 텍스트
+ */
+export function propertyText(prop) {
+  if (!prop) return "";
+  const rich = prop.title || prop.rich_text;
+  if (rich) return rich.map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+  if (prop.select !== undefined) return prop.select?.name || "";
+  if (prop.url !== undefined) return prop.url || "";
+  return "";
+}
+
+/**
+ * page.properties (또는 속성 payload) → 필드 값
+ *  - 목록 필드(groups, tags, tickers): 정렬된 이름 배열
+ *  - number: 숫자 또는 null / date: 시작 일시 문자열 또는 null / 그 외: 텍스트
+ *  - 꺼졌거나 없는 속성은 빈 값 ("", [], null)
+ *  - 타입은 실제 값으로 판단 (posts / per-group 의 Group 둘 다 읽힘)
+ */
+export function readProperty(properties, field) {
+  const def = PROPERTY_FIELDS[field];
+  const prop = properties?.[propName(field)];
+
+  if (LIST_FIELDS.has(field)) {
+    const names = prop?.multi_select
+      ? prop.multi_select.map((o) => o.name).filter(Boolean)
+      : splitTextList(propertyText(prop));
+    return names.sort();
+  }
+  if (def.types[0] === "number") return prop?.number ?? null;
+  if (def.types[0] === "date") return prop?.date?.start ?? null;
+  return propertyText(prop);
+}
+
+// ───────────────────────────────────────────────
+// 🔎 조회 필터
+// ───────────────────────────────────────────────
+
+/**
+ * 필드 + 조건 → databases.query filter (꺼진 필드는 null)
+ *  예) propertyFilter("uniqueId", { equals: id })
+ *      → { property: "UniqueID", rich_text: { equals: id } }
+ */
+export function propertyFilter(field, condition, variant = "posts") {
+  const prop = fieldOf(field, variant);
+  if (!prop) return null;
+  return { property: prop.name, [prop.type]: condition };
+}
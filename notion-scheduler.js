@@ -0,0 +1,183 @@
+/**
+ * notion-scheduler.js
+ * ───────────────────────────────────────────────
+ * 🚦 Notion 요청 스케줄러 (토큰 버킷 + 동시 실행)
+ *
+ *  - 모든 Notion API 호출은 같은 토큰 버킷을 거친다
+ *      - createNotionClient() 가 만든 클라이언트의 메서드를 감싸므로
+ *        notion.js / migrate-blogid.js / fix-ids-from-url.js 등은 평소처럼 호출만 하면 됨
+ *      - Notion 권장 한도(평균 3 req/s)에 맞춰 NOTION_RATE_PER_SEC 개씩 토큰 보충
+ *      - rate_limited(429) 응답을 받으면 Retry-After 동안 버킷 전체를 멈춤
+ *        (재시도는 호출 측 withNotionRetry / safeUpdatePage 가 담당)
+ *  - runConcurrent(): 여러 작업을 NOTION_CONCURRENCY 개씩 동시에 실행
+ *      - 같은 키(UniqueID)의 작업은 들어온 순서대로 하나씩 → 같은 글을 두 번 동시에 생성하지 않음
+ *
+ * 환경 변수:
+ *  - NOTION_RATE_PER_SEC : 초당 요청 수 (기본 3)
+ *  - NOTION_BURST        : 한 번에 몰아 쓸 수 있는 최대 토큰 (기본 3)
+ *  - NOTION_CONCURRENCY  : 동시에 처리할 작업 수 (기본 3, 1 이면 예전처럼 순차)
+ */
+
+const RATE_PER_SEC = Math.max(1, Number(process.env.NOTION_RATE_PER_SEC || 3));
+const BURST = Math.max(1, Number(process.env.NOTION_BURST || 3));
+export const NOTION_CONCURRENCY = Math.max(
+  1,
+  parseInt(process.env.NOTION_CONCURRENCY || "3", 10) || 1
+);
+
+// Retry-After 가 없을 때 멈추는 시간
+const RATE_LIMITED_PAUSE_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ───────────────────────────────────────────────
+// 🪣 토큰 버킷
+// ───────────────────────────────────────────────
+
+const bucket = {
+  tokens: BURST,
+  refilledAt: Date.now(),
+  pausedUntil: 0,
+};
+
+// 토큰을 기다리는 호출 (먼저 온 순서대로)
+let queue = Promise.resolve();
+
+function refill() {
+  const now = Date.now();
+  bucket.tokens = Math.min(
+    BURST,
+    bucket.tokens + ((now - bucket.refilledAt) / 1000) * RATE_PER_SEC
+  );
+  bucket.refilledAt = now;
+}
+
+async function takeToken() {
+  while (true) {
+    const paused = bucket.pausedUntil - Date.now();
+    if (paused > 0) {
+      await sleep(paused);
+      continue;
+    }
+
+    refill();
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / RATE_PER_SEC) * 1000));
+  }
+}
+
+function retryAfterMs(err) {
+  const header =
+    err.headers?.get?.("retry-after") ?? err.headers?.["retry-after"] ?? null;
+  const sec = Number(header);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : RATE_LIMITED_PAUSE_MS;
+}
+
+/**
+ * Notion 요청 하나를 토큰을 받은 뒤 실행
+ *
+ * @template T
+ * @param {() => Promise<T>} request
+ * @returns {Promise<T>}
+ */
+export async function scheduleNotion(request) {
+  const turn = queue.then(takeToken);
+  queue = turn;
+  await turn;
+
+  try {
+    return await request();
+  } catch (err) {
+    if (err.code === "rate_limited" || err.status === 429) {
+      const wait = retryAfterMs(err);
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + wait);
+      bucket.tokens = 0;
+      console.warn(`🐢 Notion 요청 한도 초과 → ${wait}ms 동안 요청 중지`);
+    }
+    throw err;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🔌 클라이언트 감싸기
+// ───────────────────────────────────────────────
+
+// 스크립트들이 쓰는 API (namespace 경로 → 메서드 이름)
+const SCHEDULED_METHODS = {
+  databases: ["query", "retrieve", "create", "update"],
+  pages: ["create", "update", "retrieve"],
+  "blocks.children": ["append", "list"],
+  blocks: ["retrieve", "update", "delete"],
+};
+
+/**
+ * Notion 클라이언트(실제 / 대역)의 API 메서드가 scheduleNotion 을 거치도록 감싼다
+ *  - 클라이언트 객체를 그대로 돌려주므로 호출 코드는 바꿀 필요 없음
+ */
+export function scheduleNotionClient(client) {
+  for (const [ns, methods] of Object.entries(SCHEDULED_METHODS)) {
+    const target = ns.split(".").reduce((obj, key) => obj?.[key], client);
+    if (!target) continue;
+
+    for (const name of methods) {
+      const original = target[name];
+      if (typeof original !== "function") continue;
+      target[name] = (args) => scheduleNotion(() => original.call(target, args));
+    }
+  }
+  return client;
+}
+
+// ───────────────────────────────────────────────
+// 🔀 동시 실행
+// ───────────────────────────────────────────────
+
+/**
+ * items 를 최대 concurrency 개씩 동시에 worker 로 처리
+ *  - keyOf(item) 이 같은 작업은 같은 줄(lane)에 넣어 순서대로 하나씩 실행
+ *  - 키가 없으면(null) 각자 독립된 줄
+ *  - worker 의 예외는 잡지 않음 → 호출 측 worker 안에서 처리할 것
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => Promise<void>} worker
+ * @param {{ concurrency?: number, keyOf?: (item: T) => string|symbol|null }} [options]
+ */
+export async function runConcurrent(
+  items,
+  worker,
+  { concurrency = NOTION_CONCURRENCY, keyOf = () => null } = {}
+) {
+  const lanes = [];
+  const laneByKey = new Map();
+
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key == null) {
+      lanes.push([item]);
+      continue;
+    }
+    if (!laneByKey.has(key)) {
+      laneByKey.set(key, []);
+      lanes.push(laneByKey.get(key));
+    }
+    laneByKey.get(key).push(item);
+  }
+
+  let next = 0;
+  const runner = async () => {
+    while (next < lanes.length) {
+      const lane = lanes[next++];
+      for (const item of lane) await worker(item);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, lanes.length) }, runner)
+  );
+}
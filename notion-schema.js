@@ -0,0 +1,202 @@
+/**
+ * notion-schema.js
+ * ───────────────────────────────────────────────
+ * 🧱 스크랩 DB 의 Notion 속성(컬럼) 정의 + 검사 / 보정 / 생성
+ *
+ *  - notion.js / PerGroup/notion.js 가 쓰는 속성 이름·타입 = notion-properties.js 매핑
+ *    (설정의 "properties" 로 바꾼 이름/타입, 끈 필드는 검사하지 않음)
+ *      - posts     : index.js (Group = multi_select, CSV groupNames 전체)
+ *      - per-group : PerGroup/index.js (Group = rich_text, 스크랩 중인 그룹 이름 하나)
+ *  - inspectSchema() : databases.retrieve 결과와 비교해 없는 속성 / 타입이 다른 속성 목록
+ *  - fixSchema()     : databases.update 로 없는 속성 추가, 타입 변경, title 속성 이름 맞추기
+ *  - createDatabase(): 부모 페이지 아래에 올바른 타입의 DB 새로 생성
+ *  - assertDatabaseSchema(): 스크랩 시작 전 검사 → 맞지 않으면 NotionSchemaError
+ *      (로컬 대역은 처음 쓰는 속성을 자동 등록하므로 "없는 속성" 은 경고만)
+ *
+ * 명령: node cli.js schema (check-schema.js)
+ */
+
+import { PROPERTY_FIELDS } from "./config.js";
+import { PROPERTY_VARIANTS, postProperties, propName } from "./notion-properties.js";
+
+export class NotionSchemaError extends Error {
+  constructor(databaseId, problems) {
+    super(
+      `Notion DB(${databaseId}) 속성이 스크래퍼와 맞지 않습니다: ` +
+        problems.map(formatProblem).join(", ")
+    );
+    this.name = "NotionSchemaError";
+    this.databaseId = databaseId;
+    this.problems = problems;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 📋 속성 정의
+// ───────────────────────────────────────────────
+
+/**
+ * 변형 → { 속성 이름: 타입 } (notion-properties.js 매핑, 꺼진 필드는 제외)
+ *  - required : 스크래퍼가 항상(또는 값이 있으면) 쓰는 속성 → 없으면 API 오류
+ *  - optional : 다른 스크립트만 쓰는 속성 (verify-posts.js, migrate-blogid.js) → 없으면 안내만
+ *  - titleName: title 속성 이름 (Notion DB 의 title 속성은 하나뿐)
+ */
+function buildVariant(variantName) {
+  const required = {};
+  const optional = {};
+  for (const [field, prop] of Object.entries(postProperties(variantName))) {
+    if (!prop) continue;
+    (PROPERTY_FIELDS[field].optional ? optional : required)[prop.name] = prop.type;
+  }
+  return { required, optional, titleName: propName("title", variantName) };
+}
+
+export const SCHEMA_VARIANTS = Object.fromEntries(
+  PROPERTY_VARIANTS.map((name) => [name, buildVariant(name)])
+);
+
+function variantOf(name) {
+  const variant = SCHEMA_VARIANTS[name];
+  if (!variant) throw new Error(`알 수 없는 스키마 종류: ${name}`);
+  return variant;
+}
+
+/**
+ * 타입 → databases.create / update 용 속성 설정
+ */
+function propertyConfig(type) {
+  switch (type) {
+    case "number":
+      return { number: { format: "number" } };
+    case "select":
+      return { select: { options: [] } };
+    case "multi_select":
+      return { multi_select: { options: [] } };
+    default:
+      return { [type]: {} };
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🔎 검사
+// ───────────────────────────────────────────────
+
+export function formatProblem(p) {
+  if (p.kind === "missing") return `${p.name} 없음 (${p.expected})`;
+  if (p.kind === "title-name") return `title 속성 이름이 '${p.actualName}' (${p.name} 이어야 함)`;
+  return `${p.name} 타입 ${p.actual} (${p.expected} 이어야 함)`;
+}
+
+/**
+ * databases.retrieve 결과 ↔ 속성 정의 비교
+ *
+ * @returns {{
+ *   problems: Array<{ kind: "missing"|"type"|"title-name", name, expected, actual?, actualName? }>,
+ *   optionalMissing: Array<{ name, expected }>,
+ * }}
+ */
+export function inspectSchema(database, variantName = "posts") {
+  const { required, optional, titleName: expectedTitle } = variantOf(variantName);
+  const actual = database.properties || {};
+  const problems = [];
+  const optionalMissing = [];
+
+  // Notion DB 의 title 속성은 하나뿐 → 이름만 다르면 rename 대상
+  const titleName = Object.keys(actual).find((n) => actual[n].type === "title");
+  if (titleName && titleName !== expectedTitle) {
+    problems.push({ kind: "title-name", name: expectedTitle, expected: "title", actualName: titleName });
+  }
+
+  for (const [name, expected] of Object.entries(required)) {
+    if (expected === "title" && titleName && titleName !== expectedTitle) continue;
+    const prop = actual[name];
+    if (!prop) problems.push({ kind: "missing", name, expected });
+    else if (prop.type !== expected) {
+      problems.push({ kind: "type", name, expected, actual: prop.type });
+    }
+  }
+
+  for (const [name, expected] of Object.entries(optional)) {
+    const prop = actual[name];
+    if (!prop) optionalMissing.push({ name, expected });
+    else if (prop.type !== expected) {
+      problems.push({ kind: "type", name, expected, actual: prop.type });
+    }
+  }
+
+  return { problems, optionalMissing };
+}
+
+// ───────────────────────────────────────────────
+// 🛠 보정 / 생성
+// ───────────────────────────────────────────────
+
+/**
+ * 검사 결과대로 DB 속성 보정 (databases.update 한 번)
+ *  - 없는 속성 추가 (withOptional 이면 optional 속성도)
+ *  - 타입이 다른 속성은 올바른 타입으로 변경 (⚠️ Notion 이 값을 변환하며 일부 손실 가능)
+ *  - title 속성 이름을 매핑의 title 이름으로 변경
+ *
+ * @returns {Promise<number>} 바꾼 속성 수
+ */
+export async function fixSchema(notion, databaseId, variantName = "posts", { withOptional = false } = {}) {
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const { problems, optionalMissing } = inspectSchema(database, variantName);
+
+  const properties = {};
+  for (const p of problems) {
+    if (p.kind === "title-name") properties[p.actualName] = { name: p.name };
+    else properties[p.name] = propertyConfig(p.expected);
+  }
+  if (withOptional) {
+    for (const p of optionalMissing) properties[p.name] = propertyConfig(p.expected);
+  }
+
+  const count = Object.keys(properties).length;
+  if (count > 0) {
+    await notion.databases.update({ database_id: databaseId, properties });
+  }
+  return count;
+}
+
+/**
+ * 부모 페이지 아래에 스크랩 DB 새로 생성 (required + optional 속성 모두)
+ *
+ * @returns {Promise<object>} databases.create 응답
+ */
+export async function createDatabase(notion, parentPageId, variantName = "posts", title = "Naver 이웃새글") {
+  const { required, optional } = variantOf(variantName);
+  const properties = Object.fromEntries(
+    Object.entries({ ...required, ...optional }).map(([name, type]) => [
+      name,
+      propertyConfig(type),
+    ])
+  );
+
+  return notion.databases.create({
+    parent: { type: "page_id", page_id: parentPageId },
+    title: [{ type: "text", text: { content: title } }],
+    properties,
+  });
+}
+
+// ───────────────────────────────────────────────
+// 🚦 스크랩 전 검사
+// ───────────────────────────────────────────────
+
+/**
+ * 스크랩 시작 전 DB 속성 검사
+ *  - 맞지 않으면 NotionSchemaError (index.js 가 종료 코드 6 으로 중단)
+ *  - 로컬 대역(NOTION_FAKE_DB)은 처음 쓰는 속성을 자동 등록하므로 "없는 속성" 은 통과
+ */
+export async function assertDatabaseSchema(notion, databaseId, variantName = "posts") {
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const { problems } = inspectSchema(database, variantName);
+
+  const fatal = process.env.NOTION_FAKE_DB
+    ? problems.filter((p) => p.kind !== "missing")
+    : problems;
+
+  if (fatal.length > 0) throw new NotionSchemaError(databaseId, fatal);
+  console.log(`🧱 Notion DB 속성 확인 완료 (${variantName}): ${databaseId}`);
+}
@@ -7,16 +7,60 @@
  *  - UniqueID = {blogId}_{postId}   (index.js에서 URL 기준으로 확정된 값 사용)
  *  - BlogID (Rich text) = blogId
  *  - Group (multi-select):
- *      - post.groupName (CSV groupNames: "A" 또는 "A,B,C")를 분해해 설정
+ *      - post.groupNames (CSV groupNames 배열, neighbor-meta.js 가 나눈 그대로)로 설정
  *      - CSV에 groupNames 있으면 → 그 값으로 Group 덮어쓰기
  *      - CSV에 groupNames 없으면 → 기존 Group 유지
- *  - Title / URL / Category / Group 모두 동일하면 update 스킵
+ *  - Category = 블로거가 정한 글 카테고리 (post-category.js)
+ *      - 판별 실패(null) 시 기존 Category 유지
+ *  - Tags (multi-select) = 작성자가 붙인 #태그 (post-tags.js, 정규화/개수 제한 적용)
+ *      - 추출 실패(null) 시 기존 Tags 유지
+ *      - 필터 규칙(post-rules.js)의 tag 태그는 여기에 추가
+ *  - 필터 규칙의 route 가 있으면 NOTION_DATABASE_ID 대신 post.databaseId 에 저장
+ *  - Tickers (multi-select) = 투자 그룹 글 제목/요약에서 찾은 종목 (post-tickers.js)
+ *      - 투자 그룹이 아닌 글(null)은 기존 Tickers 유지
+ *  - Thumbnail (URL) = 목록 썸네일, 새 페이지(또는 cover 없는 기존 페이지)의 cover 로도 사용
+ *  - 새 페이지 아이콘 = groups.js 의 그룹별 emoji (설정된 경우)
+ *  - Sympathy / Comments (number) = 공감 수 / 댓글 수 (post-engagement.js)
+ *      - 못 가져온 값(null)은 기존 숫자 유지
+ *  - 원본 날짜 / 연도 / 연월 / 분기 = KST 기준 (kst-date.js, "3시간 전" 등 상대 표현 포함)
+ *  - Title / URL / Category / Group / Tags / Tickers / Thumbnail / 공감·댓글 수 모두 동일하면 update 스킵
+ *  - 기존 페이지 조회 / 변경 비교는 UniqueID 인덱스로 메모리에서 처리 (notion-index.js)
+ *      - 인덱스를 못 만들면 예전처럼 글마다 databases.query
  *  - Notion API 에러 (internal_server_error, rate_limited 등)는 재시도
+ *  - NOTION_FAKE_DB 설정 시 실제 Notion 대신 로컬 대역(notion-fake.js)에 기록
+ *  - FETCH_POST_BODY=true 면 새 페이지 생성 시 네이버 본문을 블록으로 추가
+ *    (post-content.js, 기존 페이지 업데이트 시에는 본문을 다시 붙이지 않음)
+ *  - DRY_RUN 이면 생성/수정 대신 예정 작업과 필드별 변경을 기록 (dry-run.js)
+ *  - 속성 이름은 기본값 기준, 설정의 "properties" 로 이름/타입 변경·끄기 (notion-properties.js)
+ *  - 필요한 속성 이름/타입은 notion-schema.js 의 "posts" 정의
+ *    (index.js 가 시작 전에 assertPostsSchema 로 검사, node cli.js schema 로 점검/보정)
  */
 
-import { Client } from "@notionhq/client";
-
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+import { createNotionClient } from "./notion-client.js";
+import {
+  FETCH_POST_BODY,
+  CHILDREN_MAX_ITEMS,
+  fetchPostContentBlocks,
+  splitTableRows,
+} from "./post-content.js";
+import { findGroupEmoji } from "./groups.js";
+import { normalizeNaverDate, kstYearMonthQuarter } from "./kst-date.js";
+import { DRY_RUN, recordPlan } from "./dry-run.js";
+import { postUniqueId } from "./scrape-state.js";
+import { assertDatabaseSchema } from "./notion-schema.js";
+import { writeProperty, propertyFilter, isPropertyEnabled } from "./notion-properties.js";
+import {
+  getPageIndex,
+  lookupPage,
+  missingDetails,
+  rememberPage,
+  rememberPlannedPage,
+  forgetPage,
+  entryFromPage,
+} from "./notion-index.js";
+
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
 const databaseId = process.env.NOTION_DATABASE_ID;
 
 if (!databaseId) {
@@ -24,63 +68,6 @@ if (!databaseId) {
   process.exit(1);
 }
 
-// ───────────────────────────────────────────────
-// 🕒 날짜 유틸
-// ───────────────────────────────────────────────
-
-function normalizeNaverDate(raw) {
-  if (!raw) return null;
-
-  if (typeof raw === "number") {
-    return new Date(raw).toISOString();
-  }
-
-  const s = String(raw).trim();
-
-  // 13자리 timestamp (ms)
-  if (/^\d{13}$/.test(s)) {
-    return new Date(Number(s)).toISOString();
-  }
-
-  // 10자리 timestamp (sec)
-  if (/^\d{10}$/.test(s)) {
-    return new Date(Number(s) * 1000).toISOString();
-  }
-
-  // "YYYY.MM.DD", "YYYY/MM/DD", "YYYY년 MM월 DD일" 등 대충 포맷 정규화
-  const replaced = s
-    .replace(/\./g, "-")
-    .replace(/\//g, "-")
-    .replace("년", "-")
-    .replace("월", "-")
-    .replace("일", "")
-    .trim();
-
-  const d = new Date(replaced);
-  return isNaN(d.getTime()) ? null : d.toISOString();
-}
-
-function extractYearMonthQuarter(isoString) {
-  if (!isoString) {
-    return { year: "", yearMonth: "", quarter: "" };
-  }
-
-  const d = new Date(isoString);
-  if (isNaN(d.getTime())) {
-    return { year: "", yearMonth: "", quarter: "" };
-  }
-
-  const year = String(d.getFullYear());
-  const month = d.getMonth() + 1;
-  const mm = String(month).padStart(2, "0");
-  const yearMonth = `${year}-${mm}`;
-
-  const q = month <= 3 ? "Q1" : month <= 6 ? "Q2" : month <= 9 ? "Q3" : "Q4";
-  const quarter = `${year}-${q}`;
-
-  return { year, yearMonth, quarter };
-}
-
 // ───────────────────────────────────────────────
 // ⏳ 공통 Retry 유틸
 // ───────────────────────────────────────────────
@@ -134,15 +121,12 @@ async function withNotionRetry(action, desc, maxRetries = 3) {
 // 🔍 UniqueID 기반 페이지 조회 (재시도 포함)
 // ───────────────────────────────────────────────
 
-async function findExistingPageWithRetry(uniqueId, retries = 3) {
+async function findExistingPageWithRetry(uniqueId, targetDatabaseId, retries = 3) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       const res = await notion.databases.query({
-        database_id: databaseId,
-        filter: {
-          property: "UniqueID",
-          rich_text: { equals: uniqueId },
-        },
+        database_id: targetDatabaseId,
+        filter: propertyFilter("uniqueId", { equals: uniqueId }),
       });
 
       return res.results?.[0] || null;
@@ -168,46 +152,134 @@ async function findExistingPageWithRetry(uniqueId, retries = 3) {
   }
 }
 
+/**
+ * UniqueID → 기존 페이지 (notion-index.js 항목 형식)
+ *  - 인덱스가 있으면 메모리에서 찾고, 없으면(비활성화/구성 실패) 글마다 조회
+ *
+ * @returns {Promise<{ index: object|null, existing: object|null|undefined }>}
+ *   existing: 항목 / null(없음) / undefined(조회 실패)
+ */
+async function findExisting(uniqueId, targetDatabaseId) {
+  const index = await getPageIndex(targetDatabaseId, (args) =>
+    withNotionRetry(() => notion.databases.query(args), "인덱스 조회")
+  );
+  if (index) return { index, existing: lookupPage(index, uniqueId) };
+
+  const page = await findExistingPageWithRetry(uniqueId, targetDatabaseId);
+  return { index: null, existing: page ? entryFromPage(page) : page };
+}
+
+/**
+ * 이미 저장된 글이면 { missing: 비어 있는 상세 필드 }, 새 글이면 null
+ *  - 인덱스에서만 찾음 (인덱스를 못 쓰면 null → 새 글처럼 상세 값 전부 조회)
+ *  - ./post-sinks.js 의 findStored 가 사용
+ */
+export async function findStoredPost(post) {
+  const uniqueId = postUniqueId(post);
+  if (!uniqueId) return null;
+
+  const index = await getPageIndex(post.databaseId || databaseId, (args) =>
+    withNotionRetry(() => notion.databases.query(args), "인덱스 조회")
+  );
+  const existing = index && lookupPage(index, uniqueId);
+  return existing ? { missing: missingDetails(existing) } : null;
+}
+
+function isGonePageError(err) {
+  return err.code === "object_not_found" || /archived/i.test(err.message || "");
+}
+
 // ───────────────────────────────────────────────
-// 🏷 Group (multi-select) 유틸
+// 📄 본문 블록 추가 (FETCH_POST_BODY)
 // ───────────────────────────────────────────────
 
 /**
- * "A,B,C" → ["A", "B", "C"]
+ * 네이버 본문을 Notion 블록으로 변환해 페이지 하단에 추가
+ *  - 한 번에 CHILDREN_MAX_ITEMS(100) 블록씩
+ *  - 100행이 넘는 표는 100행으로 만든 뒤 나머지 행을 표 블록에 100개씩 이어 붙임
+ *  - 실패해도 페이지 생성 자체는 성공으로 둔다 (본문은 부가 정보)
  */
-function parseGroupNames(groupNamesStr) {
-  if (!groupNamesStr) return [];
-  return String(groupNamesStr)
-    .split(",")
-    .map((v) => v.trim())
-    .filter(Boolean)
-    .sort();
-}
+async function appendPostBody(pageId, post) {
+  const blocks = await fetchPostContentBlocks(post);
+  if (blocks.length === 0) return;
+
+  try {
+    for (let i = 0; i < blocks.length; i += CHILDREN_MAX_ITEMS) {
+      const split = blocks.slice(i, i + CHILDREN_MAX_ITEMS).map(splitTableRows);
+      const children = split.map((s) => s.block);
+      const res = await withNotionRetry(
+        () => notion.blocks.children.append({ block_id: pageId, children }),
+        `본문 추가 [${post.title}]`
+      );
 
-function buildGroupMultiSelect(names) {
-  if (!names || names.length === 0) return null;
-  return names.map((name) => ({ name }));
+      for (const [j, { extraRows }] of split.entries()) {
+        for (const rows of extraRows) {
+          await withNotionRetry(
+            () => notion.blocks.children.append({ block_id: res.results[j].id, children: rows }),
+            `본문 표 행 추가 [${post.title}]`
+          );
+        }
+      }
+    }
+    console.log(`📄 본문 ${blocks.length}블록 추가: ${post.title}`);
+  } catch (err) {
+    console.warn(`⚠️ 본문 추가 실패 (페이지는 생성됨): ${post.title}`);
+  }
 }
 
-function getExistingGroupNames(page) {
-  const multi = page?.properties?.Group?.multi_select || [];
-  return multi.map((o) => o.name).filter(Boolean).sort();
+// ───────────────────────────────────────────────
+// 🏷 Group (multi-select) 유틸
+// ───────────────────────────────────────────────
+
+/**
+ * 필터 규칙(post-rules.js)이 붙인 태그를 작성자 태그에 합침
+ *  - 작성자 태그를 못 가져왔으면(null) 기존 Tags 에 합침
+ *  - 규칙 태그가 없으면 post.tags 그대로 (null 이면 기존 Tags 유지)
+ */
+function mergeRuleTags(tags, ruleTags, existing) {
+  if (!ruleTags || ruleTags.length === 0) return tags;
+  const base = Array.isArray(tags) ? tags : existing?.tags || [];
+  return [...new Set([...base, ...ruleTags])];
 }
 
 /**
  * CSV에 groupNames 있으면 그 값으로 덮어쓰기,
  * 없으면 기존 Group 값 유지.
  */
-function resolveTargetGroupNames(fromCsv, existingNames) {
-  const csvNames = parseGroupNames(fromCsv);
+function resolveTargetGroupNames(csvNames, existingNames) {
   if (csvNames.length > 0) return csvNames;
   return existingNames.slice().sort();
 }
 
+/**
+ * 변경 비교: 설정에서 꺼진 속성은 읽은 값이 늘 비어 있으므로 비교하지 않음
+ */
+function same(field, before, after) {
+  return !isPropertyEnabled(field) || before === after;
+}
+
+// ───────────────────────────────────────────────
+// 🖼 cover 유틸
+// ───────────────────────────────────────────────
+
+function externalFile(url) {
+  return { type: "external", external: { url } };
+}
+
 // ───────────────────────────────────────────────
 // 💾 upsertPost
 // ───────────────────────────────────────────────
 
+/**
+ * 스크랩 시작 전 대상 DB 속성 검사 (NOTION_DATABASE_ID + 필터 규칙의 route DB)
+ *  - 맞지 않으면 NotionSchemaError (./notion-schema.js)
+ */
+export async function assertPostsSchema(routeDatabaseIds = []) {
+  for (const id of new Set([databaseId, ...routeDatabaseIds])) {
+    await assertDatabaseSchema(notion, id, "posts");
+  }
+}
+
 /**
  * index.js 에서 넘어오는 post 포맷:
  * {
@@ -218,13 +290,24 @@ function resolveTargetGroupNames(fromCsv, existingNames) {
  *   description,
  *   blogId,    // URL에서 추출된 진짜 blogId
  *   postId,    // URL에서 추출된 진짜 postId
- *   groupName, // CSV groupNames 문자열 ("A" 또는 "A,B,C")
+ *   groupNames, // CSV groupNames 배열 (neighbor-meta.js 가 나눈 그대로, 없으면 [])
+ *   category,  // 블로그 카테고리 이름 (못 찾으면 null)
+ *   tags,      // 정규화된 태그 배열 (못 가져오면 null)
+ *   thumbnail, // 목록 썸네일 URL (없으면 "")
+ *   sympathyCount, commentCount, // 공감/댓글 수 (못 가져오면 null)
+ *   tickers,   // 종목 이름 배열 (투자 그룹 글이 아니면 null)
+ *   ruleTags,   // 필터 규칙이 붙인 태그 (옵션)
+ *   databaseId, // 필터 규칙의 라우팅 대상 DB (옵션, 없으면 NOTION_DATABASE_ID)
  * }
+ *
+ * @param {{ recordPlans?: boolean }} [options]
+ *   recordPlans: 드라이런 보고서에 예정 작업을 기록 (다른 저장소 뒤에 오면 false, post-sinks.js)
  */
-export async function upsertPost(post) {
+export async function upsertPost(post, { recordPlans = true } = {}) {
+  const plan = (entry) => recordPlans && recordPlan(entry);
   const blogId = post.blogId ? String(post.blogId) : "";
   const postId = post.postId ? String(post.postId) : "";
-  const groupNamesFromCsv = post.groupName || "";
+  const csvNames = (post.groupNames || []).slice().sort();
 
   // UniqueID는 URL 기준 blogId/postId 조합
   const uniqueId =
@@ -238,191 +321,209 @@ export async function upsertPost(post) {
     return;
   }
 
-  // 1️⃣ 기존 페이지 조회
-  const existing = await findExistingPageWithRetry(uniqueId);
+  // 1️⃣ 기존 페이지 조회 (route 규칙이 있으면 그 DB 에서)
+  //    (notion-index.js 인덱스가 있으면 메모리에서 조회)
+  const targetDatabaseId = post.databaseId || databaseId;
+  const { index, existing } = await findExisting(uniqueId, targetDatabaseId);
   if (existing === undefined) {
     console.warn(
       `⚠️ [${uniqueId}] 조회 실패 → 중복 가능성 감수하고 새 페이지 생성 시도`
     );
   }
+  const tags = mergeRuleTags(post.tags, post.ruleTags, existing);
 
   // 2️⃣ 날짜 관련 처리
-  const originalDate = normalizeNaverDate(post.pubdate);
+  //    원본 날짜는 KST 로 해석 ("3시간 전" 등은 목록을 가져온 시각 기준)
+  const originalDate = normalizeNaverDate(post.pubdate, {
+    now: post.fetchedAt ?? Date.now(),
+  });
   const createdAt = new Date().toISOString();
-  const { year, yearMonth, quarter } =
-    extractYearMonthQuarter(originalDate);
+  const { year, yearMonth, quarter } = kstYearMonthQuarter(originalDate);
 
   // 3️⃣ 공통 속성 (신규/업데이트 공용)
+  //    속성 이름/타입은 설정의 매핑대로, 꺼진 필드는 생략 (notion-properties.js)
   const baseProperties = {
-    Title: {
-      title: [
-        {
-          text: { content: post.title || "(제목 없음)" },
-        },
-      ],
-    },
-    URL: {
-      url: post.link || null,
-    },
-    Nickname: {
-      rich_text: [
-        {
-          text: { content: post.nickname || "" },
-        },
-      ],
-    },
-    ...(originalDate && {
-      "원본 날짜": {
-        date: { start: originalDate },
-      },
-    }),
-    "생성 일시": {
-      date: { start: createdAt },
-    },
-    Category: {
-      rich_text: [
-        {
-          text: { content: post.category || "" },
-        },
-      ],
-    },
-    Description: {
-      rich_text: [
-        {
-          text: {
-            content: (post.description || "").slice(
-              0,
-              1800
-            ),
-          },
-        },
-      ],
-    },
-    UniqueID: {
-      rich_text: [
-        {
-          text: { content: uniqueId },
-        },
-      ],
-    },
-    ...(blogId && {
-      BlogID: {
-        rich_text: [
-          {
-            text: { content: blogId },
-          },
-        ],
-      },
-    }),
-    ...(year && {
-      연도: {
-        rich_text: [
-          {
-            text: { content: year },
-          },
-        ],
-      },
-    }),
-    ...(yearMonth && {
-      연월: {
-        rich_text: [
-          {
-            text: { content: yearMonth },
-          },
-        ],
-      },
-    }),
-    ...(quarter && {
-      분기: {
-        rich_text: [
-          {
-            text: { content: quarter },
-          },
-        ],
-      },
-    }),
+    ...writeProperty("title", post.title || "(제목 없음)"),
+    ...writeProperty("url", post.link || null),
+    ...writeProperty("nickname", post.nickname || ""),
+    ...(originalDate && writeProperty("publishedAt", originalDate)),
+    ...writeProperty("createdAt", createdAt),
+    // 카테고리를 못 알아낸 경우(null)에는 기존 값을 지우지 않도록 생략
+    ...(post.category != null && writeProperty("category", post.category)),
+    // 공감/댓글 수 (null 이면 기존 숫자 유지)
+    ...(post.sympathyCount != null && writeProperty("sympathy", post.sympathyCount)),
+    ...(post.commentCount != null && writeProperty("comments", post.commentCount)),
+    // 썸네일이 없는 글은 기존 값 유지
+    ...(post.thumbnail && writeProperty("thumbnail", post.thumbnail)),
+    // 태그도 마찬가지 (빈 배열은 "태그 없음" 으로 그대로 반영)
+    ...(Array.isArray(tags) && writeProperty("tags", tags)),
+    // 종목 (투자 그룹 글만, 빈 배열은 "언급 종목 없음" 으로 그대로 반영)
+    ...(Array.isArray(post.tickers) && writeProperty("tickers", post.tickers)),
+    ...writeProperty("description", (post.description || "").slice(0, 1800)),
+    ...writeProperty("uniqueId", uniqueId),
+    ...(blogId && writeProperty("blogId", blogId)),
+    ...(year && writeProperty("year", year)),
+    ...(yearMonth && writeProperty("yearMonth", yearMonth)),
+    ...(quarter && writeProperty("quarter", quarter)),
   };
 
   // 4️⃣ 신규 페이지 생성
-  if (!existing) {
-    const csvNames = parseGroupNames(groupNamesFromCsv);
-    const groupMulti = buildGroupMultiSelect(csvNames);
-
+  const createPage = async () => {
     const properties = {
       ...baseProperties,
-      ...(groupMulti && {
-        Group: { multi_select: groupMulti },
-      }),
+      ...(csvNames.length > 0 && writeProperty("groups", csvNames)),
     };
 
-    await withNotionRetry(
+    if (DRY_RUN) {
+      plan({
+        uniqueId,
+        title: post.title,
+        action: "create",
+        after: {
+          Title: post.title || "(제목 없음)",
+          URL: post.link || "",
+          Category: post.category ?? "",
+          Group: csvNames.join(","),
+          Nickname: post.nickname || "",
+          BlogID: blogId,
+          UniqueID: uniqueId,
+        },
+      });
+      rememberPlannedPage(index, uniqueId, properties, {
+        cover: post.thumbnail && externalFile(post.thumbnail),
+      });
+      return;
+    }
+
+    const icon = findGroupEmoji(post.groupNames);
+
+    const created = await withNotionRetry(
       () =>
         notion.pages.create({
-          parent: { database_id: databaseId },
+          parent: { database_id: targetDatabaseId },
           properties,
+          ...(post.thumbnail && { cover: externalFile(post.thumbnail) }),
+          ...(icon && { icon: { type: "emoji", emoji: icon } }),
         }),
       `페이지 생성 [${post.title}]`
     );
+    rememberPage(index, uniqueId, created);
 
     console.log(`🆕 새 글 추가: ${post.title}`);
+
+    if (FETCH_POST_BODY) await appendPostBody(created.id, post);
+  };
+
+  if (!existing) {
+    await createPage();
     return;
   }
 
-  // 5️⃣ 기존 페이지 업데이트
-  const old = existing.properties;
-
-  const oldTitle =
-    old.Title?.title?.[0]?.plain_text || "";
-  const oldUrl = old.URL?.url || "";
-  const oldCat =
-    old.Category?.rich_text?.[0]?.plain_text || "";
-  const oldGroupNames = getExistingGroupNames(existing);
+  // 5️⃣ 기존 페이지 업데이트 (비교 대상은 인덱스 항목)
+  const oldTitle = existing.title;
+  const oldUrl = existing.url;
+  const oldCat = existing.category;
+  const oldGroupNames = existing.groups;
+  const oldTags = existing.tags;
+  const oldTickers = existing.tickers;
+  const oldThumbnail = existing.thumbnail;
+  const oldSympathy = existing.sympathy;
+  const oldComments = existing.comments;
 
   const targetGroupNames = resolveTargetGroupNames(
-    groupNamesFromCsv,
+    csvNames,
     oldGroupNames
   );
 
   const nextTitle = post.title || "(제목 없음)";
   const nextUrl = post.link || null;
-  const nextCat = post.category || "";
+  const nextCat = post.category ?? oldCat;
+  const nextThumbnail = post.thumbnail || oldThumbnail;
+  const nextSympathy = post.sympathyCount ?? oldSympathy;
+  const nextComments = post.commentCount ?? oldComments;
+  const nextTags = Array.isArray(tags) ? tags.slice().sort() : oldTags;
+  const nextTickers = Array.isArray(post.tickers)
+    ? post.tickers.slice().sort()
+    : oldTickers;
 
   const isSame =
-    oldTitle === nextTitle &&
-    oldUrl === nextUrl &&
-    oldCat === nextCat &&
-    oldGroupNames.join(",") ===
-      targetGroupNames.join(",");
+    same("title", oldTitle, nextTitle) &&
+    same("url", oldUrl, nextUrl) &&
+    same("category", oldCat, nextCat) &&
+    same("groups", oldGroupNames.join(","), targetGroupNames.join(",")) &&
+    same("tags", oldTags.join(","), nextTags.join(",")) &&
+    same("tickers", oldTickers.join(","), nextTickers.join(",")) &&
+    same("thumbnail", oldThumbnail, nextThumbnail) &&
+    same("sympathy", oldSympathy, nextSympathy) &&
+    same("comments", oldComments, nextComments);
+
+  // 드라이런 보고서용 기존 값
+  const before = {
+    Title: oldTitle,
+    URL: oldUrl,
+    Category: oldCat,
+    Group: oldGroupNames.join(","),
+    Nickname: existing.nickname,
+    BlogID: existing.blogId,
+  };
 
   if (isSame) {
+    if (DRY_RUN) {
+      plan({ uniqueId, pageId: existing.pageId, title: post.title, action: "skip", before });
+      return;
+    }
     console.log(`⏩ 변경 없음 (스킵): ${post.title}`);
     return;
   }
 
+  if (DRY_RUN) {
+    plan({
+      uniqueId,
+      pageId: existing.pageId,
+      title: post.title,
+      action: "update",
+      before,
+      after: {
+        Title: nextTitle,
+        URL: nextUrl || "",
+        Category: nextCat,
+        Group: targetGroupNames.join(","),
+        Nickname: post.nickname || "",
+        BlogID: blogId || existing.blogId,
+      },
+    });
+    return;
+  }
+
+  // CSV에도 없고 기존에도 없으면 빈 배열
   const updateProperties = {
     ...baseProperties,
+    ...writeProperty("groups", targetGroupNames),
   };
 
-  const groupMulti =
-    buildGroupMultiSelect(targetGroupNames);
-
-  if (groupMulti) {
-    updateProperties.Group = {
-      multi_select: groupMulti,
-    };
-  } else {
-    // CSV에도 없고 기존에도 없으면 빈 배열
-    updateProperties.Group = { multi_select: [] };
+  let updated;
+  try {
+    updated = await withNotionRetry(
+      () =>
+        notion.pages.update({
+          page_id: existing.pageId,
+          properties: updateProperties,
+          // 썸네일 기능 이전에 만들어진 페이지도 갤러리에서 보이도록 cover 보충
+          ...(post.thumbnail && !existing.hasCover && {
+            cover: externalFile(post.thumbnail),
+          }),
+        }),
+      `페이지 업데이트 [${post.title}]`
+    );
+  } catch (err) {
+    // 캐시된 인덱스가 가리키던 페이지가 그 사이 보관/삭제됐으면 새로 생성
+    if (!index || !isGonePageError(err)) throw err;
+    console.warn(`⚠️ [${uniqueId}] 인덱스의 페이지가 없어졌습니다 → 새로 생성`);
+    forgetPage(index, uniqueId);
+    await createPage();
+    return;
   }
-
-  await withNotionRetry(
-    () =>
-      notion.pages.update({
-        page_id: existing.id,
-        properties: updateProperties,
-      }),
-    `페이지 업데이트 [${post.title}]`
-  );
+  rememberPage(index, uniqueId, updated);
 
   console.log(`🔄 업데이트: ${post.title}`);
 }
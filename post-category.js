@@ -0,0 +1,168 @@
+/**
+ * post-category.js
+ * ───────────────────────────────────────────────
+ * 🗂 글의 블로그 카테고리(블로거가 직접 만든 분류) 판별 모듈
+ *
+ * 판별 순서:
+ *  1) BuddyPostList 항목에 카테고리 이름이 있으면 그대로 사용
+ *  2) categoryNo 만 있으면 블로그 카테고리 목록 API 로 이름 조회
+ *     (블로그당 1회만 호출하고 실행 중 캐시)
+ *  3) 둘 다 없으면 글 페이지(PostView) HTML 에서 카테고리 링크/변수를 찾음
+ *     → categoryNo 만 나오면 다시 2) 로 이름 조회
+ *
+ *  - 끝내 못 찾으면 null → notion.js 는 기존 Category 값을 유지
+ *  - replay 모드에서는 네트워크를 쓰지 않으므로 1) 까지만
+ *
+ * 환경 변수:
+ *  - RESOLVE_CATEGORY : false 로 두면 2), 3) 의 추가 요청을 하지 않음 (기본 true)
+ */
+
+import * as cheerio from "cheerio";
+import { requestNaver } from "./naver-request.js";
+import { IS_REPLAY } from "./naver-fixtures.js";
+import { fetchPostViewHtml } from "./post-content.js";
+
+export const RESOLVE_CATEGORY = !/^(0|false|no)$/i.test(
+  process.env.RESOLVE_CATEGORY || ""
+);
+
+// blogId → Map(categoryNo → categoryName) (조회 실패 시 빈 Map)
+const categoryListCache = new Map();
+
+function cleanCategoryName(value) {
+  if (typeof value !== "string") return "";
+  return value.replace(/\s+/g, " ").trim();
+}
+
+// ───────────────────────────────────────────────
+// 1️⃣ BuddyPostList 항목
+// ───────────────────────────────────────────────
+
+/**
+ * 목록 항목에서 카테고리 정보 추출
+ * @returns {{ category: string, categoryNo: string }}
+ */
+export function categoryFromListItem(item) {
+  const category = cleanCategoryName(
+    item.categoryName || item.category || item.categoryTitle || ""
+  );
+  const rawNo = item.categoryNo ?? item.categoryId ?? "";
+  const categoryNo = /^\d+$/.test(String(rawNo)) ? String(rawNo) : "";
+  return { category, categoryNo };
+}
+
+// ───────────────────────────────────────────────
+// 2️⃣ 블로그 카테고리 목록 API
+// ───────────────────────────────────────────────
+
+/**
+ * 응답 구조가 바뀌어도 찾을 수 있도록
+ * { categoryNo, categoryName } 형태의 객체를 재귀적으로 수집
+ */
+function collectCategories(node, out = new Map()) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectCategories(child, out);
+  } else if (node && typeof node === "object") {
+    const no = node.categoryNo ?? node.categoryId;
+    const name = cleanCategoryName(node.categoryName || node.name || "");
+    if (no != null && name) out.set(String(no), name);
+    for (const child of Object.values(node)) {
+      if (child && typeof child === "object") collectCategories(child, out);
+    }
+  }
+  return out;
+}
+
+async function loadCategoryList(blogId) {
+  if (categoryListCache.has(blogId)) return categoryListCache.get(blogId);
+
+  let categories = new Map();
+  const res = await requestNaver(
+    `https://m.blog.naver.com/api/blogs/${encodeURIComponent(blogId)}/category-list`,
+    {
+      label: `카테고리 목록 ${blogId}`,
+      headers: {
+        "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+        Cookie: process.env.NAVER_COOKIE || "",
+        Referer: `https://m.blog.naver.com/${blogId}`,
+      },
+    }
+  );
+
+  if (res.ok) {
+    try {
+      categories = collectCategories(JSON.parse(res.text));
+    } catch (err) {
+      console.warn(`⚠️ 카테고리 목록 파싱 실패 (${blogId}):`, err.message);
+    }
+  } else {
+    console.warn(`⚠️ 카테고리 목록 가져오기 실패 (${blogId}): HTTP ${res.status}`);
+  }
+
+  categoryListCache.set(blogId, categories);
+  return categories;
+}
+
+// ───────────────────────────────────────────────
+// 3️⃣ 글 페이지(PostView) HTML
+// ───────────────────────────────────────────────
+
+/**
+ * PostView HTML 에서 카테고리 이름/번호 추출
+ *  - 상단 "카테고리 링크" (.blog2_series a.pcol2 등)
+ *  - 스크립트 변수 (categoryNo = '12', "categoryName":"...")
+ */
+export function categoryFromPostViewHtml(html) {
+  const $ = cheerio.load(html);
+
+  const link = $(
+    '.blog2_series a.pcol2, .blog2_series a, a.pcol2[href*="categoryNo="]'
+  ).first();
+
+  let category = cleanCategoryName(link.text());
+  let categoryNo = (link.attr("href") || "").match(/categoryNo=(\d+)/)?.[1] || "";
+
+  if (!category) {
+    const m = html.match(/["']?categoryName["']?\s*[:=]\s*["']([^"']+)["']/);
+    if (m) category = cleanCategoryName(m[1]);
+  }
+  if (!categoryNo) {
+    categoryNo = html.match(/["']?categoryNo["']?\s*[:=]\s*["']?(\d+)/)?.[1] || "";
+  }
+
+  return { category, categoryNo };
+}
+
+// ───────────────────────────────────────────────
+// 🔎 판별
+// ───────────────────────────────────────────────
+
+/**
+ * post 의 카테고리 이름 판별 (post.category / post.categoryNo 는 목록 항목 값)
+ * @returns {Promise<string|null>} 못 찾으면 null
+ */
+export async function resolvePostCategory(post) {
+  if (post.category) return post.category;
+  if (IS_REPLAY || !RESOLVE_CATEGORY || !post.blogId) return null;
+
+  try {
+    let categoryNo = post.categoryNo || "";
+
+    if (!categoryNo && post.postId) {
+      const html = await fetchPostViewHtml(post);
+      if (!html) return null;
+
+      const found = categoryFromPostViewHtml(html);
+      if (found.category) return found.category;
+      categoryNo = found.categoryNo;
+    }
+
+    if (!categoryNo) return null;
+
+    const categories = await loadCategoryList(post.blogId);
+    return categories.get(categoryNo) || null;
+  } catch (err) {
+    console.warn(`⚠️ 카테고리 판별 실패 (${post.blogId}/${post.postId}):`, err.message);
+    return null;
+  }
+}
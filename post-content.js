@@ -0,0 +1,425 @@
+/**
+ * post-content.js
+ * ───────────────────────────────────────────────
+ * 📄 네이버 글 본문(PostView) → Notion 블록 변환 모듈
+ *
+ *  - FETCH_POST_BODY=true 일 때 notion.js 가 새 페이지 생성 직후 호출
+ *  - PostView.naver HTML 을 가져와 본문 영역을 Notion 블록 배열로 변환
+ *      - SmartEditor ONE (.se-main-container .se-component)
+ *      - 구버전 에디터 (#postViewArea 등) → 일반 HTML 태그 기준 변환
+ *  - 지원 블록: 문단, 제목, 인용, 이미지(external), 링크(bookmark/인라인), 표,
+ *               목록, 코드, 구분선
+ *  - Notion 제한 준수
+ *      - rich_text 한 조각은 최대 2000자 → 잘라서 여러 조각으로
+ *      - 블록 하나의 rich_text 는 최대 100조각 → 넘으면 블록을 나눔
+ *      - 페이지당 블록 수는 POST_BODY_MAX_BLOCKS 로 제한 (기본 300)
+ *      - 요청 하나의 children 은 최대 100개 → 긴 표는 splitTableRows 로 행을 나눠 이어 붙임
+ *  - --fixtures replay 중에는 PostView 를 요청하지 않음 (본문은 녹화 대상이 아님 → 본문 없이 생성)
+ */
+
+import * as cheerio from "cheerio";
+import { requestNaver } from "./naver-request.js";
+import { IS_REPLAY } from "./naver-fixtures.js";
+
+export const FETCH_POST_BODY = /^(1|true|yes)$/i.test(
+  process.env.FETCH_POST_BODY || ""
+);
+
+const MAX_BLOCKS = Number(process.env.POST_BODY_MAX_BLOCKS || 300);
+
+const RICH_TEXT_MAX_CHARS = 2000;
+const RICH_TEXT_MAX_ITEMS = 100;
+export const CHILDREN_MAX_ITEMS = 100; // blocks.children.append 1회 / 블록 하나의 children 최대 개수
+const URL_MAX_CHARS = 2000;
+
+// ───────────────────────────────────────────────
+// ✂️ rich_text 조립 (2000자 / 100조각 제한)
+// ───────────────────────────────────────────────
+
+/**
+ * 인라인 노드 → segment 목록 [{ content, link, bold, italic }]
+ */
+function collectSegments($, node, style = {}, out = []) {
+  $(node)
+    .contents()
+    .each((_, child) => {
+      if (child.type === "text") {
+        out.push({ content: child.data, ...style });
+        return;
+      }
+      if (child.type !== "tag") return;
+
+      const tag = child.tagName.toLowerCase();
+      if (tag === "br") {
+        out.push({ content: "\n", ...style });
+        return;
+      }
+      if (tag === "script" || tag === "style") return;
+
+      const next = { ...style };
+      if (tag === "b" || tag === "strong") next.bold = true;
+      if (tag === "i" || tag === "em") next.italic = true;
+      if (tag === "a") {
+        const href = $(child).attr("href") || "";
+        if (/^https?:\/\//i.test(href) && href.length <= URL_MAX_CHARS) {
+          next.link = href;
+        }
+      }
+      collectSegments($, child, next, out);
+    });
+  return out;
+}
+
+function cleanText(text) {
+  // SmartEditor 가 빈 줄에 넣는 zero-width space / nbsp 정리
+  return text.replace(/\u200b/g, "").replace(/\u00a0/g, " ");
+}
+
+function sameStyle(a, b) {
+  return a.link === b.link && !!a.bold === !!b.bold && !!a.italic === !!b.italic;
+}
+
+/**
+ * segment 목록 → rich_text 배열 목록
+ *  - 같은 스타일 segment 는 합치고, 2000자 단위로 자름
+ *  - 100조각이 넘으면 여러 배열로 나눔 (= 여러 블록)
+ */
+function toRichTextChunks(segments) {
+  const merged = [];
+  for (const seg of segments) {
+    const content = cleanText(seg.content);
+    if (!content) continue;
+    const last = merged[merged.length - 1];
+    if (last && sameStyle(last, seg)) last.content += content;
+    else merged.push({ ...seg, content });
+  }
+
+  // 앞뒤 공백/줄바꿈 정리
+  if (merged.length > 0) {
+    merged[0].content = merged[0].content.replace(/^\s+/, "");
+    const last = merged[merged.length - 1];
+    last.content = last.content.replace(/\s+$/, "");
+  }
+
+  const items = [];
+  for (const seg of merged) {
+    for (let i = 0; i < seg.content.length; i += RICH_TEXT_MAX_CHARS) {
+      const content = seg.content.slice(i, i + RICH_TEXT_MAX_CHARS);
+      items.push({
+        type: "text",
+        text: { content, link: seg.link ? { url: seg.link } : null },
+        annotations: { bold: !!seg.bold, italic: !!seg.italic },
+      });
+    }
+  }
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += RICH_TEXT_MAX_ITEMS) {
+    chunks.push(items.slice(i, i + RICH_TEXT_MAX_ITEMS));
+  }
+  return chunks.filter((chunk) => chunk.some((item) => item.text.content.trim()));
+}
+
+function textBlocks(type, segments) {
+  return toRichTextChunks(segments).map((rich_text) => ({
+    object: "block",
+    type,
+    [type]: { rich_text },
+  }));
+}
+
+function plainSegments(text) {
+  return [{ content: text }];
+}
+
+// ───────────────────────────────────────────────
+// 🧱 개별 블록 생성
+// ───────────────────────────────────────────────
+
+function imageBlock(src) {
+  if (!src || !/^https?:\/\//i.test(src) || src.length > URL_MAX_CHARS) return null;
+  return {
+    object: "block",
+    type: "image",
+    image: { type: "external", external: { url: src } },
+  };
+}
+
+function imageSrc($, img) {
+  return $(img).attr("data-lazy-src") || $(img).attr("src") || "";
+}
+
+function bookmarkBlock(url) {
+  if (!url || !/^https?:\/\//i.test(url) || url.length > URL_MAX_CHARS) return null;
+  return { object: "block", type: "bookmark", bookmark: { url } };
+}
+
+function dividerBlock() {
+  return { object: "block", type: "divider", divider: {} };
+}
+
+/**
+ * <table> → Notion table 블록 (행마다 열 수를 가장 넓은 행에 맞춤)
+ */
+function tableBlock($, table) {
+  const rows = $(table)
+    .find("tr")
+    .toArray()
+    .map((tr) =>
+      $(tr)
+        .children("td, th")
+        .toArray()
+        .map((cell) => toRichTextChunks(collectSegments($, cell))[0] || [])
+    )
+    .filter((cells) => cells.length > 0);
+
+  if (rows.length === 0) return null;
+
+  const width = Math.max(...rows.map((cells) => cells.length));
+  return {
+    object: "block",
+    type: "table",
+    table: {
+      table_width: width,
+      has_column_header: false,
+      has_row_header: false,
+      children: rows.map((cells) => ({
+        object: "block",
+        type: "table_row",
+        table_row: {
+          cells: [...cells, ...Array(width - cells.length).fill([])],
+        },
+      })),
+    },
+  };
+}
+
+/**
+ * 표 블록의 행을 CHILDREN_MAX_ITEMS 개까지만 남기고 나머지는 묶음으로 분리
+ *  - 표가 아니거나 짧으면 그대로 (extraRows 는 빈 배열)
+ *  - extraRows 는 표 블록을 만든 뒤 그 블록에 차례로 append 할 행 묶음 (각 최대 100개)
+ *
+ * @returns {{ block: object, extraRows: Array<Array<object>> }}
+ */
+export function splitTableRows(block) {
+  const rows = block?.type === "table" ? block.table.children : null;
+  if (!rows || rows.length <= CHILDREN_MAX_ITEMS) return { block, extraRows: [] };
+
+  const extraRows = [];
+  for (let i = CHILDREN_MAX_ITEMS; i < rows.length; i += CHILDREN_MAX_ITEMS) {
+    extraRows.push(rows.slice(i, i + CHILDREN_MAX_ITEMS));
+  }
+  return {
+    block: { ...block, table: { ...block.table, children: rows.slice(0, CHILDREN_MAX_ITEMS) } },
+    extraRows,
+  };
+}
+
+function listBlocks($, list) {
+  const type =
+    list.tagName.toLowerCase() === "ol" ? "numbered_list_item" : "bulleted_list_item";
+  return $(list)
+    .children("li")
+    .toArray()
+    .flatMap((li) => textBlocks(type, collectSegments($, li)));
+}
+
+// ───────────────────────────────────────────────
+// 🔄 HTML → 블록
+// ───────────────────────────────────────────────
+
+/**
+ * SmartEditor ONE 컴포넌트 하나 → 블록 목록
+ */
+function smartEditorComponentBlocks($, component) {
+  const $c = $(component);
+  const has = (cls) => $c.hasClass(cls);
+
+  if (has("se-text")) {
+    return $c
+      .find("p.se-text-paragraph, ul, ol")
+      .toArray()
+      .filter((el) => $(el).parents("ul, ol").length === 0)
+      .flatMap((el) =>
+        el.tagName.toLowerCase() === "p"
+          ? textBlocks("paragraph", collectSegments($, el))
+          : listBlocks($, el)
+      );
+  }
+  if (has("se-sectionTitle")) {
+    return textBlocks("heading_2", collectSegments($, $c.find(".se-module-text")[0] || component));
+  }
+  if (has("se-quotation")) {
+    return textBlocks("quote", collectSegments($, $c.find(".se-quote")[0] || component));
+  }
+  if (has("se-image") || has("se-imageStrip") || has("se-imageGroup")) {
+    const images = $c.find("img").toArray().map((img) => imageBlock(imageSrc($, img)));
+    const caption = textBlocks("paragraph", collectSegments($, $c.find(".se-caption")[0] || []));
+    return [...images, ...caption];
+  }
+  if (has("se-oglink")) {
+    const href = $c.find("a.se-oglink-info, a.se-oglink-thumbnail, a").first().attr("href");
+    return [bookmarkBlock(href)];
+  }
+  if (has("se-table")) {
+    return [tableBlock($, $c.find("table")[0])];
+  }
+  if (has("se-horizontalLine")) {
+    return [dividerBlock()];
+  }
+  if (has("se-code")) {
+    return toRichTextChunks(plainSegments($c.text())).map((rich_text) => ({
+      object: "block",
+      type: "code",
+      code: { rich_text, language: "plain text" },
+    }));
+  }
+
+  // 동영상/지도/스티커 등은 변환하지 않음
+  return [];
+}
+
+/**
+ * 구버전 에디터 HTML → 블록 목록 (블록 태그 기준으로 재귀)
+ */
+function legacyBlocks($, node) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    blocks.push(...textBlocks("paragraph", inline));
+    inline = [];
+  };
+
+  $(node)
+    .contents()
+    .each((_, child) => {
+      if (child.type === "text") {
+        inline.push({ content: child.data });
+        return;
+      }
+      if (child.type !== "tag") return;
+
+      const tag = child.tagName.toLowerCase();
+      const heading = { h1: "heading_1", h2: "heading_2", h3: "heading_3" }[tag];
+
+      if (heading) {
+        flushInline();
+        blocks.push(...textBlocks(heading, collectSegments($, child)));
+      } else if (tag === "blockquote") {
+        flushInline();
+        blocks.push(...textBlocks("quote", collectSegments($, child)));
+      } else if (tag === "img") {
+        flushInline();
+        blocks.push(imageBlock(imageSrc($, child)));
+      } else if (tag === "table") {
+        flushInline();
+        blocks.push(tableBlock($, child));
+      } else if (tag === "ul" || tag === "ol") {
+        flushInline();
+        blocks.push(...listBlocks($, child));
+      } else if (tag === "hr") {
+        flushInline();
+        blocks.push(dividerBlock());
+      } else if (["p", "div", "section", "article", "center"].includes(tag)) {
+        flushInline();
+        blocks.push(...legacyBlocks($, child));
+      } else if (tag === "br") {
+        inline.push({ content: "\n" });
+      } else if (tag !== "script" && tag !== "style") {
+        inline.push(...collectSegments($, child));
+      }
+    });
+
+  flushInline();
+  return blocks;
+}
+
+/**
+ * PostView HTML → Notion 블록 배열
+ */
+export function htmlToNotionBlocks(html) {
+  const $ = cheerio.load(html);
+  let blocks;
+
+  const seContainer = $(".se-main-container").first();
+  if (seContainer.length > 0) {
+    blocks = seContainer
+      .find(".se-component")
+      .toArray()
+      .flatMap((component) => smartEditorComponentBlocks($, component));
+  } else {
+    const legacy = $("#postViewArea, .post-view, #post-view").first();
+    blocks = legacy.length > 0 ? legacyBlocks($, legacy[0]) : [];
+  }
+
+  return blocks.filter(Boolean).slice(0, MAX_BLOCKS);
+}
+
+// ───────────────────────────────────────────────
+// 📡 본문 가져오기
+// ───────────────────────────────────────────────
+
+export function buildPostViewUrl(blogId, postId) {
+  const params = new URLSearchParams({
+    blogId,
+    logNo: postId,
+    redirect: "Dlog",
+    widgetTypeCall: "true",
+    directAccess: "false",
+  });
+  return `https://blog.naver.com/PostView.naver?${params.toString()}`;
+}
+
+// 같은 실행에서 카테고리 판별(post-category.js)과 본문 변환이 같은 글을
+// 두 번 받지 않도록 최근 PostView HTML 을 조금 보관
+const POST_VIEW_CACHE_LIMIT = 30;
+const postViewCache = new Map();
+
+/**
+ * PostView HTML 가져오기 (실패 시 null, 재생 모드도 null)
+ */
+export async function fetchPostViewHtml(post) {
+  if (IS_REPLAY || !post.blogId || !post.postId) return null;
+
+  const key = `${post.blogId}_${post.postId}`;
+  if (postViewCache.has(key)) return postViewCache.get(key);
+
+  const res = await requestNaver(buildPostViewUrl(post.blogId, post.postId), {
+    label: `본문 ${post.blogId}/${post.postId}`,
+    headers: {
+      "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+      Cookie: process.env.NAVER_COOKIE || "",
+      Referer: `https://blog.naver.com/${post.blogId}`,
+    },
+  });
+
+  if (!res.ok) {
+    console.warn(`⚠️ 본문 가져오기 실패 (${post.blogId}/${post.postId}): HTTP ${res.status}`);
+    return null;
+  }
+
+  postViewCache.set(key, res.text);
+  if (postViewCache.size > POST_VIEW_CACHE_LIMIT) {
+    postViewCache.delete(postViewCache.keys().next().value);
+  }
+  return res.text;
+}
+
+/**
+ * post(blogId, postId) 의 본문을 Notion 블록으로 가져온다.
+ *  - 실패해도 예외를 던지지 않고 빈 배열 (본문 없이 페이지만 생성)
+ *
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchPostContentBlocks(post) {
+  const html = await fetchPostViewHtml(post);
+  if (!html) return [];
+
+  try {
+    return htmlToNotionBlocks(html);
+  } catch (err) {
+    console.warn(`⚠️ 본문 변환 실패 (${post.blogId}/${post.postId}):`, err.message);
+    return [];
+  }
+}
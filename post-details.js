@@ -0,0 +1,43 @@
+/**
+ * post-details.js
+ * ───────────────────────────────────────────────
+ * 📋 글 상세 값(카테고리 / 태그 / 공감·댓글 수) 채우기 — index.js / PerGroup/index.js 공용
+ *
+ *  - 목록(BuddyPostList) 항목에 없는 값은 네이버에 추가로 조회한다
+ *    (post-category.js / post-tags.js / post-engagement.js, 글마다 최대 3회 + 요청 간격)
+ *  - 추가 조회는 새 글이거나, 저장된 값이 비어 있는 글만
+ *      - 이미 저장된 글은 목록 값만 쓰고 나머지는 null → 저장소가 기존 값을 유지
+ *      - 태그는 카테고리와 같은 글 페이지(PostView)에서 읽으므로 카테고리가 비어 있을 때만
+ *      - 저장된 글의 공감/댓글 수 갱신은 refresh-engagement.js 담당
+ *  - "저장된 글인지"는 저장소(post-sinks.js)의 findStored 로 판단
+ *    (Notion 은 UniqueID 인덱스, 인덱스를 못 쓰면 새 글처럼 전부 조회)
+ */
+
+import { resolvePostCategory } from "./post-category.js";
+import { resolvePostTags } from "./post-tags.js";
+import { resolvePostEngagement } from "./post-engagement.js";
+
+/**
+ * post.category / post.tags / post.sympathyCount / post.commentCount 채우기
+ *
+ * @param {object} post
+ * @param {{ missing: string[] }|null} stored 저장소의 findStored 결과 (새 글이면 null)
+ */
+export async function resolvePostDetails(post, stored) {
+  const needs = (field) => !stored || stored.missing.includes(field);
+
+  if (needs("category")) {
+    post.category = await resolvePostCategory(post);
+    post.tags = await resolvePostTags(post);
+  } else {
+    post.category = post.category || null;
+    post.tags = Array.isArray(post.tags) ? post.tags : null;
+  }
+
+  if (needs("sympathy") || needs("comments")) {
+    Object.assign(post, await resolvePostEngagement(post));
+  } else {
+    post.sympathyCount = post.sympathyCount ?? null;
+    post.commentCount = post.commentCount ?? null;
+  }
+}
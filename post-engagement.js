@@ -0,0 +1,144 @@
+/**
+ * post-engagement.js
+ * ───────────────────────────────────────────────
+ * ❤️ 글 반응 지표(공감 수 / 댓글 수) 수집 모듈
+ *
+ * 수집 순서:
+ *  1) BuddyPostList 항목에 공감/댓글 수가 있으면 그대로 사용
+ *  2) 없는 값만 추가 조회
+ *      - 공감 수 : 네이버 공감(like) API
+ *      - 댓글 수 : 글 페이지(PostView) HTML (post-content.js 캐시 공유)
+ *
+ *  - 못 가져온 값은 null → notion.js 는 기존 숫자를 유지
+ *  - replay 모드에서는 네트워크를 쓰지 않으므로 1) 까지만
+ *  - refresh-engagement.js 가 최근 글의 숫자를 다시 읽을 때도 같은 함수 사용
+ *
+ * 환경 변수:
+ *  - RESOLVE_ENGAGEMENT : false 로 두면 2) 의 추가 요청을 하지 않음 (기본 true)
+ */
+
+import { requestNaver } from "./naver-request.js";
+import { IS_REPLAY } from "./naver-fixtures.js";
+import { fetchPostViewHtml } from "./post-content.js";
+
+export const RESOLVE_ENGAGEMENT = !/^(0|false|no)$/i.test(
+  process.env.RESOLVE_ENGAGEMENT || ""
+);
+
+function toCount(value) {
+  if (value == null || value === "") return null;
+  const n = Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+}
+
+// ───────────────────────────────────────────────
+// 1️⃣ BuddyPostList 항목
+// ───────────────────────────────────────────────
+
+/**
+ * 목록 항목에서 공감/댓글 수 추출 (없는 값은 null)
+ * @returns {{ sympathyCount: number|null, commentCount: number|null }}
+ */
+export function engagementFromListItem(item) {
+  return {
+    sympathyCount: toCount(
+      item.sympathyCnt ?? item.sympathyCount ?? item.likeCount ?? item.likeCnt
+    ),
+    commentCount: toCount(item.commentCnt ?? item.commentCount ?? item.replyCount),
+  };
+}
+
+// ───────────────────────────────────────────────
+// 2️⃣ 추가 조회
+// ───────────────────────────────────────────────
+
+/**
+ * 공감 API 응답에서 해당 글의 반응 수 합계
+ *  - { contents: [{ contentsId, reactions: [{ reactionType, count }] }] }
+ */
+export function sympathyFromLikeResponse(data, contentsId) {
+  const contents = Array.isArray(data?.contents) ? data.contents : [];
+  const target =
+    contents.find((c) => c.contentsId === contentsId) || contents[0];
+  if (!target) return null;
+
+  const reactions = Array.isArray(target.reactions) ? target.reactions : [];
+  if (reactions.length === 0) return 0;
+  return reactions.reduce((sum, r) => sum + (toCount(r.count) || 0), 0);
+}
+
+async function fetchSympathyCount(post) {
+  const contentsId = `${post.blogId}_${post.postId}`;
+  const params = new URLSearchParams({
+    suppress_response_codes: "true",
+    q: `BLOG[${contentsId}]`,
+    isDuplication: "false",
+  });
+
+  const res = await requestNaver(
+    `https://blog.like.naver.com/v1/search/contents?${params.toString()}`,
+    {
+      label: `공감 수 ${post.blogId}/${post.postId}`,
+      headers: {
+        "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+        Referer: `https://blog.naver.com/${post.blogId}/${post.postId}`,
+      },
+    }
+  );
+  if (!res.ok) return null;
+
+  try {
+    return sympathyFromLikeResponse(JSON.parse(res.text), contentsId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * PostView HTML 에서 댓글 수 추출
+ *  - <em id="commentCount" class="_commentCount">12</em>
+ *  - 스크립트 변수 commentCount = '12'
+ */
+export function commentCountFromPostViewHtml(html) {
+  const m =
+    html.match(/id=["']commentCount["'][^>]*>\s*([\d,]+)\s*</) ||
+    html.match(/class=["'][^"']*_commentCount[^"']*["'][^>]*>\s*([\d,]+)\s*</) ||
+    html.match(/["']?commentCount["']?\s*[:=]\s*["']?([\d,]+)/);
+  return m ? toCount(m[1]) : null;
+}
+
+async function fetchCommentCount(post) {
+  const html = await fetchPostViewHtml(post);
+  return html ? commentCountFromPostViewHtml(html) : null;
+}
+
+// ───────────────────────────────────────────────
+// 🔎 수집
+// ───────────────────────────────────────────────
+
+/**
+ * post 의 공감/댓글 수 (post.sympathyCount / post.commentCount 는 목록 항목 값)
+ *
+ * @param {object} post
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - true 면 목록 값이 있어도 다시 조회
+ * @returns {Promise<{ sympathyCount: number|null, commentCount: number|null }>}
+ */
+export async function resolvePostEngagement(post, { refresh = false } = {}) {
+  let sympathyCount = refresh ? null : post.sympathyCount ?? null;
+  let commentCount = refresh ? null : post.commentCount ?? null;
+
+  const canFetch =
+    !IS_REPLAY && RESOLVE_ENGAGEMENT && post.blogId && post.postId;
+
+  if (canFetch) {
+    try {
+      if (sympathyCount == null) sympathyCount = await fetchSympathyCount(post);
+      if (commentCount == null) commentCount = await fetchCommentCount(post);
+    } catch (err) {
+      console.warn(`⚠️ 공감/댓글 수 조회 실패 (${post.blogId}/${post.postId}):`, err.message);
+    }
+  }
+
+  return { sympathyCount, commentCount };
+}
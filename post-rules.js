@@ -0,0 +1,135 @@
+/**
+ * post-rules.js
+ * ───────────────────────────────────────────────
+ * 🚦 업서트 전 글 필터 규칙 (include / exclude / 태그 / 라우팅)
+ *
+ *  - 규칙은 설정 파일(naver-notion.config.json)의 "rules" 배열에서 관리
+ *    (config.js 가 로드 + 검증, 형식이 잘못되면 실행 전에 오류로 중단)
+ *  - fetchPagePosts 로 가져온 글을 upsertPost 직전에 위에서부터 차례로 평가
+ *      - skip  : 이 글은 Notion 에 넣지 않음 (평가 종료)
+ *      - keep  : 이 글은 무조건 넣음 → 아래쪽 skip 규칙 무시 (평가 종료)
+ *      - tag   : tags 를 Tags 에 추가 (계속 평가)
+ *      - route : 기본 DB 대신 database 로 보냄, 먼저 맞은 규칙 우선 (계속 평가)
+ *  - match 조건 (모두 만족해야 적용, 각 배열은 하나만 맞으면 됨)
+ *      - keywords  : 제목/요약에 포함된 단어 (대소문자 무시)
+ *      - regex     : 제목/요약에 대한 정규식 (대소문자 무시)
+ *      - blogIds   : blogId 일치
+ *      - nicknames : 닉네임 일치
+ *      - groups    : 이웃그룹 이름 중 하나라도 일치
+ *  - 규칙별로 건너뛴/태그한/라우팅한 글 수를 세어 실행 끝에 요약 출력
+ *
+ * 예)
+ *   "rules": [
+ *     { "name": "이벤트글", "match": { "keywords": ["이벤트", "나눔", "추첨"] }, "action": "skip" },
+ *     { "name": "투자블로거 일상",
+ *       "match": { "groups": ["06.투자(V)", "11.투자"], "regex": "^\\[?(일상|일기)" },
+ *       "action": "skip" },
+ *     { "name": "ETF", "match": { "keywords": ["ETF"] }, "action": "tag", "tags": ["etf"] }
+ *   ]
+ */
+
+import { config } from "./config.js";
+import { normalizeTags } from "./post-tags.js";
+
+// ───────────────────────────────────────────────
+// 🧩 규칙 준비
+// ───────────────────────────────────────────────
+
+function compileRule(rule, index) {
+  const match = rule.match || {};
+  return {
+    name: rule.name || `rules[${index}]`,
+    action: rule.action,
+    keywords: (match.keywords || []).map((k) => k.toLowerCase()),
+    regex: match.regex ? new RegExp(match.regex, "i") : null,
+    blogIds: match.blogIds || null,
+    nicknames: match.nicknames || null,
+    groups: match.groups || null,
+    tags: rule.tags ? normalizeTags(rule.tags) : [],
+    database: rule.database ? rule.database.trim() : null,
+  };
+}
+
+export const RULES = (config.rules || []).map(compileRule);
+
+// route 규칙이 보내는 DB 목록 (스크랩 전 속성 검사 대상)
+export const ROUTE_DATABASES = [
+  ...new Set(RULES.filter((r) => r.action === "route").map((r) => r.database)),
+];
+
+// 규칙 이름 → { skip, keep, tag, route } 적용 횟수
+const stats = new Map(RULES.map((r) => [r.name, { skip: 0, keep: 0, tag: 0, route: 0 }]));
+
+// ───────────────────────────────────────────────
+// 🔎 매칭
+// ───────────────────────────────────────────────
+
+function matchesRule(rule, post) {
+  // 제목과 요약을 따로 검사 (regex 의 ^ / $ 가 제목 기준으로 동작하도록)
+  const texts = [post.title || "", post.description || ""];
+
+  if (rule.keywords.length > 0) {
+    const lowered = texts.map((t) => t.toLowerCase());
+    if (!rule.keywords.some((k) => lowered.some((t) => t.includes(k)))) return false;
+  }
+  if (rule.regex && !texts.some((t) => rule.regex.test(t))) return false;
+  if (rule.blogIds && !rule.blogIds.includes(String(post.blogId || ""))) return false;
+  if (rule.nicknames && !rule.nicknames.includes(String(post.nickname || "").trim())) {
+    return false;
+  }
+  if (rule.groups) {
+    const names = post.groupNames || [];
+    if (!rule.groups.some((g) => names.includes(g))) return false;
+  }
+  return true;
+}
+
+// ───────────────────────────────────────────────
+// 🚦 적용
+// ───────────────────────────────────────────────
+
+/**
+ * 글 하나에 규칙 적용
+ *  - tag / route 결과는 post.ruleTags / post.databaseId 에 기록 (notion.js 가 사용)
+ *
+ * @returns {boolean} false 면 업서트하지 않고 건너뜀
+ */
+export function applyPostRules(post) {
+  for (const rule of RULES) {
+    if (!matchesRule(rule, post)) continue;
+    stats.get(rule.name)[rule.action]++;
+
+    if (rule.action === "skip") {
+      console.log(`🚫 규칙 '${rule.name}' → 스킵: ${post.title}`);
+      return false;
+    }
+    if (rule.action === "keep") return true;
+
+    if (rule.action === "tag") {
+      post.ruleTags = [...new Set([...(post.ruleTags || []), ...rule.tags])];
+    } else if (rule.action === "route" && !post.databaseId) {
+      post.databaseId = rule.database;
+    }
+  }
+  return true;
+}
+
+/**
+ * 규칙별 적용 횟수 요약 출력 (규칙이 없으면 아무것도 안 함)
+ */
+export function reportRuleStats() {
+  if (RULES.length === 0) return;
+
+  console.log("🚦 필터 규칙 요약");
+  for (const rule of RULES) {
+    const s = stats.get(rule.name);
+    const count = s[rule.action];
+    const label = {
+      skip: "건너뜀",
+      keep: "유지",
+      tag: "태그 추가",
+      route: "라우팅",
+    }[rule.action];
+    console.log(`  - ${rule.name} (${rule.action}): ${label} ${count}건`);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * post-sinks.js
+ * ───────────────────────────────────────────────
+ * 📦 글 저장소(sink) 묶음 — index.js / PerGroup/index.js 의 upsertPost 뒤에 있는 저장소
+ *
+ *  - notion : Notion DB (notion.js / PerGroup/notion.js, 기본)
+ *  - sqlite : 로컬 SQLite 아카이브 (sqlite-archive.js)
+ *  - markdown : Obsidian 호환 Markdown 볼트 (markdown-vault.js)
+ *  - POST_SINKS 로 고름: "notion" | "sqlite" | "markdown" | "notion,markdown" ... (적은 순서대로 저장)
+ *      - Notion 을 빼면 Notion 모듈을 불러오지 않으므로 NOTION_DATABASE_ID / API 키 없이 실행 가능
+ *  - 모든 저장소는 같은 형식을 따른다
+ *      { name, prepare(routeDatabaseIds), findStored(post), upsertPost(post), close() }
+ *      - prepare : 스크랩 시작 전 점검 (Notion 은 DB 속성 검사 → NotionSchemaError)
+ *      - findStored : 이미 저장된 글이면 { missing: 비어 있는 상세 필드 }, 새 글이면 null
+ *                     (post-details.js 가 네이버 추가 조회를 새 글 / 빈 값에만 하도록)
+ *      - close   : 실행 끝(또는 오류·시그널로 중단)에 한 번 (Notion 은 인덱스 캐시 저장)
+ *  - 저장소 하나라도 실패하면 그 글은 실패로 처리 (체크포인트에 남지 않아 다음 실행에서 재시도)
+ *  - 드라이런 보고서는 첫 번째 저장소의 예정 작업만 기록 (같은 글이 두 번 나오지 않도록)
+ *
+ * 환경 변수:
+ *  - POST_SINKS : 쉼표로 구분한 저장소 목록 (기본 notion, 값 검증은 config.js)
+ */
+
+import { savePageIndexes } from "./notion-index.js";
+
+export const POST_SINKS = (process.env.POST_SINKS || "notion")
+  .split(",")
+  .map((v) => v.trim().toLowerCase())
+  .filter(Boolean);
+
+// 변형 → Notion 업서트 모듈 (notion-schema.js 의 posts / per-group 과 같은 이름)
+const NOTION_MODULES = {
+  posts: "./notion.js",
+  "per-group": "./PerGroup/notion.js",
+};
+
+async function createNotionSink(variant, { recordPlans }) {
+  const { upsertPost, assertPostsSchema, findStoredPost } = await import(
+    NOTION_MODULES[variant]
+  );
+  return {
+    name: "notion",
+    prepare: (routeDatabaseIds) => assertPostsSchema(routeDatabaseIds),
+    findStored: findStoredPost,
+    upsertPost: (post) => upsertPost(post, { recordPlans }),
+    close: () => savePageIndexes(),
+  };
+}
+
+async function createSink(name, variant, first) {
+  if (name === "notion") return createNotionSink(variant, { recordPlans: first });
+  if (name === "markdown") {
+    const { createMarkdownSink } = await import("./markdown-vault.js");
+    return createMarkdownSink({ recordPlans: first });
+  }
+  // better-sqlite3 는 sqlite 를 쓸 때만 불러옴
+  const { createSqliteSink } = await import("./sqlite-archive.js");
+  return createSqliteSink({ recordPlans: first });
+}
+
+/**
+ * 설정된 저장소들을 열어 하나처럼 쓰는 객체 반환
+ *
+ * @param {"posts"|"per-group"} variant Notion 저장소의 종류
+ * @returns {Promise<{ names: string[], prepare: Function, findStored: Function, upsertPost: Function, close: Function }>}
+ */
+export async function openPostSinks(variant = "posts") {
+  const names = [...new Set(POST_SINKS)];
+  const sinks = [];
+  for (const [i, name] of names.entries()) {
+    sinks.push(await createSink(name, variant, i === 0));
+  }
+  console.log(`📦 저장소: ${names.join(" + ")}`);
+
+  let closed = false;
+  return {
+    names,
+    async prepare(routeDatabaseIds = []) {
+      for (const sink of sinks) await sink.prepare(routeDatabaseIds);
+    },
+    /**
+     * 모든 저장소에 있으면 { missing: 어느 저장소에서든 비어 있는 상세 필드 }
+     * 한 곳이라도 없으면 null (새 글로 보고 상세 값 전부 조회)
+     */
+    async findStored(post) {
+      const missing = new Set();
+      for (const sink of sinks) {
+        const stored = await sink.findStored(post);
+        if (!stored) return null;
+        for (const field of stored.missing) missing.add(field);
+      }
+      return { missing: [...missing] };
+    },
+    async upsertPost(post) {
+      for (const sink of sinks) await sink.upsertPost(post);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      for (const sink of sinks) sink.close();
+    },
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * post-tags.js
+ * ───────────────────────────────────────────────
+ * #️⃣ 글 태그(작성자가 붙인 #태그) 추출 모듈
+ *
+ * 추출 순서:
+ *  1) BuddyPostList 항목에 태그 필드가 있으면 그대로 사용
+ *  2) 없으면 글 페이지(PostView) HTML 의 태그 영역 / 스크립트 변수에서 추출
+ *     (PostView HTML 은 post-content.js 캐시를 공유 → 카테고리/본문과 중복 요청 없음)
+ *
+ * 정규화:
+ *  - 앞의 # 제거, 공백 정리, 영문은 소문자로 통일
+ *  - Notion 옵션 이름에 쓸 수 없는 쉼표는 공백으로, 길이는 100자 이내
+ *  - 중복 제거 후 글당 최대 TAGS_MAX 개만 사용 (multi-select 옵션 폭증 방지)
+ *
+ *  - 끝내 못 가져오면 null → notion.js 는 기존 Tags 값을 유지
+ *  - replay 모드에서는 네트워크를 쓰지 않으므로 1) 까지만
+ *
+ * 환경 변수:
+ *  - RESOLVE_TAGS : false 로 두면 2) 의 추가 요청을 하지 않음 (기본 true)
+ *  - TAGS_MAX     : 글당 최대 태그 수 (기본 10)
+ */
+
+import * as cheerio from "cheerio";
+import { IS_REPLAY } from "./naver-fixtures.js";
+import { fetchPostViewHtml } from "./post-content.js";
+
+export const RESOLVE_TAGS = !/^(0|false|no)$/i.test(
+  process.env.RESOLVE_TAGS || ""
+);
+
+const TAGS_MAX = Number(process.env.TAGS_MAX || 10);
+const TAG_MAX_CHARS = 100;
+
+// ───────────────────────────────────────────────
+// 🧹 정규화
+// ───────────────────────────────────────────────
+
+function normalizeTag(raw) {
+  return String(raw)
+    .replace(/^#+/, "")
+    .replace(/,/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .slice(0, TAG_MAX_CHARS)
+    .trim();
+}
+
+/**
+ * 태그 목록 정규화 (중복 제거 + 개수 제한)
+ * @param {Array<string>} rawTags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(rawTags) {
+  const seen = new Set();
+  for (const raw of rawTags) {
+    const tag = normalizeTag(raw);
+    if (tag) seen.add(tag);
+    if (seen.size >= TAGS_MAX) break;
+  }
+  return [...seen];
+}
+
+/**
+ * "a,b" / "#a #b" / ["a", {tagName: "b"}] → ["a", "b"]
+ */
+function splitTagValue(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap((v) =>
+      typeof v === "object" && v !== null
+        ? [v.tagName || v.name || v.tag || ""]
+        : splitTagValue(v)
+    );
+  }
+  return String(value)
+    .split(/[,#]/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// ───────────────────────────────────────────────
+// 1️⃣ BuddyPostList 항목
+// ───────────────────────────────────────────────
+
+/**
+ * 목록 항목에서 태그 추출 (태그 필드 자체가 없으면 null)
+ * @returns {Array<string>|null}
+ */
+export function tagsFromListItem(item) {
+  const value =
+    item.tagNames ?? item.tags ?? item.tagList ?? item.hashTags ?? null;
+  if (value == null) return null;
+  return normalizeTags(splitTagValue(value));
+}
+
+// ───────────────────────────────────────────────
+// 2️⃣ 글 페이지(PostView) HTML
+// ───────────────────────────────────────────────
+
+/**
+ * PostView HTML 에서 태그 추출
+ *  - 본문 하단 태그 영역 (.wrap_tag, .post_tag 등의 링크 텍스트)
+ *  - 스크립트 변수 (tagList = '주식,시황' / "tagNames":"...")
+ */
+export function tagsFromPostViewHtml(html) {
+  const $ = cheerio.load(html);
+
+  const fromLinks = $(".wrap_tag a, .post_tag a, .tag_area a, a.itemTagfont")
+    .map((_, el) => $(el).text())
+    .get();
+  if (fromLinks.length > 0) return normalizeTags(splitTagValue(fromLinks));
+
+  const m = html.match(/["']?(?:tagList|tagNames)["']?\s*[:=]\s*["']([^"']*)["']/);
+  if (m) return normalizeTags(splitTagValue(decodeURIComponentSafe(m[1])));
+
+  return [];
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// ───────────────────────────────────────────────
+// 🔎 판별
+// ───────────────────────────────────────────────
+
+/**
+ * post 의 태그 목록 (post.tags 는 목록 항목 값, 없으면 null)
+ * @returns {Promise<Array<string>|null>} 못 가져오면 null
+ */
+export async function resolvePostTags(post) {
+  if (Array.isArray(post.tags)) return post.tags;
+  if (IS_REPLAY || !RESOLVE_TAGS || !post.blogId || !post.postId) return null;
+
+  try {
+    const html = await fetchPostViewHtml(post);
+    if (!html) return null;
+    return tagsFromPostViewHtml(html);
+  } catch (err) {
+    console.warn(`⚠️ 태그 추출 실패 (${post.blogId}/${post.postId}):`, err.message);
+    return null;
+  }
+}
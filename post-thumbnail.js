@@ -0,0 +1,40 @@
+/**
+ * post-thumbnail.js
+ * ───────────────────────────────────────────────
+ * 🖼 BuddyPostList 항목의 썸네일 URL 추출
+ *
+ *  - 응답 버전에 따라 키가 달라 여러 후보를 순서대로 확인
+ *  - "//host/..." 형태는 https 로 보정
+ *  - Notion external 파일 URL 제한(2000자)을 넘거나 http(s) 가 아니면 버림
+ *  - 결과는 notion.js 가 Thumbnail(URL) 속성 + 새 페이지 cover 로 사용
+ */
+
+const URL_MAX_CHARS = 2000;
+
+function firstString(value) {
+  if (!value) return "";
+  if (Array.isArray(value)) return firstString(value[0]);
+  if (typeof value === "object") {
+    return firstString(value.url || value.src || value.thumbnailUrl || "");
+  }
+  return String(value).trim();
+}
+
+/**
+ * 목록 항목 → 썸네일 URL (없으면 "")
+ */
+export function thumbnailFromListItem(item) {
+  let url = firstString(
+    item.thumbnailUrl ||
+      item.thumbnail ||
+      item.postImageUrl ||
+      item.imageUrl ||
+      item.representImage ||
+      item.thumbnailList ||
+      item.imageList
+  );
+
+  if (url.startsWith("//")) url = `https:${url}`;
+  if (!/^https?:\/\//i.test(url) || url.length > URL_MAX_CHARS) return "";
+  return url;
+}
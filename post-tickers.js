@@ -0,0 +1,202 @@
+/**
+ * post-tickers.js
+ * ───────────────────────────────────────────────
+ * 📈 제목/요약에서 종목 추출 (국내 6자리 코드 / 미국 티커 / 회사 이름)
+ *
+ *  - 종목 사전은 저장소의 tickers.json (TICKER_DICT_PATH 로 교체 가능)
+ *      - krx    : { code: "005930", name: "삼성전자", aliases: ["삼전"] }
+ *      - us     : { ticker: "NVDA", name: "엔비디아", aliases: ["NVIDIA"] }
+ *                 영어 단어이기도 한 티커는 "word": true ({ ticker: "META", word: true, ... })
+ *      - ignore : 회사 이름을 포함하지만 종목이 아닌 단어 ("인텔리전스", "애플리케이션" 등)
+ *    → 종목 추가/수정은 이 파일만 고치면 됨 (다음 실행부터 반영)
+ *  - 결과 이름: 국내는 회사 이름("삼성전자"), 미국은 티커("NVDA")
+ *    → "이번 주에 삼성전자 / NVDA 얘기한 사람" 을 Tickers 필터 하나로 검색
+ *  - 설정 파일 groups 에서 "tickers": true 인 그룹(투자 그룹)의 글만 추출
+ *    (그 외 그룹 글은 null → notion.js 가 기존 Tickers 유지)
+ *
+ * 매칭 규칙:
+ *  - 6자리 숫자는 사전에 있는 코드만 (앞뒤가 숫자가 아닐 때)
+ *  - 대문자 티커는 대소문자 그대로, "$nvda" 같은 캐시태그는 대소문자 무시
+ *  - 세 글자 이하("MU", "ARM")이거나 "word": true 인 티커("META", "COIN")는 그냥 쓰면 일반 영어와 겹침
+ *    → "$META" 캐시태그나 회사 이름/별칭("메타플랫폼스", "Coinbase")으로만 찾음
+ *  - 한글 이름은 부분 문자열로 찾되(조사가 붙으므로) 긴 이름부터 찾고 찾은 부분은 소비
+ *    ("SK하이닉스" 를 찾은 뒤 같은 자리에서 "SK" 를 다시 찾지 않음)
+ *  - 두 글자 한글 이름("한전", "삼바", "기아")은 단어 첫머리에서만, 뒤에 영문/숫자가 없을 때만
+ *    ("대한전선", "한전KPS" 제외 / "기아대책", "삼바 축제" 처럼 첫머리부터 겹치는 말은 ignore 에)
+ *  - 영문 이름은 앞뒤가 영문/숫자가 아닐 때만
+ *
+ * 환경 변수:
+ *  - EXTRACT_TICKERS  : false 면 추출하지 않음 (기본 true)
+ *  - TICKER_DICT_PATH : 종목 사전 경로 (기본: 저장소 루트의 tickers.json)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hasTickerGroup } from "./groups.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const EXTRACT_TICKERS = !/^(0|false|no)$/i.test(
+  (process.env.EXTRACT_TICKERS || "true").trim()
+);
+
+const TICKER_DICT_PATH =
+  process.env.TICKER_DICT_PATH || path.join(__dirname, "tickers.json");
+
+const TICKERS_MAX = 20;
+
+// ───────────────────────────────────────────────
+// 📖 사전 로드
+// ───────────────────────────────────────────────
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 이름 하나 → 검색용 정규식
+ *  - 영문/숫자로 시작·끝나면 앞뒤 영문/숫자 경계 검사
+ *  - 두 글자 한글 이름은 앞에 한글이 없고 뒤에 영문/숫자가 없을 때만 (다른 단어의 일부 제외)
+ *  - 소문자가 섞인 영문 이름("Tesla")만 대소문자 무시
+ */
+function namePattern(name) {
+  const escaped = escapeRegExp(name);
+  const shortHangul = /^[가-힣]{2}$/.test(name);
+  const before = /^[A-Za-z0-9]/.test(name)
+    ? "(?<![A-Za-z0-9])"
+    : shortHangul
+      ? "(?<![가-힣])"
+      : "";
+  const after = /[A-Za-z0-9]$/.test(name) || shortHangul ? "(?![A-Za-z0-9])" : "";
+  const flags = /[a-z]/.test(name) ? "gi" : "g";
+  return new RegExp(`${before}${escaped}${after}`, flags);
+}
+
+/**
+ * 사전 JSON → 검색 구조
+ *  - 형식이 잘못된 항목은 경고 후 건너뜀
+ */
+export function compileTickerDictionary(raw) {
+  const byCode = new Map(); // "005930" → "삼성전자"
+  const byTicker = new Map(); // "NVDA" → "NVDA"
+  const names = []; // { text, pattern, label } (긴 이름 먼저)
+  const problems = [];
+
+  const addName = (text, label) => {
+    const t = String(text || "").trim();
+    if (t.length < 2) return;
+    names.push({ text: t, pattern: namePattern(t), label });
+  };
+
+  (raw?.krx || []).forEach((entry, i) => {
+    if (!/^\d{6}$/.test(String(entry?.code || "")) || !entry.name) {
+      problems.push(`krx[${i}]: code(6자리)와 name 이 필요합니다`);
+      return;
+    }
+    byCode.set(entry.code, entry.name);
+    addName(entry.name, entry.name);
+    for (const alias of entry.aliases || []) addName(alias, entry.name);
+  });
+
+  (raw?.us || []).forEach((entry, i) => {
+    const ticker = String(entry?.ticker || "").trim().toUpperCase();
+    if (!/^[A-Z][A-Z.]{0,5}$/.test(ticker)) {
+      problems.push(`us[${i}]: ticker 는 영문 대문자 1~6자여야 합니다`);
+      return;
+    }
+    byTicker.set(ticker, ticker);
+    // 짧거나 영어 단어인 티커는 캐시태그로만 (이름/별칭이 티커와 같아도 건너뜀)
+    const bare = ticker.length > 3 && !entry.word;
+    for (const text of [ticker, entry.name, ...(entry.aliases || [])]) {
+      if (!text) continue;
+      if (!bare && String(text).trim().toUpperCase() === ticker) continue;
+      addName(text, ticker);
+    }
+  });
+
+  names.sort((a, b) => b.text.length - a.text.length);
+
+  const ignore = (raw?.ignore || [])
+    .map((w) => String(w).trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  return { byCode, byTicker, names, ignore, problems };
+}
+
+function loadTickerDictionary() {
+  if (!EXTRACT_TICKERS) return null;
+
+  try {
+    const dict = compileTickerDictionary(
+      JSON.parse(fs.readFileSync(TICKER_DICT_PATH, "utf8"))
+    );
+    for (const p of dict.problems) console.warn(`⚠️ 종목 사전 ${p} → 건너뜀`);
+    return dict;
+  } catch (err) {
+    console.warn(
+      `⚠️ 종목 사전 로드 실패 (${TICKER_DICT_PATH}) → 종목 추출 없이 진행:`,
+      err.message
+    );
+    return null;
+  }
+}
+
+const DICTIONARY = loadTickerDictionary();
+
+// ───────────────────────────────────────────────
+// 🔎 추출
+// ───────────────────────────────────────────────
+
+/**
+ * 텍스트 → 종목 이름 배열 (처음 나온 순서, 중복 제거)
+ */
+export function extractTickers(text, dict = DICTIONARY) {
+  if (!dict || !text) return [];
+
+  // 찾은 자리를 공백으로 지워 가며 진행 (짧은 이름이 긴 이름 안에서 다시 잡히지 않도록)
+  let rest = String(text);
+  const blank = (s) => " ".repeat(s.length);
+  const found = []; // { index, label }
+
+  for (const word of dict.ignore) {
+    rest = rest.split(word).join(blank(word));
+  }
+
+  rest = rest.replace(/(?<!\d)\d{6}(?!\d)/g, (code, index) => {
+    const label = dict.byCode.get(code);
+    if (!label) return code;
+    found.push({ index, label });
+    return blank(code);
+  });
+
+  rest = rest.replace(/\$([A-Za-z][A-Za-z.]{0,5})(?![A-Za-z])/g, (m, t, index) => {
+    const label = dict.byTicker.get(t.toUpperCase());
+    if (!label) return m;
+    found.push({ index, label });
+    return blank(m);
+  });
+
+  for (const { pattern, label } of dict.names) {
+    pattern.lastIndex = 0;
+    rest = rest.replace(pattern, (m, index) => {
+      found.push({ index, label });
+      return blank(m);
+    });
+  }
+
+  const labels = found.sort((a, b) => a.index - b.index).map((f) => f.label);
+  return [...new Set(labels)].slice(0, TICKERS_MAX);
+}
+
+/**
+ * 글 → Tickers 값
+ *  - 비활성화 / 사전 없음 / 투자 그룹("tickers": true) 글이 아니면 null (기존 값 유지)
+ */
+export function tickersForPost(post) {
+  if (!DICTIONARY) return null;
+  if (!hasTickerGroup(post.groupNames)) return null;
+  return extractTickers(`${post.title || ""}\n${post.description || ""}`);
+}
@@ -0,0 +1,169 @@
+/**
+ * refresh-engagement.js
+ * ───────────────────────────────────────────────
+ * 🔁 최근 글의 공감/댓글 수 다시 읽기
+ *
+ * ✅ 목적
+ *  - 스크랩 직후의 공감/댓글 수는 거의 0 이므로,
+ *    최근 N일 안에 올라온 글의 숫자를 다시 읽어 Sympathy / Comments 를 갱신한다.
+ *
+ * ✅ 동작
+ *  1. NOTION_DATABASE_ID 에서 "원본 날짜" 가 최근 REFRESH_DAYS 일 이내인 페이지 조회
+ *  2. 각 페이지의 BlogID / UniqueID 로 blogId, postId 확인
+ *  3. post-engagement.js 로 공감/댓글 수를 다시 조회
+ *  4. 숫자가 달라진 페이지만 업데이트 (못 가져온 값은 건드리지 않음)
+ *
+ * ⚠️ 전제
+ *  - NOTION_API_KEY, NOTION_DATABASE_ID 환경 변수 설정 필수
+ *    (NOTION_FAKE_DB 설정 시 실제 Notion 대신 로컬 대역 사용)
+ *  - REFRESH_DAYS : 다시 읽을 기간 (기본 7일)
+ *  - NAVER_COOKIE 는 필요 없음 (공감 API / 글 페이지는 공개 글 기준)
+ *  - 속성 이름은 설정의 "properties" 매핑 (notion-properties.js, publishedAt / blogId 는 꺼둘 수 없음)
+ */
+
+import "dotenv/config";
+import "./config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { createNotionClient } from "./notion-client.js";
+import { resolvePostEngagement } from "./post-engagement.js";
+import {
+  readProperty,
+  writeProperty,
+  propertyFilter,
+  requireProperties,
+} from "./notion-properties.js";
+
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
+const databaseId = process.env.NOTION_DATABASE_ID;
+const REFRESH_DAYS = Number(process.env.REFRESH_DAYS || 7);
+
+if (!databaseId) {
+  console.error("❌ NOTION_DATABASE_ID 가 설정되어 있지 않습니다.");
+  process.exit(1);
+}
+
+requireProperties(["publishedAt", "blogId"], "refresh-engagement.js");
+
+// ───────────────────────────────────────────────
+// 🔎 최근 N일 페이지 조회
+// ───────────────────────────────────────────────
+
+async function getRecentPages(days) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const pages = [];
+  let cursor = undefined;
+
+  while (true) {
+    const res = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: 100,
+      filter: propertyFilter("publishedAt", { on_or_after: since }),
+    });
+
+    pages.push(...res.results);
+
+    if (!res.has_more) break;
+    cursor = res.next_cursor;
+  }
+
+  return pages;
+}
+
+/**
+ * 페이지 → { blogId, postId } (UniqueID = {blogId}_{postId})
+ */
+function postFromPage(page) {
+  const props = page.properties || {};
+  const blogId = readProperty(props, "blogId");
+  const uniqueId = readProperty(props, "uniqueId");
+
+  const postId =
+    blogId && uniqueId.startsWith(`${blogId}_`)
+      ? uniqueId.slice(blogId.length + 1)
+      : uniqueId.match(/_(\d+)$/)?.[1] || "";
+  if (!blogId || !postId) return null;
+
+  return {
+    blogId,
+    postId,
+    title: readProperty(props, "title") || uniqueId,
+  };
+}
+
+// ───────────────────────────────────────────────
+// 🛠 메인 로직
+// ───────────────────────────────────────────────
+
+async function refreshEngagement() {
+  console.log(`🚀 최근 ${REFRESH_DAYS}일 글 공감/댓글 수 갱신 시작...`);
+
+  const pages = await getRecentPages(REFRESH_DAYS);
+  console.log(`📦 대상 페이지 수: ${pages.length}개`);
+
+  let updated = 0;
+  let unchanged = 0;
+  let skippedNoId = 0;
+  let notFetched = 0;
+
+  for (const page of pages) {
+    const post = postFromPage(page);
+    if (!post) {
+      skippedNoId++;
+      continue;
+    }
+
+    const { sympathyCount, commentCount } = await resolvePostEngagement(post, {
+      refresh: true,
+    });
+    if (sympathyCount == null && commentCount == null) {
+      notFetched++;
+      continue;
+    }
+
+    // 꺼진 속성은 writeProperty 가 {} → 업데이트 대상에서 빠짐
+    const old = page.properties || {};
+    const properties = {
+      ...(sympathyCount != null &&
+        sympathyCount !== readProperty(old, "sympathy") &&
+        writeProperty("sympathy", sympathyCount)),
+      ...(commentCount != null &&
+        commentCount !== readProperty(old, "comments") &&
+        writeProperty("comments", commentCount)),
+    };
+
+    if (Object.keys(properties).length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    try {
+      await notion.pages.update({ page_id: page.id, properties });
+      updated++;
+      console.log(
+        `🔄 갱신: ${post.title} | 공감 ${sympathyCount ?? "-"} / 댓글 ${commentCount ?? "-"}`
+      );
+    } catch (err) {
+      console.error(`❌ 업데이트 실패 (page ${page.id}):`, err.message || err);
+    }
+
+    // Notion 레이트 리밋 방지용 살짝 딜레이
+    await new Promise((r) => setTimeout(r, 150));
+  }
+
+  console.log("✅ 처리 완료 요약");
+  console.log(`  - 확인한 페이지: ${pages.length}`);
+  console.log(`  - 갱신된 페이지: ${updated}`);
+  console.log(`  - 변화 없음: ${unchanged}`);
+  console.log(`  - 조회 실패 (스킵): ${notFetched}`);
+  console.log(`  - BlogID/UniqueID 없음 (스킵): ${skippedNoId}`);
+}
+
+// ───────────────────────────────────────────────
+// 실행
+// ───────────────────────────────────────────────
+
+refreshEngagement().catch((err) => {
+  console.error("❌ 스크립트 전체 오류:", err);
+  process.exit(1);
+});
@@ -0,0 +1,249 @@
+/**
+ * scrape-state.js
+ * ───────────────────────────────────────────────
+ * 💾 스크랩 상태 파일(.scrape-state.json) 관리 모듈
+ *
+ * 저장 내용:
+ *  - highWater[feedKey] : 피드/그룹별로 "마지막으로 본 글" 기록
+ *      {
+ *        uniqueIds,   // 최근에 본 UniqueID 목록 (최신 순, 최대 HIGH_WATER_ID_LIMIT개)
+ *        lastAddDate, // 지금까지 본 글 중 가장 최근 addDate (ms timestamp)
+ *        updatedAt,   // 마지막 갱신 시각 (ISO)
+ *      }
+ *  - checkpoints[runner] : 실행 스크립트별(index / PerGroup) 재개 지점
+ *      {
+ *        mode, feedKey, groupId, // 체크포인트를 만든 실행 조건
+ *        page,                   // 다시 시작할 페이지 (incremental 은 null)
+ *        doneUniqueIds,          // 해당 페이지에서 이미 업서트한 글
+ *                                //  (incremental 은 이번 실행 전체에서 업서트한 글)
+ *        updatedAt,
+ *      }
+ *
+ * incremental 모드(index.js)에서:
+ *  - UniqueID 가 uniqueIds 에 있거나
+ *  - addDate 가 lastAddDate 보다 과거인 글
+ *  → "이미 본 글"로 판정한다.
+ *
+ * 체크포인트:
+ *  - 페이지 처리가 끝날 때마다 저장, SIGTERM/SIGINT 수신 시에도 즉시 저장
+ *  - 다음 실행은 체크포인트 위치부터 재개 (--reset-checkpoint 또는
+ *    RESET_CHECKPOINT=true 로 버리고 처음부터 시작)
+ *
+ * ⚠️ GitHub Actions 에서는 actions/cache 로 이 파일을 실행 간에 유지한다.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { EXIT_SIGINT, EXIT_SIGTERM } from "./exit-codes.js";
+import { parseNaverDate } from "./kst-date.js";
+import { DRY_RUN } from "./dry-run.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STATE_PATH =
+  process.env.SCRAPE_STATE_PATH ||
+  path.resolve(__dirname, ".scrape-state.json");
+
+const HIGH_WATER_ID_LIMIT = 100;
+
+export const RESET_CHECKPOINT =
+  process.argv.includes("--reset-checkpoint") ||
+  /^(1|true|yes)$/i.test(process.env.RESET_CHECKPOINT || "");
+
+// ───────────────────────────────────────────────
+// 📂 로드 / 저장
+// ───────────────────────────────────────────────
+
+export function loadState() {
+  if (!fs.existsSync(STATE_PATH)) {
+    return { highWater: {}, checkpoints: {} };
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(STATE_PATH, "utf8"));
+    return {
+      ...state,
+      highWater: state.highWater || {},
+      checkpoints: state.checkpoints || {},
+    };
+  } catch (err) {
+    console.warn(
+      `⚠️ 상태 파일 파싱 실패 → 빈 상태로 시작합니다 (${STATE_PATH}):`,
+      err.message
+    );
+    return { highWater: {}, checkpoints: {} };
+  }
+}
+
+/**
+ * 임시 파일에 쓴 뒤 rename → 쓰는 도중 죽어도 기존 파일은 깨지지 않음
+ *  - 드라이런(dry-run.js)에서는 쓰지 않음 (다음 실제 실행이 같은 글을 다시 처리하도록)
+ */
+export function saveState(state) {
+  if (DRY_RUN) return;
+  const tmpPath = `${STATE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), "utf8");
+  fs.renameSync(tmpPath, STATE_PATH);
+}
+
+// ───────────────────────────────────────────────
+// 🧮 글 식별 유틸
+// ───────────────────────────────────────────────
+
+export function postUniqueId(post) {
+  const blogId = post.blogId ? String(post.blogId) : "";
+  const postId = post.postId ? String(post.postId) : "";
+  return blogId && postId ? `${blogId}_${postId}` : null;
+}
+
+/**
+ * pubdate(addDate 등) → ms timestamp
+ *  - 해석은 kst-date.js (문자열은 KST, "3시간 전" 등은 now 기준)
+ *  - 해석 실패하면 null
+ */
+export function toTimestamp(pubdate, now) {
+  const d = parseNaverDate(pubdate, now != null ? { now } : undefined);
+  return d ? d.getTime() : null;
+}
+
+// ───────────────────────────────────────────────
+// 🌊 high-water mark
+// ───────────────────────────────────────────────
+
+/**
+ * high-water mark 기준으로 이미 본 글인지 판정
+ *  - mark 가 없으면(첫 실행) 항상 false
+ *  - addDate 가 lastAddDate 와 같은 글은 UniqueID 로만 판단 (동시각 글 누락 방지)
+ */
+export function isKnownPost(mark, post) {
+  if (!mark) return false;
+
+  const uniqueId = postUniqueId(post);
+  if (uniqueId && mark.uniqueIds?.includes(uniqueId)) return true;
+
+  const ts = toTimestamp(post.pubdate, post.fetchedAt);
+  if (ts != null && mark.lastAddDate != null && ts < mark.lastAddDate) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * 새로 처리한 글들로 feedKey 의 high-water mark 갱신
+ *  - uniqueIds: 최신 글이 앞으로 오도록 병합 후 HIGH_WATER_ID_LIMIT 개로 자름
+ *  - lastAddDate: 기존 값과 새 글들 중 최댓값
+ */
+export function updateHighWater(state, feedKey, posts) {
+  if (!posts || posts.length === 0) return;
+
+  const prev = state.highWater[feedKey] || { uniqueIds: [], lastAddDate: null };
+
+  const sorted = posts
+    .map((post) => ({
+      id: postUniqueId(post),
+      ts: toTimestamp(post.pubdate, post.fetchedAt),
+    }))
+    .filter((p) => p.id)
+    .sort((a, b) => (b.ts ?? 0) - (a.ts ?? 0));
+
+  const uniqueIds = [
+    ...new Set([...sorted.map((p) => p.id), ...(prev.uniqueIds || [])]),
+  ].slice(0, HIGH_WATER_ID_LIMIT);
+
+  const timestamps = sorted.map((p) => p.ts).filter((ts) => ts != null);
+  if (prev.lastAddDate != null) timestamps.push(prev.lastAddDate);
+
+  state.highWater[feedKey] = {
+    uniqueIds,
+    lastAddDate: timestamps.length > 0 ? Math.max(...timestamps) : null,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// ───────────────────────────────────────────────
+// 📌 체크포인트 (중단된 실행 재개)
+// ───────────────────────────────────────────────
+
+/**
+ * runner 의 체크포인트 중 현재 실행 조건(match)과 일치하는 것만 반환
+ *  - RESET_CHECKPOINT 이면 기존 체크포인트를 버리고 null
+ *  - 조건이 다르면(모드/피드 변경 등) 오래된 체크포인트로 보고 무시
+ */
+export function takeCheckpoint(state, runner, match = {}) {
+  const cp = state.checkpoints[runner];
+  if (!cp) return null;
+
+  if (RESET_CHECKPOINT) {
+    console.log(`🧹 [${runner}] 체크포인트 폐기 (page ${cp.page ?? "-"})`);
+    delete state.checkpoints[runner];
+    saveState(state);
+    return null;
+  }
+
+  const mismatch = Object.entries(match).find(([k, v]) => cp[k] !== v);
+  if (mismatch) {
+    console.warn(
+      `⚠️ [${runner}] 체크포인트 조건 불일치 (${mismatch[0]}: ${cp[mismatch[0]]} ≠ ${mismatch[1]}) → 무시`
+    );
+    delete state.checkpoints[runner];
+    return null;
+  }
+
+  const where = [
+    cp.groupId != null ? `그룹 ${cp.groupId}` : null,
+    cp.page != null ? `${cp.page}페이지` : null,
+  ].filter(Boolean);
+  console.log(
+    `⏯ [${runner}] 체크포인트에서 재개: ${where.length > 0 ? `${where.join(", ")} ` : ""}(이미 처리 ${cp.doneUniqueIds?.length || 0}건)`
+  );
+  return { ...cp, doneUniqueIds: cp.doneUniqueIds || [] };
+}
+
+/**
+ * 다음에 시작할 위치를 체크포인트로 기록하고 바로 파일에 저장
+ */
+export function saveCheckpoint(state, runner, checkpoint) {
+  state.checkpoints[runner] = {
+    ...checkpoint,
+    doneUniqueIds: checkpoint.doneUniqueIds || [],
+    updatedAt: new Date().toISOString(),
+  };
+  saveState(state);
+}
+
+export function clearCheckpoint(state, runner) {
+  delete state.checkpoints[runner];
+  saveState(state);
+}
+
+/**
+ * SIGTERM / SIGINT (Actions 타임아웃·취소, Ctrl+C) 수신 시
+ * 메모리에 있는 상태(진행 중 페이지의 doneUniqueIds 포함)를 저장하고 종료
+ *
+ * @param {object} state loadState() 결과
+ * @param {{ close?: Function }} [options]
+ *   close: 종료 전에 함께 정리할 것 (글 저장소 닫기 → Notion 페이지 인덱스 저장 등, post-sinks.js)
+ */
+export function flushStateOnSignal(state, { close } = {}) {
+  const exitCodes = { SIGINT: EXIT_SIGINT, SIGTERM: EXIT_SIGTERM };
+
+  for (const [signal, code] of Object.entries(exitCodes)) {
+    process.once(signal, () => {
+      console.warn(`🛑 ${signal} 수신 → 체크포인트 저장 후 종료`);
+      try {
+        saveState(state);
+      } catch (err) {
+        console.error("❌ 체크포인트 저장 실패:", err.message);
+      }
+      try {
+        close?.();
+      } catch (err) {
+        console.error("❌ 저장소 정리 실패:", err.message);
+      }
+      process.exit(code);
+    });
+  }
+}
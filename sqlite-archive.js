@@ -0,0 +1,353 @@
+/**
+ * sqlite-archive.js
+ * ───────────────────────────────────────────────
+ * 🗄 SQLite 로컬 아카이브 (post-sinks.js 의 "sqlite" 저장소)
+ *
+ *  - Notion 과 같은 post 객체를 받아 로컬 SQLite 파일에 저장 → 오프라인 보관 + SQL 분석
+ *  - 테이블
+ *      - bloggers    : blog_id → nickname, first_seen_at, last_seen_at
+ *      - posts       : unique_id({blogId}_{postId}) → 제목, URL, 날짜, 카테고리, 태그/종목(JSON 배열),
+ *                      썸네일, 공감/댓글 수, created_at / updated_at
+ *      - post_groups : (unique_id, group_name) 글이 속한 이웃그룹
+ *  - 생성 / 업데이트 / 스킵 판단은 notion.js 와 같음
+ *      - Title, URL, Category, Group, Tags, Tickers, Thumbnail, Sympathy, Comments 가 모두 같으면 스킵
+ *      - 못 가져온 값(null)은 기존 값 유지, CSV groupNames 가 없으면 기존 Group 유지
+ *  - 드라이런(dry-run.js)이면 쓰지 않음 (파일이 있으면 읽기 전용으로 열어 비교만)
+ *
+ * 분석 예:
+ *   sqlite3 archive.sqlite "SELECT b.nickname, COUNT(*) FROM posts p
+ *     JOIN bloggers b USING (blog_id) GROUP BY 1 ORDER BY 2 DESC LIMIT 10"
+ *   sqlite3 archive.sqlite "SELECT t.value, COUNT(*) FROM posts, json_each(posts.tickers) t GROUP BY 1"
+ *
+ * 환경 변수:
+ *  - ARCHIVE_DB_PATH : SQLite 파일 경로 (기본: 저장소 루트의 archive.sqlite)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import { normalizeNaverDate, kstYearMonthQuarter } from "./kst-date.js";
+import { postUniqueId } from "./scrape-state.js";
+import { DRY_RUN, recordPlan } from "./dry-run.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ARCHIVE_PATH =
+  process.env.ARCHIVE_DB_PATH || path.resolve(__dirname, "archive.sqlite");
+
+// PRAGMA user_version (테이블 구조가 바뀌면 올리고 MIGRATIONS 에 추가)
+const MIGRATIONS = [
+  `
+  CREATE TABLE bloggers (
+    blog_id       TEXT PRIMARY KEY,
+    nickname      TEXT NOT NULL DEFAULT '',
+    first_seen_at TEXT NOT NULL,
+    last_seen_at  TEXT NOT NULL
+  );
+
+  CREATE TABLE posts (
+    unique_id    TEXT PRIMARY KEY,
+    blog_id      TEXT NOT NULL REFERENCES bloggers (blog_id),
+    post_id      TEXT NOT NULL,
+    title        TEXT NOT NULL,
+    url          TEXT,
+    published_at TEXT,
+    year         TEXT,
+    year_month   TEXT,
+    quarter      TEXT,
+    category     TEXT,
+    description  TEXT NOT NULL DEFAULT '',
+    tags         TEXT NOT NULL DEFAULT '[]',
+    tickers      TEXT NOT NULL DEFAULT '[]',
+    thumbnail    TEXT NOT NULL DEFAULT '',
+    sympathy     INTEGER,
+    comments     INTEGER,
+    created_at   TEXT NOT NULL,
+    updated_at   TEXT NOT NULL
+  );
+  CREATE INDEX posts_blog_id ON posts (blog_id);
+  CREATE INDEX posts_published_at ON posts (published_at);
+
+  CREATE TABLE post_groups (
+    unique_id  TEXT NOT NULL REFERENCES posts (unique_id) ON DELETE CASCADE,
+    group_name TEXT NOT NULL,
+    PRIMARY KEY (unique_id, group_name)
+  );
+  CREATE INDEX post_groups_group_name ON post_groups (group_name);
+  `,
+];
+
+// ───────────────────────────────────────────────
+// 📂 열기 / 스키마
+// ───────────────────────────────────────────────
+
+function migrate(db) {
+  const version = db.pragma("user_version", { simple: true });
+  if (version > MIGRATIONS.length) {
+    throw new Error(
+      `아카이브 스키마 버전(${version})이 이 코드(${MIGRATIONS.length})보다 새롭습니다`
+    );
+  }
+
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+/**
+ * 아카이브 열기 (없으면 생성 + 스키마 적용)
+ *  - 드라이런: 파일이 있으면 읽기 전용, 없으면 빈 메모리 DB (비교 대상 없음 → 모두 생성 예정)
+ */
+export function openArchive(dbPath = ARCHIVE_PATH) {
+  if (DRY_RUN) {
+    if (!fs.existsSync(dbPath)) {
+      const db = new Database(":memory:");
+      migrate(db);
+      return db;
+    }
+    return new Database(dbPath, { readonly: true, fileMustExist: true });
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+  return db;
+}
+
+// ───────────────────────────────────────────────
+// 🧩 post → 행
+// ───────────────────────────────────────────────
+
+function parseJsonList(text) {
+  try {
+    const list = JSON.parse(text || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// ───────────────────────────────────────────────
+// 💾 저장소
+// ───────────────────────────────────────────────
+
+/**
+ * SQLite 저장소 (post-sinks.js 형식)
+ *
+ * @param {{ recordPlans?: boolean }} [options]
+ *   recordPlans: 드라이런 보고서에 이 저장소의 예정 작업을 기록 (다른 저장소와 함께 쓰면 첫 번째만)
+ * @returns {{ name: string, prepare: Function, upsertPost: Function, close: Function }}
+ */
+export function createSqliteSink({ recordPlans = true } = {}) {
+  const db = openArchive();
+  const counts = { create: 0, update: 0, skip: 0 };
+
+  const selectPost = db.prepare("SELECT * FROM posts WHERE unique_id = ?");
+  const selectGroups = db.prepare(
+    "SELECT group_name FROM post_groups WHERE unique_id = ? ORDER BY group_name"
+  );
+  const selectBlogger = db.prepare("SELECT nickname FROM bloggers WHERE blog_id = ?");
+
+  // 드라이런: 쓰지 않는 대신 이번 실행에서 저장할 예정인 행을 기억
+  // (같은 글이 여러 그룹/페이지에 다시 나와도 두 번 "생성"으로 잡지 않도록, notion-index.js 의 rememberPlannedPage 와 같은 역할)
+  const planned = DRY_RUN ? new Map() : null; // uniqueId → { row, groups }
+
+  // 읽기 전용(드라이런)에서는 쓰기 문장을 준비하지 않음
+  const write = DRY_RUN
+    ? null
+    : {
+        blogger: db.prepare(`
+          INSERT INTO bloggers (blog_id, nickname, first_seen_at, last_seen_at)
+          VALUES (@blogId, @nickname, @now, @now)
+          ON CONFLICT (blog_id) DO UPDATE SET
+            nickname = CASE WHEN excluded.nickname <> '' THEN excluded.nickname ELSE nickname END,
+            last_seen_at = excluded.last_seen_at
+        `),
+        post: db.prepare(`
+          INSERT INTO posts (
+            unique_id, blog_id, post_id, title, url, published_at, year, year_month, quarter,
+            category, description, tags, tickers, thumbnail, sympathy, comments,
+            created_at, updated_at
+          ) VALUES (
+            @uniqueId, @blogId, @postId, @title, @url, @publishedAt, @year, @yearMonth, @quarter,
+            @category, @description, @tags, @tickers, @thumbnail, @sympathy, @comments,
+            @now, @now
+          )
+          ON CONFLICT (unique_id) DO UPDATE SET
+            blog_id = excluded.blog_id,
+            post_id = excluded.post_id,
+            title = excluded.title,
+            url = excluded.url,
+            published_at = COALESCE(excluded.published_at, published_at),
+            year = COALESCE(excluded.year, year),
+            year_month = COALESCE(excluded.year_month, year_month),
+            quarter = COALESCE(excluded.quarter, quarter),
+            category = excluded.category,
+            description = excluded.description,
+            tags = excluded.tags,
+            tickers = excluded.tickers,
+            thumbnail = excluded.thumbnail,
+            sympathy = excluded.sympathy,
+            comments = excluded.comments,
+            updated_at = excluded.updated_at
+        `),
+        clearGroups: db.prepare("DELETE FROM post_groups WHERE unique_id = ?"),
+        group: db.prepare("INSERT INTO post_groups (unique_id, group_name) VALUES (?, ?)"),
+      };
+
+  const save = write
+    ? db.transaction((row, groups) => {
+        write.blogger.run(row);
+        write.post.run(row);
+        write.clearGroups.run(row.uniqueId);
+        for (const name of groups) write.group.run(row.uniqueId, name);
+      })
+    : null;
+
+  /**
+   * post 하나 저장 (notion.js upsertPost 와 같은 post 형식)
+   */
+  async function upsertPost(post) {
+    const uniqueId = postUniqueId(post);
+    if (!uniqueId) {
+      console.warn("⚠️ [sqlite] UniqueID 없음 (blogId/postId 부족), 스킵:", post.title);
+      return;
+    }
+    const blogId = String(post.blogId);
+
+    const plannedRow = planned?.get(uniqueId);
+    const existing = plannedRow ? plannedRow.row : selectPost.get(uniqueId);
+    const oldGroups = plannedRow
+      ? plannedRow.groups
+      : existing
+        ? selectGroups.all(uniqueId).map((r) => r.group_name)
+        : [];
+    const oldTags = existing ? parseJsonList(existing.tags) : [];
+    const oldTickers = existing ? parseJsonList(existing.tickers) : [];
+
+    // 필터 규칙(post-rules.js) 태그는 작성자 태그(없으면 기존 태그)에 합침
+    let tags = post.tags;
+    if (post.ruleTags?.length > 0) {
+      const base = Array.isArray(tags) ? tags : oldTags;
+      tags = [...new Set([...base, ...post.ruleTags])];
+    }
+
+    const publishedAt = normalizeNaverDate(post.pubdate, {
+      now: post.fetchedAt ?? Date.now(),
+    });
+    const { year, yearMonth, quarter } = kstYearMonthQuarter(publishedAt);
+
+    // CSV groupNames 가 없으면 기존 그룹 유지
+    const csvGroups = (post.groupNames || []).slice().sort();
+    const groups = csvGroups.length > 0 ? csvGroups : oldGroups;
+
+    const row = {
+      uniqueId,
+      blogId,
+      postId: String(post.postId),
+      nickname: post.nickname || "",
+      title: post.title || "(제목 없음)",
+      url: post.link || null,
+      publishedAt: publishedAt || null,
+      year: year || null,
+      yearMonth: yearMonth || null,
+      quarter: quarter || null,
+      category: post.category ?? existing?.category ?? null,
+      description: (post.description || "").slice(0, 1800),
+      tags: JSON.stringify(Array.isArray(tags) ? tags.slice().sort() : oldTags),
+      tickers: JSON.stringify(
+        Array.isArray(post.tickers) ? post.tickers.slice().sort() : oldTickers
+      ),
+      thumbnail: post.thumbnail || existing?.thumbnail || "",
+      sympathy: post.sympathyCount ?? existing?.sympathy ?? null,
+      comments: post.commentCount ?? existing?.comments ?? null,
+      now: new Date().toISOString(),
+    };
+
+    const isSame =
+      existing &&
+      existing.title === row.title &&
+      existing.url === row.url &&
+      existing.category === row.category &&
+      oldGroups.join(",") === groups.join(",") &&
+      existing.tags === row.tags &&
+      existing.tickers === row.tickers &&
+      existing.thumbnail === row.thumbnail &&
+      existing.sympathy === row.sympathy &&
+      existing.comments === row.comments;
+
+    const action = !existing ? "create" : isSame ? "skip" : "update";
+    counts[action]++;
+
+    if (DRY_RUN) {
+      if (action !== "skip") planned.set(uniqueId, { row: { ...row, blog_id: blogId }, groups });
+      if (!recordPlans) return;
+      const before = existing && {
+        Title: existing.title,
+        URL: existing.url || "",
+        Category: existing.category || "",
+        Group: oldGroups.join(","),
+        Nickname: (plannedRow ? plannedRow.row.nickname : selectBlogger.get(blogId)?.nickname) || "",
+        BlogID: existing.blog_id,
+      };
+      recordPlan({
+        uniqueId,
+        title: row.title,
+        action,
+        before,
+        after:
+          action === "skip"
+            ? null
+            : {
+                Title: row.title,
+                URL: row.url || "",
+                Category: row.category || "",
+                Group: groups.join(","),
+                Nickname: row.nickname,
+                BlogID: blogId,
+                ...(action === "create" && { UniqueID: uniqueId }),
+              },
+      });
+      return;
+    }
+
+    if (action === "skip") return;
+    save(row, groups);
+  }
+
+  /**
+   * 이미 저장된 글이면 { missing: 비어 있는 상세 필드 }, 새 글이면 null
+   */
+  async function findStored(post) {
+    const uniqueId = postUniqueId(post);
+    const existing = uniqueId && (planned?.get(uniqueId)?.row || selectPost.get(uniqueId));
+    if (!existing) return null;
+    const missing = ["category", "sympathy", "comments"].filter(
+      (field) => existing[field] == null || existing[field] === ""
+    );
+    return { missing };
+  }
+
+  return {
+    name: "sqlite",
+    async prepare() {
+      console.log(`🗄 SQLite 아카이브: ${DRY_RUN ? "(읽기 전용) " : ""}${db.name}`);
+    },
+    findStored,
+    upsertPost,
+    close() {
+      if (!db.open) return;
+      console.log(
+        `🗄 SQLite 아카이브: 생성 ${counts.create} / 업데이트 ${counts.update} / 변경 없음 ${counts.skip}`
+      );
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseNaverDate,
+  normalizeNaverDate,
+  kstYearMonthQuarter,
+} from "../kst-date.js";
+
+// 2025-10-19 15:00 KST
+const NOW = Date.parse("2025-10-19T06:00:00Z");
+
+test("절대 날짜 문자열은 KST 벽시계 시각으로 해석", () => {
+  assert.equal(normalizeNaverDate("2025.10.01. 08:30"), "2025-10-01T08:30:00+09:00");
+  assert.equal(normalizeNaverDate("2025-10-01 23:10:05"), "2025-10-01T23:10:05+09:00");
+  assert.equal(normalizeNaverDate("2025년 1월 2일 오후 3:10"), "2025-01-02T15:10:00+09:00");
+});
+
+test("timestamp(ms / sec)와 오프셋이 붙은 ISO 문자열", () => {
+  assert.equal(normalizeNaverDate(1760000000000), "2025-10-09T17:53:20+09:00");
+  assert.equal(normalizeNaverDate("1760000000"), "2025-10-09T17:53:20+09:00");
+  assert.equal(normalizeNaverDate("2025-10-01T00:00:00Z"), "2025-10-01T09:00:00+09:00");
+});
+
+test("상대 표현은 now 기준", () => {
+  assert.equal(normalizeNaverDate("방금 전", { now: NOW }), "2025-10-19T15:00:00+09:00");
+  assert.equal(normalizeNaverDate("3시간 전", { now: NOW }), "2025-10-19T12:00:00+09:00");
+  assert.equal(normalizeNaverDate("어제 23:10", { now: NOW }), "2025-10-18T23:10:00+09:00");
+});
+
+test("해석할 수 없는 값은 null", () => {
+  assert.equal(parseNaverDate(""), null);
+  assert.equal(parseNaverDate("언젠가"), null);
+  assert.equal(normalizeNaverDate(null), null);
+});
+
+test("연도/연월/분기는 KST 달력 기준", () => {
+  // UTC 로는 3월 31일이지만 KST 로는 4월 1일
+  assert.deepEqual(kstYearMonthQuarter("2025-03-31T16:00:00Z"), {
+    year: "2025",
+    yearMonth: "2025-04",
+    quarter: "2025-Q2",
+  });
+  assert.deepEqual(kstYearMonthQuarter("2025-12-31T23:59:00+09:00"), {
+    year: "2025",
+    yearMonth: "2025-12",
+    quarter: "2025-Q4",
+  });
+  assert.deepEqual(kstYearMonthQuarter(null), { year: "", yearMonth: "", quarter: "" });
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// markdown-vault.js 는 import 시점에 볼트 위치를 정하므로 임시 디렉토리를 먼저 지정
+let vault;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "markdown-vault-"));
+  process.env.MARKDOWN_VAULT_DIR = dir;
+  delete process.env.DRY_RUN;
+  vault = await import("../markdown-vault.js");
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("front matter 왕복 (따옴표 / 콜론 / 빈 배열 / null 생략)", () => {
+  const fields = {
+    title: '"따옴표"와 콜론: 제목',
+    uniqueId: "alpha_1",
+    groups: ["11.투자", "투자,해외"],
+    tags: [],
+    sympathy: 3,
+    category: null,
+  };
+  const text = vault.formatFrontMatter(fields);
+
+  assert.ok(text.includes("tags: []"));
+  assert.ok(!text.includes("category"));
+
+  const { category, ...expected } = fields;
+  assert.equal(category, null);
+  assert.deepEqual(vault.parseFrontMatter(`${text}\n\n본문`), expected);
+  assert.equal(vault.parseFrontMatter("front matter 없음"), null);
+});
+
+test("저장소: 생성 → 같은 내용은 스킵 → 그룹이 바뀌면 옮김", async () => {
+  const post = {
+    blogId: "alpha",
+    postId: "1",
+    title: "첫 글",
+    nickname: "알파",
+    groupNames: ["01.Daily"],
+    pubdate: "2025.10.01. 08:30",
+    link: "https://blog.naver.com/alpha/1",
+    description: "요약",
+    category: "일상",
+    tags: ["산책"],
+    tickers: null,
+  };
+  const notePath = (group) =>
+    path.join(dir, group, "2025-10", "첫 글 (alpha_1).md");
+
+  const first = vault.createMarkdownSink();
+  assert.equal(await first.findStored(post), null);
+  await first.upsertPost(post);
+  first.close();
+
+  const meta = vault.parseFrontMatter(fs.readFileSync(notePath("01.Daily"), "utf8"));
+  assert.equal(meta["원본 날짜"], "2025-10-01T08:30:00+09:00");
+  assert.deepEqual(meta.groups, ["01.Daily"]);
+  assert.ok(fs.existsSync(path.join(dir, "bloggers", "alpha.md")));
+
+  const second = vault.createMarkdownSink();
+  assert.deepEqual(await second.findStored(post), { missing: [] });
+  const mtime = fs.statSync(notePath("01.Daily")).mtimeMs;
+  await second.upsertPost({ ...post, category: null, tags: null });
+  assert.equal(fs.statSync(notePath("01.Daily")).mtimeMs, mtime);
+
+  await second.upsertPost({ ...post, groupNames: ["11.투자"] });
+  second.close();
+  assert.ok(!fs.existsSync(notePath("01.Daily")));
+  const moved = vault.parseFrontMatter(fs.readFileSync(notePath("11.투자"), "utf8"));
+  assert.equal(moved.category, "일상");
+  assert.deepEqual(moved.groups, ["11.투자"]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseNeighborCsv,
+  formatNeighborCsv,
+  NEIGHBOR_CSV_SCHEMA_VERSION,
+} from "../neighbor-meta.js";
+
+test("v1: 헤더 별칭을 인식하고 여러 그룹은 \",\" 로 나눔", () => {
+  const { version, byBlogId, problems } = parseNeighborCsv(
+    ["blogID,닉네임,groupName", 'alpha,알파,"01.Daily, 11.투자"', "beta,베타,"].join("\n")
+  );
+
+  assert.equal(version, 1);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(byBlogId.get("alpha").groupNames, ["01.Daily", "11.투자"]);
+  assert.equal(byBlogId.get("alpha").nickname, "알파");
+  assert.deepEqual(byBlogId.get("beta").groupNames, []);
+});
+
+test("v2: \"|\" 로 나누므로 그룹 이름의 \",\" 는 그대로 유지", () => {
+  const { version, byBlogId, problems } = parseNeighborCsv(
+    [
+      "# neighbor-followings schema v2",
+      "blogId,blogUrl,nickname,groupIds,groupNames,isInfluencer,influencerId,influencerUrl",
+      '"alpha","","알파","2|3","11.투자|투자,해외","Y","inf","https://in.naver.com/inf"',
+    ].join("\n")
+  );
+
+  assert.equal(version, 2);
+  assert.deepEqual(problems, []);
+  const row = byBlogId.get("alpha");
+  assert.deepEqual(row.groupIds, ["2", "3"]);
+  assert.deepEqual(row.groupNames, ["11.투자", "투자,해외"]);
+  assert.equal(row.isInfluencer, true);
+});
+
+test("문제 행은 줄 번호와 함께 보고 (형식 오류 행은 버림)", () => {
+  const { rows, byBlogId, problems } = parseNeighborCsv(
+    [
+      "blogId,nickname,groupIds,groupNames,isInfluencer",
+      "alpha,알파,1|2,01.Daily,N",
+      "bad id!,이상함,1,01.Daily,N",
+      "alpha,알파2,1,01.Daily,X",
+    ].join("\n")
+  );
+
+  assert.equal(rows.length, 2);
+  assert.equal(byBlogId.get("alpha").nickname, "알파2");
+  assert.deepEqual(
+    problems.map((p) => p.line),
+    [2, 3, 4, 4]
+  );
+  assert.match(problems[0].message, /groupIds 2개 \/ groupNames 1개/);
+  assert.match(problems[1].message, /형식 오류/);
+  assert.match(problems[2].message, /isInfluencer/);
+  assert.match(problems[3].message, /중복 blogId/);
+});
+
+test("formatNeighborCsv → parseNeighborCsv 왕복", () => {
+  const text = formatNeighborCsv([
+    {
+      blogId: "alpha",
+      blogUrl: "https://blog.naver.com/alpha",
+      nickname: '따옴표 "닉"',
+      groupIds: ["2", "3"],
+      groupNames: ["11.투자", "투자,해외"],
+      isInfluencer: false,
+      influencerId: "",
+      influencerUrl: "",
+    },
+  ]);
+
+  assert.ok(text.startsWith(`# neighbor-followings schema v${NEIGHBOR_CSV_SCHEMA_VERSION}\n`));
+  const { version, byBlogId, problems } = parseNeighborCsv(text);
+  assert.equal(version, NEIGHBOR_CSV_SCHEMA_VERSION);
+  assert.deepEqual(problems, []);
+  assert.equal(byBlogId.get("alpha").nickname, '따옴표 "닉"');
+  assert.deepEqual(byBlogId.get("alpha").groupNames, ["11.투자", "투자,해외"]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runConcurrent } from "../notion-scheduler.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("동시에 concurrency 개까지만 실행", async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+
+  await runConcurrent(
+    [1, 2, 3, 4, 5, 6, 7],
+    async (n) => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+      done.push(n);
+    },
+    { concurrency: 3 }
+  );
+
+  assert.equal(peak, 3);
+  assert.deepEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("같은 키의 작업은 들어온 순서대로 하나씩", async () => {
+  const active = new Set();
+  const order = [];
+
+  await runConcurrent(
+    [
+      { key: "a", n: 1 },
+      { key: "b", n: 2 },
+      { key: "a", n: 3 },
+      { key: null, n: 4 },
+      { key: "a", n: 5 },
+    ],
+    async (item) => {
+      if (item.key) {
+        assert.ok(!active.has(item.key), `${item.key} 동시 실행`);
+        active.add(item.key);
+      }
+      await tick();
+      active.delete(item.key);
+      order.push(item.n);
+    },
+    { concurrency: 3, keyOf: (item) => item.key }
+  );
+
+  const aOrder = order.filter((n) => [1, 3, 5].includes(n));
+  assert.deepEqual(aOrder, [1, 3, 5]);
+  assert.equal(order.length, 5);
+});
+
+test("빈 목록은 바로 끝남", async () => {
+  await runConcurrent([], async () => assert.fail("호출되면 안 됨"));
+});
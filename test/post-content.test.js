@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { htmlToNotionBlocks, splitTableRows } from "../post-content.js";
+import { FakeNotionClient } from "../notion-fake.js";
+
+const rowsHtml = (n) =>
+  Array.from({ length: n }, (_, i) => `<tr><td>${i + 1}</td><td>행</td></tr>`).join("");
+
+const tableHtml = (n) =>
+  `<div class="se-main-container"><div class="se-component se-table"><table>${rowsHtml(n)}</table></div></div>`;
+
+test("100행 이하 표는 그대로", () => {
+  const [table] = htmlToNotionBlocks(tableHtml(3));
+  const { block, extraRows } = splitTableRows(table);
+  assert.equal(block, table);
+  assert.deepEqual(extraRows, []);
+});
+
+test("긴 표는 100행 + 나머지 100행씩", () => {
+  const [table] = htmlToNotionBlocks(tableHtml(250));
+  assert.equal(table.table.children.length, 250);
+
+  const { block, extraRows } = splitTableRows(table);
+  assert.equal(block.table.children.length, 100);
+  assert.deepEqual(extraRows.map((rows) => rows.length), [100, 50]);
+  assert.equal(table.table.children.length, 250); // 원본은 그대로
+});
+
+test("나눈 행을 표 블록에 이어 붙이면 Notion 제한 안에서 전부 들어감", async () => {
+  const notion = new FakeNotionClient();
+  const page = await notion.pages.create({
+    parent: { database_id: "db" },
+    properties: { Title: { title: [{ text: { content: "표" } }] } },
+  });
+  const [table] = htmlToNotionBlocks(tableHtml(250));
+
+  await assert.rejects(
+    notion.blocks.children.append({ block_id: page.id, children: [table] }),
+    /children\.length should be ≤ 100/
+  );
+
+  const { block, extraRows } = splitTableRows(table);
+  const { results } = await notion.blocks.children.append({
+    block_id: page.id,
+    children: [block],
+  });
+  for (const rows of extraRows) {
+    await notion.blocks.children.append({ block_id: results[0].id, children: rows });
+  }
+
+  const rows = [];
+  let cursor;
+  do {
+    const res = await notion.blocks.children.list({ block_id: results[0].id, start_cursor: cursor });
+    rows.push(...res.results);
+    cursor = res.next_cursor;
+  } while (cursor);
+  assert.equal(rows.length, 250);
+  assert.equal(rows[249].table_row.cells[0][0].text.content, "250");
+});
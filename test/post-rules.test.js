@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// post-rules.js 는 import 시점에 설정 파일을 읽으므로 임시 설정을 먼저 지정
+let applyPostRules;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "post-rules-"));
+  const configPath = path.join(dir, "naver-notion.config.json");
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({
+      groups: [{ id: 2, name: "11.투자" }],
+      rules: [
+        { name: "공지는 유지", match: { regex: "^\\[공지\\]" }, action: "keep" },
+        { name: "이벤트", match: { keywords: ["이벤트", "나눔"] }, action: "skip" },
+        {
+          name: "투자 일상",
+          match: { groups: ["11.투자"], regex: "^\\[?(일상|일기)" },
+          action: "skip",
+        },
+        { name: "ETF", match: { keywords: ["etf"] }, action: "tag", tags: ["ETF", "etf "] },
+        {
+          name: "해외",
+          match: { blogIds: ["abroad"] },
+          action: "route",
+          database: "0123456789abcdef0123456789abcdef",
+        },
+      ],
+    })
+  );
+  process.env.NAVER_NOTION_CONFIG = configPath;
+  ({ applyPostRules } = await import("../post-rules.js"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("skip: 키워드(대소문자 무시)가 제목이나 요약에 있으면 건너뜀", () => {
+  assert.equal(applyPostRules({ title: "주말 나눔", description: "" }), false);
+  assert.equal(applyPostRules({ title: "기록", description: "이벤트 안내" }), false);
+  assert.equal(applyPostRules({ title: "그냥 기록", description: "" }), true);
+});
+
+test("keep 이 먼저 맞으면 아래쪽 skip 무시", () => {
+  assert.equal(applyPostRules({ title: "[공지] 이벤트 당첨자", description: "" }), true);
+});
+
+test("groups 조건은 groupNames 배열 중 하나와 일치", () => {
+  const post = (groupNames) => ({ title: "[일상] 산책", description: "", groupNames });
+  assert.equal(applyPostRules(post(["01.Daily", "11.투자"])), false);
+  assert.equal(applyPostRules(post(["01.Daily"])), true);
+  assert.equal(applyPostRules(post(undefined)), true);
+});
+
+test("tag / route 는 결과를 post 에 기록하고 계속 평가", () => {
+  const post = { title: "ETF 정리", description: "", blogId: "abroad" };
+  assert.equal(applyPostRules(post), true);
+  assert.deepEqual(post.ruleTags, ["etf"]);
+  assert.equal(post.databaseId, "0123456789abcdef0123456789abcdef");
+});
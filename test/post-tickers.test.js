@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { compileTickerDictionary, extractTickers } from "../post-tickers.js";
+
+const dict = compileTickerDictionary(
+  JSON.parse(fs.readFileSync(new URL("../tickers.json", import.meta.url), "utf8"))
+);
+
+test("번들 사전은 문제 없이 로드", () => {
+  assert.deepEqual(dict.problems, []);
+});
+
+test("이름 / 별칭 / 6자리 코드 / $티커 를 처음 나온 순서대로", () => {
+  assert.deepEqual(
+    extractTickers("삼전 005930 그리고 $nvda, 한국전력", dict),
+    ["삼성전자", "NVDA", "한국전력"]
+  );
+  assert.deepEqual(extractTickers("삼성바이오로직스 실적", dict), ["삼성바이오로직스"]);
+});
+
+test("2글자 한글 별칭은 단어 앞에서만 (조사는 허용)", () => {
+  assert.deepEqual(extractTickers("한전이 오를까", dict), ["한국전력"]);
+  assert.deepEqual(extractTickers("대한전선 앞 카페", dict), []);
+  assert.deepEqual(extractTickers("한전KPS 정비", dict), []);
+});
+
+test("ignore 목록의 단어는 종목으로 잡지 않음", () => {
+  assert.deepEqual(extractTickers("파인애플 주스와 애플망고", dict), []);
+  assert.deepEqual(extractTickers("애플리케이션 출시, 애플 신제품", dict), ["AAPL"]);
+  assert.deepEqual(extractTickers("기아대책 후원", dict), []);
+  assert.deepEqual(extractTickers("리우 삼바 축제", dict), []);
+});
+
+test("짧거나 영어 단어인 티커는 그냥 쓰면 잡지 않음", () => {
+  assert.deepEqual(extractTickers("META 데이터 정리, ARM 아키텍처 공부", dict), []);
+  assert.deepEqual(extractTickers("COIN 모으기, MU 가 뭐지, COST 절감", dict), []);
+  assert.deepEqual(extractTickers("SPY 영화 후기, AMD 드라이버 설치", dict), []);
+});
+
+test("짧거나 영어 단어인 티커도 $캐시태그나 회사 이름이면 잡음", () => {
+  assert.deepEqual(extractTickers("$META 실적, $mu 급등", dict), ["META", "MU"]);
+  assert.deepEqual(
+    extractTickers("마이크론 HBM, Coinbase 상장, 암홀딩스 IPO", dict),
+    ["MU", "COIN", "ARM"]
+  );
+  // 네 글자 이상 일반 티커는 그대로
+  assert.deepEqual(extractTickers("NVDA TSLA 비중 조절", dict), ["NVDA", "TSLA"]);
+});
+
+test("형식이 잘못된 항목은 problems 로 보고하고 건너뜀", () => {
+  const bad = compileTickerDictionary({
+    krx: [{ code: "12345", name: "짧은코드" }],
+    us: [{ ticker: "toolongticker" }],
+  });
+  assert.equal(bad.problems.length, 2);
+  assert.equal(bad.names.length, 0);
+});
@@ -0,0 +1,157 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { FakeNotionClient } from "../notion-fake.js";
+
+// 녹화된 네이버 응답(test/fixtures/naver) 재생 + 가짜 Notion(JSON 파일)으로 cli.js scrape 전체 실행
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DATABASE_ID = "e2edb";
+
+let dir;
+
+function scrape(...args) {
+  const env = {
+    ...process.env,
+    NOTION_DATABASE_ID: DATABASE_ID,
+    NOTION_API_KEY: "fake",
+    MAX_PAGE: "3", // 3페이지 fixture 는 없음 → 빈 페이지로 재생되어 끝나야 함
+    SCRAPE_MODE: "full",
+    POST_SINKS: "notion",
+    NEIGHBOR_CSV_PATH: path.join(ROOT, "test", "fixtures", "neighbors.csv"),
+    SCRAPE_STATE_PATH: path.join(dir, "scrape-state.json"),
+    NOTION_INDEX_PATH: path.join(dir, "notion-index.json"),
+    DRY_RUN_REPORT: path.join(dir, "dry-run-report.json"),
+  };
+  delete env.DRY_RUN;
+  delete env.NOTION_FAKE_DB;
+
+  return execFileSync(
+    process.execPath,
+    [
+      "cli.js",
+      "scrape",
+      "--fake-notion",
+      path.join(dir, "notion.json"),
+      "--fixtures",
+      "replay",
+      "--fixture-dir",
+      path.join("test", "fixtures", "naver"),
+      ...args,
+    ],
+    { cwd: ROOT, env, encoding: "utf8", timeout: 120_000 }
+  );
+}
+
+async function storedPages() {
+  const notion = new FakeNotionClient({ dbPath: path.join(dir, "notion.json") });
+  const { results } = await notion.databases.query({ database_id: DATABASE_ID });
+
+  const byUniqueId = new Map();
+  for (const page of results) {
+    const p = page.properties;
+    byUniqueId.set(p.UniqueID.rich_text[0].plain_text, {
+      title: p.Title.title[0].plain_text,
+      groups: p.Group.multi_select.map((o) => o.name),
+      publishedAt: p["원본 날짜"].date?.start ?? null,
+      category: p.Category.rich_text[0]?.plain_text ?? "",
+      tickers: p.Tickers.multi_select.map((o) => o.name),
+    });
+  }
+  return byUniqueId;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "scrape-e2e-"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("드라이런은 아무것도 쓰지 않음", async () => {
+  const out = scrape("--dry-run");
+  assert.match(out, /드라이런 보고서: 생성 4 \/ 업데이트 0 \/ 변경 없음 0/);
+  assert.ok(!fs.existsSync(path.join(dir, "notion.json")) || (await storedPages()).size === 0);
+});
+
+test("여러 저장소 드라이런도 보고서에는 글마다 한 번씩", () => {
+  const out = scrape(
+    "--dry-run",
+    "--sink",
+    "sqlite,notion",
+    "--archive",
+    path.join(dir, "archive.sqlite")
+  );
+  assert.match(out, /드라이런 보고서: 생성 4 \/ 업데이트 0 \/ 변경 없음 0/);
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, "dry-run-report.json"), "utf8"));
+  assert.deepEqual(
+    report.items.map((item) => item.uniqueId).sort(),
+    [
+      "dailylife_223000000000",
+      "dailylife_223000000001",
+      "stockdiary_223000000002",
+      "stockdiary_223000000003",
+    ]
+  );
+});
+
+test("SQLite 드라이런: 다음 페이지에 다시 나온 글은 또 생성하지 않음", () => {
+  // 새 글이 올라오면 목록이 밀려 앞 페이지 글이 다음 페이지에 다시 나옴 → 3페이지 = 1페이지
+  const fixtureDir = path.join(dir, "fixtures-shifted");
+  fs.cpSync(path.join(ROOT, "test", "fixtures", "naver"), fixtureDir, { recursive: true });
+  fs.copyFileSync(
+    path.join(fixtureDir, "group-0", "page-1.txt"),
+    path.join(fixtureDir, "group-0", "page-3.txt")
+  );
+
+  const out = scrape(
+    "--dry-run",
+    "--sink",
+    "sqlite",
+    "--archive",
+    path.join(dir, "archive.sqlite"),
+    "--fixture-dir",
+    fixtureDir
+  );
+  assert.match(out, /드라이런 보고서: 생성 4 \/ 업데이트 0 \/ 변경 없음 2/);
+});
+
+test("재생 + 가짜 Notion: 4건 생성", async () => {
+  scrape();
+  const pages = await storedPages();
+  assert.equal(pages.size, 4);
+
+  // 가짜 Notion 조회 결과는 생성 순서 → 과거 글부터 (2페이지 → 1페이지, 페이지 안에서는 목록 아래부터)
+  assert.deepEqual(
+    [...pages.keys()],
+    [
+      "dailylife_223000000001",
+      "dailylife_223000000000",
+      "stockdiary_223000000003",
+      "stockdiary_223000000002",
+    ]
+  );
+
+  const market = pages.get("stockdiary_223000000003");
+  assert.equal(market.title, "삼성전자 실적 정리, 한전은 관망");
+  assert.deepEqual(market.groups.sort(), ["11.투자", "투자,해외"]);
+  assert.equal(market.category, "시황");
+  assert.deepEqual(market.tickers.sort(), ["삼성전자", "한국전력"]);
+
+  const walk = pages.get("dailylife_223000000000");
+  assert.equal(walk.publishedAt, "2025-10-01T08:30:00+09:00");
+  assert.deepEqual(walk.groups, ["01.Daily"]);
+
+  // 투자 그룹이 아닌 글은 종목 추출 안 함
+  assert.deepEqual(pages.get("dailylife_223000000001").tickers, []);
+});
+
+test("다시 실행하면 새로 만들거나 바꾸는 글 없음", async () => {
+  const out = scrape();
+  assert.doesNotMatch(out, /새 글 추가|업데이트:/);
+  assert.equal(out.match(/변경 없음 \(스킵\)/g)?.length, 4);
+  assert.equal((await storedPages()).size, 4);
+});
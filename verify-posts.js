@@ -0,0 +1,274 @@
+/**
+ * verify-posts.js
+ * ───────────────────────────────────────────────
+ * 🩺 삭제/비공개 전환된 글 점검
+ *
+ * ✅ 목적
+ *  - 이웃이 나중에 삭제하거나 비공개로 돌린 글이 Notion 에 죽은 링크로 남지 않도록
+ *    각 글의 네이버 페이지 상태를 확인해 Status / CheckedAt 에 기록한다.
+ *
+ * ✅ 동작
+ *  1. NOTION_DATABASE_ID 에서 점검 대상 페이지를 조회 (fix-ids-from-url.js 와 같은 페이지네이션)
+ *      - UniqueID 가 있고 URL 이 네이버 블로그 글이고
+ *      - CheckedAt 이 비었거나 VERIFY_RECHECK_DAYS 일보다 오래됐고
+ *      - (VERIFY_MAX_AGE_DAYS > 0 이면) 원본 날짜가 그 기간 안인 글
+ *     → 마지막 수정 시각이 오래된 순으로 최대 VERIFY_BATCH_SIZE 개까지만
+ *       (점검한 글은 수정 시각이 갱신되어 뒤로 밀리므로, 판정 불가로 남은 글이 매번 배치를 채우지 않음)
+ *  2. URL 에서 blogId/postId 추출 → PostView 페이지 요청
+ *      - 추출할 수 없는 URL 은 CheckedAt 만 기록 (재점검 주기 동안 대상에서 빠짐)
+ *  3. 응답으로 상태 판정
+ *      - 활성   : 본문 영역이 있음
+ *      - 삭제됨 : 404/410 또는 "삭제되었거나 존재하지 않는 게시물" 안내
+ *      - 비공개 : "비공개 글" / "접근 권한이 없" 등의 안내
+ *      - 판정 불가(네트워크 오류, 로그인 페이지 등)는 건드리지 않고 다음 실행에서 재시도
+ *  4. Status 가 달라졌으면 Status + CheckedAt, 같으면 CheckedAt 만 갱신
+ *
+ * ⚠️ 전제
+ *  - NOTION_API_KEY, NOTION_DATABASE_ID 환경 변수 설정 필수
+ *    (NOTION_FAKE_DB 설정 시 실제 Notion 대신 로컬 대역 사용)
+ *  - NAVER_COOKIE 가 있으면 이웃공개 글도 "활성" 으로 판정 가능
+ *  - Notion 속성 (이름은 설정의 "properties" 매핑 → notion-properties.js):
+ *      - status    : Select (활성 / 삭제됨 / 비공개, 기본 Status)
+ *      - checkedAt : Date (기본 CheckedAt)
+ *  - VERIFY_BATCH_SIZE   : 한 번에 점검할 최대 페이지 수 (기본 200)
+ *  - VERIFY_MAX_AGE_DAYS : 최근 N일 글만 점검 (기본 0 = 전체)
+ *  - VERIFY_RECHECK_DAYS : 점검 후 N일 동안은 다시 점검하지 않음 (기본 7)
+ */
+
+import "dotenv/config";
+import "./config.js"; // 설정 파일 → 환경 변수 (다른 모듈보다 먼저)
+import { createNotionClient } from "./notion-client.js";
+import { requestNaver } from "./naver-request.js";
+import { buildPostViewUrl } from "./post-content.js";
+import {
+  readProperty,
+  writeProperty,
+  propertyFilter,
+  requireProperties,
+} from "./notion-properties.js";
+
+// NOTION_FAKE_DB 가 설정되면 로컬 대역 사용 (notion-client.js 참고)
+const notion = createNotionClient();
+const databaseId = process.env.NOTION_DATABASE_ID;
+
+const BATCH_SIZE = Number(process.env.VERIFY_BATCH_SIZE || 200);
+const MAX_AGE_DAYS = Number(process.env.VERIFY_MAX_AGE_DAYS || 0);
+const RECHECK_DAYS = Number(process.env.VERIFY_RECHECK_DAYS || 7);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_ACTIVE = "활성";
+const STATUS_DELETED = "삭제됨";
+const STATUS_PRIVATE = "비공개";
+
+if (!databaseId) {
+  console.error("❌ NOTION_DATABASE_ID 가 설정되어 있지 않습니다.");
+  process.exit(1);
+}
+
+requireProperties(
+  ["url", "status", "checkedAt", ...(MAX_AGE_DAYS > 0 ? ["publishedAt"] : [])],
+  "verify-posts.js"
+);
+
+// ───────────────────────────────────────────────
+// 🧩 URL → blogId, postId 추출
+// ───────────────────────────────────────────────
+
+function extractFromUrl(url) {
+  if (!url) return null;
+
+  const m = String(url).match(
+    /blog\.naver\.com\/([^\/\s?]+)\/(\d+)/i
+  );
+  if (!m) return null;
+
+  return { blogId: m[1], postId: m[2] };
+}
+
+// ───────────────────────────────────────────────
+// 🔎 점검 대상 페이지 조회
+// ───────────────────────────────────────────────
+
+function buildTargetFilter() {
+  const recheckBefore = new Date(Date.now() - RECHECK_DAYS * DAY_MS).toISOString();
+
+  const and = [
+    propertyFilter("uniqueId", { is_not_empty: true }),
+    propertyFilter("url", { contains: "blog.naver.com" }),
+    {
+      or: [
+        propertyFilter("checkedAt", { is_empty: true }),
+        propertyFilter("checkedAt", { before: recheckBefore }),
+      ],
+    },
+  ];
+
+  if (MAX_AGE_DAYS > 0) {
+    and.push(
+      propertyFilter("publishedAt", {
+        on_or_after: new Date(Date.now() - MAX_AGE_DAYS * DAY_MS).toISOString(),
+      })
+    );
+  }
+
+  return { and };
+}
+
+async function getPagesToVerify(limit) {
+  const pages = [];
+  let cursor = undefined;
+
+  while (pages.length < limit) {
+    const res = await notion.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      page_size: Math.min(100, limit - pages.length),
+      filter: buildTargetFilter(),
+      sorts: [{ timestamp: "last_edited_time", direction: "ascending" }],
+    });
+
+    pages.push(...res.results);
+
+    if (!res.has_more) break;
+    cursor = res.next_cursor;
+  }
+
+  return pages.slice(0, limit);
+}
+
+// ───────────────────────────────────────────────
+// 🩺 상태 판정
+// ───────────────────────────────────────────────
+
+const DELETED_MARKERS = [
+  "삭제되었거나 존재하지 않는",
+  "존재하지 않는 게시물",
+  "삭제된 게시물",
+  "삭제된 글",
+];
+
+const PRIVATE_MARKERS = [
+  "비공개 글",
+  "비공개 게시물",
+  "비공개로 설정",
+  "접근 권한이 없",
+  "권한이 없는 게시물",
+  "이웃에게만 공개",
+];
+
+/**
+ * PostView 응답 → 상태 (판정 불가면 null)
+ */
+function classifyPostView(res) {
+  if (res.status === 404 || res.status === 410) return STATUS_DELETED;
+  if (!res.ok) return null;
+
+  // 로그인 페이지로 튕긴 경우는 쿠키 문제일 수 있으므로 판정하지 않음
+  if (/nid\.naver\.com/.test(res.url || "")) return null;
+
+  const text = res.text || "";
+  if (/se-main-container|postViewArea|se_component_wrap/.test(text)) {
+    return STATUS_ACTIVE;
+  }
+  if (DELETED_MARKERS.some((m) => text.includes(m))) return STATUS_DELETED;
+  if (PRIVATE_MARKERS.some((m) => text.includes(m))) return STATUS_PRIVATE;
+  return null;
+}
+
+async function checkPostStatus({ blogId, postId }) {
+  const res = await requestNaver(buildPostViewUrl(blogId, postId), {
+    label: `상태 점검 ${blogId}/${postId}`,
+    headers: {
+      "User-Agent": "Mozilla/5.0 (NaverNeighborScraper)",
+      Cookie: process.env.NAVER_COOKIE || "",
+      Referer: `https://blog.naver.com/${blogId}`,
+    },
+  });
+  return classifyPostView(res);
+}
+
+// ───────────────────────────────────────────────
+// 🛠 메인 로직
+// ───────────────────────────────────────────────
+
+async function verifyPosts() {
+  console.log(
+    `🚀 글 상태 점검 시작 (최대 ${BATCH_SIZE}개, ` +
+      `${MAX_AGE_DAYS > 0 ? `최근 ${MAX_AGE_DAYS}일 글` : "전체 기간"}, ` +
+      `재점검 주기 ${RECHECK_DAYS}일)`
+  );
+
+  const pages = await getPagesToVerify(BATCH_SIZE);
+  console.log(`📦 대상 페이지 수: ${pages.length}개`);
+
+  const counts = { [STATUS_ACTIVE]: 0, [STATUS_DELETED]: 0, [STATUS_PRIVATE]: 0 };
+  let changed = 0;
+  let unknown = 0;
+  let skippedNoPattern = 0;
+
+  for (const page of pages) {
+    const props = page.properties || {};
+    const title = readProperty(props, "title") || page.id;
+
+    const parsed = extractFromUrl(readProperty(props, "url"));
+    if (!parsed) {
+      skippedNoPattern++;
+      // 점검할 수 없는 글이 다음 실행에서 다시 대상이 되지 않도록 CheckedAt 만 기록
+      try {
+        await notion.pages.update({
+          page_id: page.id,
+          properties: writeProperty("checkedAt", new Date().toISOString()),
+        });
+      } catch (err) {
+        console.error(`❌ 업데이트 실패 (page ${page.id}):`, err.message || err);
+      }
+      continue;
+    }
+
+    const status = await checkPostStatus(parsed);
+    if (!status) {
+      unknown++;
+      console.warn(`⚠️ 상태 판정 불가 (다음 실행에서 재시도): ${title}`);
+      continue;
+    }
+    counts[status]++;
+
+    const oldStatus = readProperty(props, "status");
+    const properties = {
+      ...writeProperty("checkedAt", new Date().toISOString()),
+      ...(oldStatus !== status && writeProperty("status", status)),
+    };
+
+    try {
+      await notion.pages.update({ page_id: page.id, properties });
+      if (oldStatus !== status) {
+        changed++;
+        console.log(`🔄 상태 변경: ${title} | '${oldStatus || "-"}' → '${status}'`);
+      }
+    } catch (err) {
+      console.error(`❌ 업데이트 실패 (page ${page.id}):`, err.message || err);
+    }
+
+    // Notion 레이트 리밋 방지용 살짝 딜레이
+    await new Promise((r) => setTimeout(r, 150));
+  }
+
+  console.log("✅ 처리 완료 요약");
+  console.log(`  - 확인한 페이지: ${pages.length}`);
+  console.log(`  - 활성: ${counts[STATUS_ACTIVE]}`);
+  console.log(`  - 삭제됨: ${counts[STATUS_DELETED]}`);
+  console.log(`  - 비공개: ${counts[STATUS_PRIVATE]}`);
+  console.log(`  - 상태가 바뀐 페이지: ${changed}`);
+  console.log(`  - 판정 불가 (스킵): ${unknown}`);
+  console.log(`  - 네이버 패턴 아님 (스킵): ${skippedNoPattern}`);
+}
+
+// ───────────────────────────────────────────────
+// 실행
+// ───────────────────────────────────────────────
+
+verifyPosts().catch((err) => {
+  console.error("❌ 스크립트 전체 오류:", err);
+  process.exit(1);
+});